@@ -59,6 +59,13 @@ resource "aws_api_gateway_resource" "userinfo" {
   path_part   = "userinfo"
 }
 
+# /revoke resource
+resource "aws_api_gateway_resource" "revoke" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "revoke"
+}
+
 # /landing resource
 resource "aws_api_gateway_resource" "landing" {
   rest_api_id = aws_api_gateway_rest_api.oidc.id
@@ -73,6 +80,265 @@ resource "aws_api_gateway_resource" "complete_auth" {
   path_part   = "complete-auth"
 }
 
+# /introspect resource
+resource "aws_api_gateway_resource" "introspect" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "introspect"
+}
+
+# /auth/passkey resource
+resource "aws_api_gateway_resource" "auth_passkey" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.auth.id
+  path_part   = "passkey"
+}
+
+# /passkey resource
+resource "aws_api_gateway_resource" "passkey" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "passkey"
+}
+
+# /passkey/register resource
+resource "aws_api_gateway_resource" "passkey_register" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.passkey.id
+  path_part   = "register"
+}
+
+# /auth/passkey/options resource
+resource "aws_api_gateway_resource" "auth_passkey_options" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.auth_passkey.id
+  path_part   = "options"
+}
+
+# /auth/passkey/verify resource
+resource "aws_api_gateway_resource" "auth_passkey_verify" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.auth_passkey.id
+  path_part   = "verify"
+}
+
+# /passkey/register/options resource
+resource "aws_api_gateway_resource" "passkey_register_options" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.passkey_register.id
+  path_part   = "options"
+}
+
+# /passkey/register/verify resource
+resource "aws_api_gateway_resource" "passkey_register_verify" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.passkey_register.id
+  path_part   = "verify"
+}
+
+# /consent resource
+resource "aws_api_gateway_resource" "consent" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "consent"
+}
+
+# /grants resource
+resource "aws_api_gateway_resource" "grants" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "grants"
+}
+
+# /grants/revoke resource
+resource "aws_api_gateway_resource" "grants_revoke" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.grants.id
+  path_part   = "revoke"
+}
+
+# /logout resource
+resource "aws_api_gateway_resource" "logout" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "logout"
+}
+
+# /account resource
+resource "aws_api_gateway_resource" "account" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "account"
+}
+
+# /account/start resource
+resource "aws_api_gateway_resource" "account_start" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.account.id
+  path_part   = "start"
+}
+
+# /account/profile resource
+resource "aws_api_gateway_resource" "account_profile" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.account.id
+  path_part   = "profile"
+}
+
+# /account/password resource
+resource "aws_api_gateway_resource" "account_password" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.account.id
+  path_part   = "password"
+}
+
+# /account/email resource
+resource "aws_api_gateway_resource" "account_email" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.account.id
+  path_part   = "email"
+}
+
+# /account/email/verify resource
+resource "aws_api_gateway_resource" "account_email_verify" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.account_email.id
+  path_part   = "verify"
+}
+
+# /password resource
+resource "aws_api_gateway_resource" "password" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "password"
+}
+
+# /password/forgot resource
+resource "aws_api_gateway_resource" "password_forgot" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.password.id
+  path_part   = "forgot"
+}
+
+# /password/reset resource
+resource "aws_api_gateway_resource" "password_reset" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.password.id
+  path_part   = "reset"
+}
+
+# /admin resource
+resource "aws_api_gateway_resource" "admin" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "admin"
+}
+
+# /admin/clients resource
+resource "aws_api_gateway_resource" "admin_clients" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin.id
+  path_part   = "clients"
+}
+
+# /admin/clients/{client_id} resource
+resource "aws_api_gateway_resource" "admin_client" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin_clients.id
+  path_part   = "{client_id}"
+}
+
+# /admin/clients/{client_id}/secret resource
+resource "aws_api_gateway_resource" "admin_client_secret" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin_client.id
+  path_part   = "secret"
+}
+
+# /admin/applications resource
+resource "aws_api_gateway_resource" "admin_applications" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin.id
+  path_part   = "applications"
+}
+
+# /admin/applications/{application_id} resource
+resource "aws_api_gateway_resource" "admin_application" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin_applications.id
+  path_part   = "{application_id}"
+}
+
+# /admin/users resource
+resource "aws_api_gateway_resource" "admin_users" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin.id
+  path_part   = "users"
+}
+
+# /admin/users/{username} resource
+resource "aws_api_gateway_resource" "admin_user" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin_users.id
+  path_part   = "{username}"
+}
+
+# /admin/users/{username}/applications resource
+resource "aws_api_gateway_resource" "admin_user_applications" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin_user.id
+  path_part   = "applications"
+}
+
+# /admin/users/{username}/applications/{application_id} resource
+resource "aws_api_gateway_resource" "admin_user_application" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.admin_user_applications.id
+  path_part   = "{application_id}"
+}
+
+# /register resource
+resource "aws_api_gateway_resource" "register" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "register"
+}
+
+# /register/{client_id} resource
+resource "aws_api_gateway_resource" "register_client" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.register.id
+  path_part   = "{client_id}"
+}
+
+# /federation resource
+resource "aws_api_gateway_resource" "federation" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_rest_api.oidc.root_resource_id
+  path_part   = "federation"
+}
+
+# /federation/providers resource
+resource "aws_api_gateway_resource" "federation_providers" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.federation.id
+  path_part   = "providers"
+}
+
+# /federation/start resource
+resource "aws_api_gateway_resource" "federation_start" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.federation.id
+  path_part   = "start"
+}
+
+# /federation/callback resource
+resource "aws_api_gateway_resource" "federation_callback" {
+  rest_api_id = aws_api_gateway_rest_api.oidc.id
+  parent_id   = aws_api_gateway_resource.federation.id
+  path_part   = "callback"
+}
+
 # Methods and Integrations
 # Wellknown endpoint
 resource "aws_api_gateway_method" "wellknown_get" {
@@ -191,6 +457,23 @@ resource "aws_api_gateway_integration" "userinfo_post" {
   uri                     = aws_lambda_function.userinfo.invoke_arn
 }
 
+# Revoke endpoint
+resource "aws_api_gateway_method" "revoke_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.revoke.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "revoke" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.revoke.id
+  http_method             = aws_api_gateway_method.revoke_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.revoke.invoke_arn
+}
+
 # Landing endpoint (GET)
 resource "aws_api_gateway_method" "landing_get" {
   rest_api_id   = aws_api_gateway_rest_api.oidc.id
@@ -208,23 +491,706 @@ resource "aws_api_gateway_integration" "landing_get" {
   uri                     = aws_lambda_function.landing.invoke_arn
 }
 
-# Complete-auth endpoint (GET)
-resource "aws_api_gateway_method" "complete_auth_get" {
+# Landing endpoint (POST, session in a form body)
+resource "aws_api_gateway_method" "landing_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.landing.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "landing_post" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.landing.id
+  http_method             = aws_api_gateway_method.landing_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.landing.invoke_arn
+}
+
+# Complete-auth endpoint (POST, so the session stays out of the URL)
+resource "aws_api_gateway_method" "complete_auth_post" {
   rest_api_id   = aws_api_gateway_rest_api.oidc.id
   resource_id   = aws_api_gateway_resource.complete_auth.id
-  http_method   = "GET"
+  http_method   = "POST"
   authorization = "NONE"
 }
 
-resource "aws_api_gateway_integration" "complete_auth_get" {
+resource "aws_api_gateway_integration" "complete_auth_post" {
   rest_api_id             = aws_api_gateway_rest_api.oidc.id
   resource_id             = aws_api_gateway_resource.complete_auth.id
-  http_method             = aws_api_gateway_method.complete_auth_get.http_method
+  http_method             = aws_api_gateway_method.complete_auth_post.http_method
   integration_http_method = "POST"
   type                    = "AWS_PROXY"
   uri                     = aws_lambda_function.complete_auth.invoke_arn
 }
 
+# Introspect endpoint
+resource "aws_api_gateway_method" "introspect_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.introspect.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "introspect" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.introspect.id
+  http_method             = aws_api_gateway_method.introspect_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.introspect.invoke_arn
+}
+
+# Passkey sign-in endpoints
+resource "aws_api_gateway_method" "auth_passkey_options_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.auth_passkey_options.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "auth_passkey_options" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.auth_passkey_options.id
+  http_method             = aws_api_gateway_method.auth_passkey_options_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.passkey.invoke_arn
+}
+
+resource "aws_api_gateway_method" "auth_passkey_verify_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.auth_passkey_verify.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "auth_passkey_verify" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.auth_passkey_verify.id
+  http_method             = aws_api_gateway_method.auth_passkey_verify_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.passkey.invoke_arn
+}
+
+# Passkey registration endpoints
+resource "aws_api_gateway_method" "passkey_register_options_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.passkey_register_options.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "passkey_register_options" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.passkey_register_options.id
+  http_method             = aws_api_gateway_method.passkey_register_options_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.passkey.invoke_arn
+}
+
+resource "aws_api_gateway_method" "passkey_register_verify_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.passkey_register_verify.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "passkey_register_verify" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.passkey_register_verify.id
+  http_method             = aws_api_gateway_method.passkey_register_verify_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.passkey.invoke_arn
+}
+
+# Consent endpoint
+resource "aws_api_gateway_method" "consent_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.consent.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "consent_post" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.consent.id
+  http_method             = aws_api_gateway_method.consent_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.consent.invoke_arn
+}
+
+# Connected apps endpoints
+resource "aws_api_gateway_method" "grants_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.grants.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "grants" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.grants.id
+  http_method             = aws_api_gateway_method.grants_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.consent.invoke_arn
+}
+
+resource "aws_api_gateway_method" "grants_revoke_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.grants_revoke.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "grants_revoke" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.grants_revoke.id
+  http_method             = aws_api_gateway_method.grants_revoke_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.consent.invoke_arn
+}
+
+# Logout endpoint
+resource "aws_api_gateway_method" "logout_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.logout.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "logout_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.logout.id
+  http_method             = aws_api_gateway_method.logout_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.logout.invoke_arn
+}
+
+resource "aws_api_gateway_method" "logout_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.logout.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "logout_post" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.logout.id
+  http_method             = aws_api_gateway_method.logout_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.logout.invoke_arn
+}
+
+# Account endpoint
+resource "aws_api_gateway_method" "account_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account.id
+  http_method             = aws_api_gateway_method.account_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+# Account start endpoint (GET from the SSO cookie, POST from the landing page)
+resource "aws_api_gateway_method" "account_start_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account_start.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account_start_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account_start.id
+  http_method             = aws_api_gateway_method.account_start_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+resource "aws_api_gateway_method" "account_start_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account_start.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account_start_post" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account_start.id
+  http_method             = aws_api_gateway_method.account_start_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+# Account profile endpoint
+resource "aws_api_gateway_method" "account_profile_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account_profile.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account_profile" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account_profile.id
+  http_method             = aws_api_gateway_method.account_profile_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+# Account password endpoint
+resource "aws_api_gateway_method" "account_password_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account_password.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account_password" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account_password.id
+  http_method             = aws_api_gateway_method.account_password_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+# Account email endpoint
+resource "aws_api_gateway_method" "account_email_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account_email.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account_email" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account_email.id
+  http_method             = aws_api_gateway_method.account_email_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+# Email verification link endpoint
+resource "aws_api_gateway_method" "account_email_verify_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.account_email_verify.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "account_email_verify" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.account_email_verify.id
+  http_method             = aws_api_gateway_method.account_email_verify_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.account.invoke_arn
+}
+
+# Forgot password endpoint
+resource "aws_api_gateway_method" "password_forgot_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.password_forgot.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "password_forgot" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.password_forgot.id
+  http_method             = aws_api_gateway_method.password_forgot_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.password_reset.invoke_arn
+}
+
+# Password reset endpoint
+resource "aws_api_gateway_method" "password_reset_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.password_reset.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "password_reset" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.password_reset.id
+  http_method             = aws_api_gateway_method.password_reset_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.password_reset.invoke_arn
+}
+
+# Admin clients endpoint
+resource "aws_api_gateway_method" "admin_clients_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_clients.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_clients_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_clients.id
+  http_method             = aws_api_gateway_method.admin_clients_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_clients_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_clients.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_clients_post" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_clients.id
+  http_method             = aws_api_gateway_method.admin_clients_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Admin client endpoint
+resource "aws_api_gateway_method" "admin_client_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_client.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_client_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_client.id
+  http_method             = aws_api_gateway_method.admin_client_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_client_put" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_client.id
+  http_method   = "PUT"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_client_put" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_client.id
+  http_method             = aws_api_gateway_method.admin_client_put.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_client_delete" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_client.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_client_delete" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_client.id
+  http_method             = aws_api_gateway_method.admin_client_delete.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Admin client secret rotation endpoint
+resource "aws_api_gateway_method" "admin_client_secret_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_client_secret.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_client_secret" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_client_secret.id
+  http_method             = aws_api_gateway_method.admin_client_secret_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Admin applications endpoint
+resource "aws_api_gateway_method" "admin_applications_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_applications.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_applications_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_applications.id
+  http_method             = aws_api_gateway_method.admin_applications_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_applications_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_applications.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_applications_post" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_applications.id
+  http_method             = aws_api_gateway_method.admin_applications_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Admin application endpoint
+resource "aws_api_gateway_method" "admin_application_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_application.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_application_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_application.id
+  http_method             = aws_api_gateway_method.admin_application_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_application_put" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_application.id
+  http_method   = "PUT"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_application_put" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_application.id
+  http_method             = aws_api_gateway_method.admin_application_put.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_application_delete" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_application.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_application_delete" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_application.id
+  http_method             = aws_api_gateway_method.admin_application_delete.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Admin user applications endpoint
+resource "aws_api_gateway_method" "admin_user_applications_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_user_applications.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_user_applications" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_user_applications.id
+  http_method             = aws_api_gateway_method.admin_user_applications_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Admin user application assignment endpoint
+resource "aws_api_gateway_method" "admin_user_application_put" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_user_application.id
+  http_method   = "PUT"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_user_application_put" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_user_application.id
+  http_method             = aws_api_gateway_method.admin_user_application_put.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+resource "aws_api_gateway_method" "admin_user_application_delete" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.admin_user_application.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "admin_user_application_delete" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.admin_user_application.id
+  http_method             = aws_api_gateway_method.admin_user_application_delete.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.admin.invoke_arn
+}
+
+# Dynamic client registration endpoint
+resource "aws_api_gateway_method" "register_post" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.register.id
+  http_method   = "POST"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "register" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.register.id
+  http_method             = aws_api_gateway_method.register_post.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.register.invoke_arn
+}
+
+# Client configuration endpoint
+resource "aws_api_gateway_method" "register_client_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.register_client.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "register_client_get" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.register_client.id
+  http_method             = aws_api_gateway_method.register_client_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.register.invoke_arn
+}
+
+resource "aws_api_gateway_method" "register_client_put" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.register_client.id
+  http_method   = "PUT"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "register_client_put" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.register_client.id
+  http_method             = aws_api_gateway_method.register_client_put.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.register.invoke_arn
+}
+
+resource "aws_api_gateway_method" "register_client_delete" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.register_client.id
+  http_method   = "DELETE"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "register_client_delete" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.register_client.id
+  http_method             = aws_api_gateway_method.register_client_delete.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.register.invoke_arn
+}
+
+# Federation providers endpoint (upstream identity providers for the login page)
+resource "aws_api_gateway_method" "federation_providers_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.federation_providers.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "federation_providers" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.federation_providers.id
+  http_method             = aws_api_gateway_method.federation_providers_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.federation.invoke_arn
+}
+
+# Federation start endpoint (redirects to the upstream identity provider)
+resource "aws_api_gateway_method" "federation_start_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.federation_start.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "federation_start" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.federation_start.id
+  http_method             = aws_api_gateway_method.federation_start_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.federation.invoke_arn
+}
+
+# Federation callback endpoint (redirect URI at the upstream identity providers)
+resource "aws_api_gateway_method" "federation_callback_get" {
+  rest_api_id   = aws_api_gateway_rest_api.oidc.id
+  resource_id   = aws_api_gateway_resource.federation_callback.id
+  http_method   = "GET"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "federation_callback" {
+  rest_api_id             = aws_api_gateway_rest_api.oidc.id
+  resource_id             = aws_api_gateway_resource.federation_callback.id
+  http_method             = aws_api_gateway_method.federation_callback_get.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.federation.invoke_arn
+}
+
 # CORS support for all endpoints
 resource "aws_api_gateway_method" "wellknown_options" {
   rest_api_id   = aws_api_gateway_rest_api.oidc.id
@@ -295,12 +1261,134 @@ resource "aws_api_gateway_deployment" "oidc" {
       aws_api_gateway_method.userinfo_post.id,
       aws_api_gateway_integration.userinfo_get.id,
       aws_api_gateway_integration.userinfo_post.id,
+      aws_api_gateway_resource.revoke.id,
+      aws_api_gateway_method.revoke_post.id,
+      aws_api_gateway_integration.revoke.id,
       aws_api_gateway_resource.landing.id,
       aws_api_gateway_method.landing_get.id,
+      aws_api_gateway_method.landing_post.id,
       aws_api_gateway_integration.landing_get.id,
+      aws_api_gateway_integration.landing_post.id,
       aws_api_gateway_resource.complete_auth.id,
-      aws_api_gateway_method.complete_auth_get.id,
-      aws_api_gateway_integration.complete_auth_get.id,
+      aws_api_gateway_method.complete_auth_post.id,
+      aws_api_gateway_integration.complete_auth_post.id,
+      aws_api_gateway_resource.introspect.id,
+      aws_api_gateway_method.introspect_post.id,
+      aws_api_gateway_integration.introspect.id,
+      aws_api_gateway_resource.auth_passkey.id,
+      aws_api_gateway_resource.passkey.id,
+      aws_api_gateway_resource.passkey_register.id,
+      aws_api_gateway_resource.auth_passkey_options.id,
+      aws_api_gateway_method.auth_passkey_options_post.id,
+      aws_api_gateway_integration.auth_passkey_options.id,
+      aws_api_gateway_resource.auth_passkey_verify.id,
+      aws_api_gateway_method.auth_passkey_verify_post.id,
+      aws_api_gateway_integration.auth_passkey_verify.id,
+      aws_api_gateway_resource.passkey_register_options.id,
+      aws_api_gateway_method.passkey_register_options_post.id,
+      aws_api_gateway_integration.passkey_register_options.id,
+      aws_api_gateway_resource.passkey_register_verify.id,
+      aws_api_gateway_method.passkey_register_verify_post.id,
+      aws_api_gateway_integration.passkey_register_verify.id,
+      aws_api_gateway_resource.consent.id,
+      aws_api_gateway_method.consent_post.id,
+      aws_api_gateway_integration.consent_post.id,
+      aws_api_gateway_resource.grants.id,
+      aws_api_gateway_method.grants_post.id,
+      aws_api_gateway_integration.grants.id,
+      aws_api_gateway_resource.grants_revoke.id,
+      aws_api_gateway_method.grants_revoke_post.id,
+      aws_api_gateway_integration.grants_revoke.id,
+      aws_api_gateway_resource.logout.id,
+      aws_api_gateway_method.logout_get.id,
+      aws_api_gateway_method.logout_post.id,
+      aws_api_gateway_integration.logout_get.id,
+      aws_api_gateway_integration.logout_post.id,
+      aws_api_gateway_resource.account.id,
+      aws_api_gateway_method.account_post.id,
+      aws_api_gateway_integration.account.id,
+      aws_api_gateway_resource.account_start.id,
+      aws_api_gateway_method.account_start_get.id,
+      aws_api_gateway_integration.account_start_get.id,
+      aws_api_gateway_method.account_start_post.id,
+      aws_api_gateway_integration.account_start_post.id,
+      aws_api_gateway_resource.account_profile.id,
+      aws_api_gateway_method.account_profile_post.id,
+      aws_api_gateway_integration.account_profile.id,
+      aws_api_gateway_resource.account_password.id,
+      aws_api_gateway_method.account_password_post.id,
+      aws_api_gateway_integration.account_password.id,
+      aws_api_gateway_resource.account_email.id,
+      aws_api_gateway_method.account_email_post.id,
+      aws_api_gateway_integration.account_email.id,
+      aws_api_gateway_resource.account_email_verify.id,
+      aws_api_gateway_method.account_email_verify_get.id,
+      aws_api_gateway_integration.account_email_verify.id,
+      aws_api_gateway_resource.password.id,
+      aws_api_gateway_resource.password_forgot.id,
+      aws_api_gateway_method.password_forgot_post.id,
+      aws_api_gateway_integration.password_forgot.id,
+      aws_api_gateway_resource.password_reset.id,
+      aws_api_gateway_method.password_reset_post.id,
+      aws_api_gateway_integration.password_reset.id,
+      aws_api_gateway_resource.admin.id,
+      aws_api_gateway_resource.admin_clients.id,
+      aws_api_gateway_method.admin_clients_get.id,
+      aws_api_gateway_method.admin_clients_post.id,
+      aws_api_gateway_integration.admin_clients_get.id,
+      aws_api_gateway_integration.admin_clients_post.id,
+      aws_api_gateway_resource.admin_client.id,
+      aws_api_gateway_method.admin_client_get.id,
+      aws_api_gateway_method.admin_client_put.id,
+      aws_api_gateway_method.admin_client_delete.id,
+      aws_api_gateway_integration.admin_client_get.id,
+      aws_api_gateway_integration.admin_client_put.id,
+      aws_api_gateway_integration.admin_client_delete.id,
+      aws_api_gateway_resource.admin_client_secret.id,
+      aws_api_gateway_method.admin_client_secret_post.id,
+      aws_api_gateway_integration.admin_client_secret.id,
+      aws_api_gateway_resource.admin_applications.id,
+      aws_api_gateway_method.admin_applications_get.id,
+      aws_api_gateway_method.admin_applications_post.id,
+      aws_api_gateway_integration.admin_applications_get.id,
+      aws_api_gateway_integration.admin_applications_post.id,
+      aws_api_gateway_resource.admin_application.id,
+      aws_api_gateway_method.admin_application_get.id,
+      aws_api_gateway_method.admin_application_put.id,
+      aws_api_gateway_method.admin_application_delete.id,
+      aws_api_gateway_integration.admin_application_get.id,
+      aws_api_gateway_integration.admin_application_put.id,
+      aws_api_gateway_integration.admin_application_delete.id,
+      aws_api_gateway_resource.admin_users.id,
+      aws_api_gateway_resource.admin_user.id,
+      aws_api_gateway_resource.admin_user_applications.id,
+      aws_api_gateway_method.admin_user_applications_get.id,
+      aws_api_gateway_integration.admin_user_applications.id,
+      aws_api_gateway_resource.admin_user_application.id,
+      aws_api_gateway_method.admin_user_application_put.id,
+      aws_api_gateway_method.admin_user_application_delete.id,
+      aws_api_gateway_integration.admin_user_application_put.id,
+      aws_api_gateway_integration.admin_user_application_delete.id,
+      aws_api_gateway_resource.register.id,
+      aws_api_gateway_method.register_post.id,
+      aws_api_gateway_integration.register.id,
+      aws_api_gateway_resource.register_client.id,
+      aws_api_gateway_method.register_client_get.id,
+      aws_api_gateway_method.register_client_put.id,
+      aws_api_gateway_method.register_client_delete.id,
+      aws_api_gateway_integration.register_client_get.id,
+      aws_api_gateway_integration.register_client_put.id,
+      aws_api_gateway_integration.register_client_delete.id,
+      aws_api_gateway_resource.federation.id,
+      aws_api_gateway_resource.federation_providers.id,
+      aws_api_gateway_method.federation_providers_get.id,
+      aws_api_gateway_integration.federation_providers.id,
+      aws_api_gateway_resource.federation_start.id,
+      aws_api_gateway_method.federation_start_get.id,
+      aws_api_gateway_integration.federation_start.id,
+      aws_api_gateway_resource.federation_callback.id,
+      aws_api_gateway_method.federation_callback_get.id,
+      aws_api_gateway_integration.federation_callback.id,
     ]))
   }
 
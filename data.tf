@@ -1,7 +1,10 @@
+# Account ID for the ARNs of resources Terraform does not manage
+data "aws_caller_identity" "current" {}
+
 # Archive Lambda source code
 data "archive_file" "lambda_zip" {
   type        = "zip"
   source_dir  = local.lambda_source_dir
   output_path = "${path.module}/lambda/function.zip"
-  excludes    = ["package-lock.json"]
+  excludes    = ["package-lock.json", "test/**"]
 }
@@ -1,11 +1,19 @@
 locals {
-  environment          = split("_", terraform.workspace)[0]
-  aws_region           = split("_", terraform.workspace)[1]
-  project_name         = "oidc-provider"
-  lambda_source_dir    = "${path.module}/lambda/src"
-  issuer_url_parameter = "/${local.project_name}/${local.environment}/issuer-url"
+  environment               = split("_", terraform.workspace)[0]
+  aws_region                = split("_", terraform.workspace)[1]
+  project_name              = "oidc-provider"
+  lambda_source_dir         = "${path.module}/lambda/src"
+  issuer_url_parameter      = "/${local.project_name}/${local.environment}/issuer-url"
+  jwt_keys_parameter        = "/${local.project_name}/${local.environment}/jwt-key-ring"
+  legacy_jwt_keys_parameter = "/${local.project_name}/${local.environment}/jwt-keys"
 }
 
 locals {
   issuer_url = var.issuer_url != "" ? var.issuer_url : "https://${aws_api_gateway_rest_api.oidc.id}.execute-api.${local.aws_region}.amazonaws.com/${local.environment}"
 }
+
+# Passkeys are bound to the site serving the login page (the assets bucket unless overridden)
+locals {
+  webauthn_origin = var.webauthn_origin != "" ? var.webauthn_origin : "https://${aws_s3_bucket.assets.bucket_regional_domain_name}"
+  webauthn_rp_id  = var.webauthn_rp_id != "" ? var.webauthn_rp_id : aws_s3_bucket.assets.bucket_regional_domain_name
+}
@@ -83,12 +83,23 @@ resource "aws_dynamodb_table" "refresh_tokens" {
     type = "S"
   }
 
+  attribute {
+    name = "family_id"
+    type = "S"
+  }
+
   global_secondary_index {
     name            = "user-index"
     hash_key        = "user_id"
     projection_type = "ALL"
   }
 
+  global_secondary_index {
+    name            = "family-index"
+    hash_key        = "family_id"
+    projection_type = "ALL"
+  }
+
   ttl {
     attribute_name = "expires_at"
     enabled        = true
@@ -159,6 +170,18 @@ resource "aws_dynamodb_table" "sessions" {
     type = "S"
   }
 
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  # Used by /logout to end every session of a user
+  global_secondary_index {
+    name            = "user-index"
+    hash_key        = "user_id"
+    projection_type = "ALL"
+  }
+
   ttl {
     attribute_name = "expires_at"
     enabled        = true
@@ -168,3 +191,274 @@ resource "aws_dynamodb_table" "sessions" {
     Name = "${local.project_name}-${local.environment}-sessions"
   }
 }
+
+# DynamoDB table for single sign-on sessions (named by the browser's SSO cookie)
+resource "aws_dynamodb_table" "sso_sessions" {
+  name         = "${local.project_name}-${local.environment}-sso-sessions"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "sso_session_id"
+
+  attribute {
+    name = "sso_session_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  # Used by /logout to end every SSO session of a user
+  global_secondary_index {
+    name            = "user-index"
+    hash_key        = "user_id"
+    projection_type = "ALL"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-sso-sessions"
+  }
+}
+
+# DynamoDB table for revoked access tokens (kept until the token would have expired)
+resource "aws_dynamodb_table" "revoked_tokens" {
+  name         = "${local.project_name}-${local.environment}-revoked-tokens"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "jti"
+
+  attribute {
+    name = "jti"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-revoked-tokens"
+  }
+}
+
+# DynamoDB table for failed login attempts per username and source IP (lockout state)
+resource "aws_dynamodb_table" "login_attempts" {
+  name         = "${local.project_name}-${local.environment}-login-attempts"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "attempt_key"
+
+  attribute {
+    name = "attempt_key"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-login-attempts"
+  }
+}
+
+# DynamoDB table for WebAuthn credentials (passkeys), one item per credential
+resource "aws_dynamodb_table" "webauthn_credentials" {
+  name         = "${local.project_name}-${local.environment}-webauthn-credentials"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "user_id"
+  range_key    = "credential_id"
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "credential_id"
+    type = "S"
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-webauthn-credentials"
+  }
+}
+
+# DynamoDB table for consent grants, one item per user and client
+resource "aws_dynamodb_table" "grants" {
+  name         = "${local.project_name}-${local.environment}-grants"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "user_id"
+  range_key    = "client_id"
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "client_id"
+    type = "S"
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-grants"
+  }
+}
+
+# DynamoDB table for password reset tokens (stored hashed, expire through TTL)
+resource "aws_dynamodb_table" "password_resets" {
+  name         = "${local.project_name}-${local.environment}-password-resets"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "token_hash"
+
+  attribute {
+    name = "token_hash"
+    type = "S"
+  }
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  # Used to replace a user's outstanding reset tokens
+  global_secondary_index {
+    name            = "user-index"
+    hash_key        = "user_id"
+    projection_type = "ALL"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-password-resets"
+  }
+}
+
+# DynamoDB table for groups (group_id is the name released in the groups claim)
+resource "aws_dynamodb_table" "groups" {
+  name         = "${local.project_name}-${local.environment}-groups"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "group_id"
+
+  attribute {
+    name = "group_id"
+    type = "S"
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-groups"
+  }
+}
+
+# DynamoDB table for group memberships
+resource "aws_dynamodb_table" "group_members" {
+  name         = "${local.project_name}-${local.environment}-group-members"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "user_id"
+  range_key    = "group_id"
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "group_id"
+    type = "S"
+  }
+
+  # Used to list the members of a group
+  global_secondary_index {
+    name            = "group-index"
+    hash_key        = "group_id"
+    range_key       = "user_id"
+    projection_type = "ALL"
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-group-members"
+  }
+}
+
+# DynamoDB table for the audit log (authentication, token and administration events)
+resource "aws_dynamodb_table" "audit_events" {
+  name         = "${local.project_name}-${local.environment}-audit-events"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "event_id"
+
+  attribute {
+    name = "event_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "timestamp"
+    type = "S"
+  }
+
+  # Used to list a user's events, newest first
+  global_secondary_index {
+    name            = "user-index"
+    hash_key        = "user_id"
+    range_key       = "timestamp"
+    projection_type = "ALL"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-audit-events"
+  }
+}
+
+# DynamoDB table for links between upstream identity provider accounts and users
+resource "aws_dynamodb_table" "federated_identities" {
+  name         = "${local.project_name}-${local.environment}-federated-identities"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "issuer"
+  range_key    = "subject"
+
+  attribute {
+    name = "issuer"
+    type = "S"
+  }
+
+  attribute {
+    name = "subject"
+    type = "S"
+  }
+
+  attribute {
+    name = "user_id"
+    type = "S"
+  }
+
+  # Used to list and delete a user's links
+  global_secondary_index {
+    name            = "user-index"
+    hash_key        = "user_id"
+    projection_type = "ALL"
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-federated-identities"
+  }
+}
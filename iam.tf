@@ -82,7 +82,23 @@ resource "aws_iam_role_policy" "lambda_oidc" {
           aws_dynamodb_table.applications.arn,
           "${aws_dynamodb_table.applications.arn}/index/*",
           aws_dynamodb_table.user_applications.arn,
-          aws_dynamodb_table.sessions.arn
+          aws_dynamodb_table.sessions.arn,
+          "${aws_dynamodb_table.sessions.arn}/index/*",
+          aws_dynamodb_table.sso_sessions.arn,
+          "${aws_dynamodb_table.sso_sessions.arn}/index/*",
+          aws_dynamodb_table.revoked_tokens.arn,
+          aws_dynamodb_table.login_attempts.arn,
+          aws_dynamodb_table.webauthn_credentials.arn,
+          aws_dynamodb_table.grants.arn,
+          aws_dynamodb_table.password_resets.arn,
+          "${aws_dynamodb_table.password_resets.arn}/index/*",
+          aws_dynamodb_table.groups.arn,
+          aws_dynamodb_table.group_members.arn,
+          "${aws_dynamodb_table.group_members.arn}/index/*",
+          aws_dynamodb_table.audit_events.arn,
+          "${aws_dynamodb_table.audit_events.arn}/index/*",
+          aws_dynamodb_table.federated_identities.arn,
+          "${aws_dynamodb_table.federated_identities.arn}/index/*"
         ]
       },
 
@@ -95,7 +111,9 @@ resource "aws_iam_role_policy" "lambda_oidc" {
         ]
         Resource = [
           aws_ssm_parameter.issuer_url.arn,
-          aws_ssm_parameter.jwt_keys.arn
+          "arn:aws:ssm:${local.aws_region}:${data.aws_caller_identity.current.account_id}:parameter${local.jwt_keys_parameter}",
+          "arn:aws:ssm:${local.aws_region}:${data.aws_caller_identity.current.account_id}:parameter${local.legacy_jwt_keys_parameter}",
+          aws_ssm_parameter.upstream_providers.arn
         ]
       },
 
@@ -108,6 +126,14 @@ resource "aws_iam_role_policy" "lambda_oidc" {
         Resource = [
           "${aws_s3_bucket.assets.arn}/*"
         ]
+      },
+
+      {
+        Effect = "Allow"
+        Action = [
+          "ses:SendEmail"
+        ]
+        Resource = "*"
       }
     ]
   })
@@ -10,12 +10,15 @@ resource "aws_lambda_function" "wellknown" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      CUSTOM_SCOPES              = join(" ", var.custom_scopes)
+      PKCE_ALLOW_PLAIN           = tostring(var.pkce_allow_plain)
     }
   }
 
@@ -37,12 +40,13 @@ resource "aws_lambda_function" "jwks" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
     }
   }
 
@@ -64,15 +68,28 @@ resource "aws_lambda_function" "auth" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
-      SESSIONS_TABLE        = aws_dynamodb_table.sessions.name
-      LOGIN_PAGE_URL        = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/login.html"
-      LANDING_PAGE_URL      = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/landing.html"
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      LOGIN_PAGE_URL             = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/login.html"
+      LANDING_PAGE_URL           = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/landing.html"
+      CUSTOM_SCOPES              = join(" ", var.custom_scopes)
+      PKCE_ALLOW_PLAIN           = tostring(var.pkce_allow_plain)
+      LOGIN_ATTEMPTS_TABLE       = aws_dynamodb_table.login_attempts.name
+      LOGIN_LOCKOUT_THRESHOLD    = var.login_lockout_threshold
+      LOGIN_IP_LOCKOUT_THRESHOLD = var.login_ip_lockout_threshold
+      LOGIN_LOCKOUT_SECONDS      = var.login_lockout_minutes * 60
+      WEBAUTHN_CREDENTIALS_TABLE = aws_dynamodb_table.webauthn_credentials.name
+      SSO_SESSIONS_TABLE         = aws_dynamodb_table.sso_sessions.name
+      SSO_SESSION_IDLE_SECONDS   = var.sso_session_idle_timeout_minutes * 60
+      SSO_SESSION_MAX_SECONDS    = var.sso_session_max_lifetime_hours * 3600
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
     }
   }
 
@@ -94,12 +111,20 @@ resource "aws_lambda_function" "token" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      APPLICATIONS_TABLE         = aws_dynamodb_table.applications.name
+      USER_APPLICATIONS_TABLE    = aws_dynamodb_table.user_applications.name
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+      PKCE_ALLOW_PLAIN           = tostring(var.pkce_allow_plain)
+      GROUP_MEMBERS_TABLE        = aws_dynamodb_table.group_members.name
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
     }
   }
 
@@ -121,12 +146,15 @@ resource "aws_lambda_function" "userinfo" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+      GROUP_MEMBERS_TABLE        = aws_dynamodb_table.group_members.name
     }
   }
 
@@ -135,6 +163,37 @@ resource "aws_lambda_function" "userinfo" {
   }
 }
 
+# Lambda function for token revocation endpoint
+resource "aws_lambda_function" "revoke" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-revoke"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "revoke.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-revoke"
+  }
+}
+
 # Lambda permissions for API Gateway
 resource "aws_lambda_permission" "wellknown" {
   statement_id  = "AllowAPIGatewayInvoke"
@@ -176,6 +235,14 @@ resource "aws_lambda_permission" "userinfo" {
   source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
 }
 
+resource "aws_lambda_permission" "revoke" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.revoke.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
 # Lambda function for user management (console invocation only)
 resource "aws_lambda_function" "user_management" {
   filename         = data.archive_file.lambda_zip.output_path
@@ -189,12 +256,27 @@ resource "aws_lambda_function" "user_management" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
+      ISSUER_URL_PARAM_NAME         = local.issuer_url_parameter
+      USERS_TABLE                   = aws_dynamodb_table.users.name
+      CLIENTS_TABLE                 = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE              = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE          = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME           = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME    = local.legacy_jwt_keys_parameter
+      LOGIN_ATTEMPTS_TABLE          = aws_dynamodb_table.login_attempts.name
+      WEBAUTHN_CREDENTIALS_TABLE    = aws_dynamodb_table.webauthn_credentials.name
+      GRANTS_TABLE                  = aws_dynamodb_table.grants.name
+      APPLICATIONS_TABLE            = aws_dynamodb_table.applications.name
+      USER_APPLICATIONS_TABLE       = aws_dynamodb_table.user_applications.name
+      SESSIONS_TABLE                = aws_dynamodb_table.sessions.name
+      SSO_SESSIONS_TABLE            = aws_dynamodb_table.sso_sessions.name
+      PASSWORD_RESETS_TABLE         = aws_dynamodb_table.password_resets.name
+      GROUPS_TABLE                  = aws_dynamodb_table.groups.name
+      GROUP_MEMBERS_TABLE           = aws_dynamodb_table.group_members.name
+      AUDIT_TABLE                   = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS          = var.audit_retention_days
+      FEDERATED_IDENTITIES_TABLE    = aws_dynamodb_table.federated_identities.name
+      UPSTREAM_PROVIDERS_PARAM_NAME = aws_ssm_parameter.upstream_providers.name
     }
   }
 
@@ -203,6 +285,56 @@ resource "aws_lambda_function" "user_management" {
   }
 }
 
+# Lambda function for JWT signing key management (console or scheduled invocation only)
+resource "aws_lambda_function" "key_management" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-key-management"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "key-management.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME          = local.issuer_url_parameter
+      JWT_KEYS_PARAM_NAME            = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME     = local.legacy_jwt_keys_parameter
+      JWT_KEY_PREPUBLISH_SECONDS     = var.jwt_key_prepublish_hours * 3600
+      JWT_MAX_TOKEN_LIFETIME_SECONDS = 3600
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-key-management"
+  }
+}
+
+# Optional scheduled signing key rotation
+resource "aws_cloudwatch_event_rule" "key_rotation" {
+  count               = var.jwt_key_rotation_schedule != "" ? 1 : 0
+  name                = "${local.project_name}-${local.environment}-key-rotation"
+  description         = "Rotate the OIDC JWT signing keys"
+  schedule_expression = var.jwt_key_rotation_schedule
+}
+
+resource "aws_cloudwatch_event_target" "key_rotation" {
+  count = var.jwt_key_rotation_schedule != "" ? 1 : 0
+  rule  = aws_cloudwatch_event_rule.key_rotation[0].name
+  arn   = aws_lambda_function.key_management.arn
+  input = jsonencode({ operation = "rotateKeys" })
+}
+
+resource "aws_lambda_permission" "key_rotation" {
+  count         = var.jwt_key_rotation_schedule != "" ? 1 : 0
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.key_management.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.key_rotation[0].arn
+}
+
 # Lambda function for landing page (application selection)
 resource "aws_lambda_function" "landing" {
   filename         = data.archive_file.lambda_zip.output_path
@@ -216,15 +348,17 @@ resource "aws_lambda_function" "landing" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME    = local.issuer_url_parameter
-      USERS_TABLE              = aws_dynamodb_table.users.name
-      CLIENTS_TABLE            = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE         = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE     = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME      = aws_ssm_parameter.jwt_keys.name
-      SESSIONS_TABLE           = aws_dynamodb_table.sessions.name
-      APPLICATIONS_TABLE       = aws_dynamodb_table.applications.name
-      USER_APPLICATIONS_TABLE  = aws_dynamodb_table.user_applications.name
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      APPLICATIONS_TABLE         = aws_dynamodb_table.applications.name
+      USER_APPLICATIONS_TABLE    = aws_dynamodb_table.user_applications.name
+      GROUP_MEMBERS_TABLE        = aws_dynamodb_table.group_members.name
     }
   }
 
@@ -254,14 +388,24 @@ resource "aws_lambda_function" "complete_auth" {
 
   environment {
     variables = {
-      ISSUER_URL_PARAM_NAME = local.issuer_url_parameter
-      USERS_TABLE           = aws_dynamodb_table.users.name
-      CLIENTS_TABLE         = aws_dynamodb_table.clients.name
-      AUTH_CODES_TABLE      = aws_dynamodb_table.auth_codes.name
-      REFRESH_TOKENS_TABLE  = aws_dynamodb_table.refresh_tokens.name
-      JWT_KEYS_PARAM_NAME   = aws_ssm_parameter.jwt_keys.name
-      SESSIONS_TABLE        = aws_dynamodb_table.sessions.name
-      APPLICATIONS_TABLE    = aws_dynamodb_table.applications.name
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      APPLICATIONS_TABLE         = aws_dynamodb_table.applications.name
+      USER_APPLICATIONS_TABLE    = aws_dynamodb_table.user_applications.name
+      GRANTS_TABLE               = aws_dynamodb_table.grants.name
+      CONSENT_PAGE_URL           = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/consent.html"
+      SSO_SESSIONS_TABLE         = aws_dynamodb_table.sso_sessions.name
+      SSO_SESSION_IDLE_SECONDS   = var.sso_session_idle_timeout_minutes * 60
+      SSO_SESSION_MAX_SECONDS    = var.sso_session_max_lifetime_hours * 3600
+      GROUP_MEMBERS_TABLE        = aws_dynamodb_table.group_members.name
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
     }
   }
 
@@ -278,4 +422,385 @@ resource "aws_lambda_permission" "complete_auth" {
   source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
 }
 
+# Lambda function for token introspection endpoint
+resource "aws_lambda_function" "introspect" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-introspect"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "introspect.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+    }
+  }
 
+  tags = {
+    Name = "${local.project_name}-${local.environment}-introspect"
+  }
+}
+
+resource "aws_lambda_permission" "introspect" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.introspect.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for passkey (WebAuthn) sign-in and registration
+resource "aws_lambda_function" "passkey" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-passkey"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "passkey.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      LANDING_PAGE_URL           = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/landing.html"
+      CUSTOM_SCOPES              = join(" ", var.custom_scopes)
+      PKCE_ALLOW_PLAIN           = tostring(var.pkce_allow_plain)
+      LOGIN_ATTEMPTS_TABLE       = aws_dynamodb_table.login_attempts.name
+      LOGIN_LOCKOUT_THRESHOLD    = var.login_lockout_threshold
+      LOGIN_IP_LOCKOUT_THRESHOLD = var.login_ip_lockout_threshold
+      LOGIN_LOCKOUT_SECONDS      = var.login_lockout_minutes * 60
+      WEBAUTHN_CREDENTIALS_TABLE = aws_dynamodb_table.webauthn_credentials.name
+      WEBAUTHN_RP_ID             = local.webauthn_rp_id
+      WEBAUTHN_RP_NAME           = "OIDC Provider"
+      WEBAUTHN_ORIGIN            = local.webauthn_origin
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-passkey"
+  }
+}
+
+resource "aws_lambda_permission" "passkey" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.passkey.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for the consent page and connected apps
+resource "aws_lambda_function" "consent" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-consent"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "consent.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      GRANTS_TABLE               = aws_dynamodb_table.grants.name
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-consent"
+  }
+}
+
+resource "aws_lambda_permission" "consent" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.consent.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for RP-initiated and back-channel logout
+resource "aws_lambda_function" "logout" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-logout"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "logout.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      SSO_SESSIONS_TABLE         = aws_dynamodb_table.sso_sessions.name
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-logout"
+  }
+}
+
+resource "aws_lambda_permission" "logout" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.logout.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for the self-service account page
+resource "aws_lambda_function" "account" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-account"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "account.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE             = aws_dynamodb_table.sessions.name
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+      LOGIN_ATTEMPTS_TABLE       = aws_dynamodb_table.login_attempts.name
+      LOGIN_LOCKOUT_THRESHOLD    = var.login_lockout_threshold
+      LOGIN_IP_LOCKOUT_THRESHOLD = var.login_ip_lockout_threshold
+      LOGIN_LOCKOUT_SECONDS      = var.login_lockout_minutes * 60
+      SSO_SESSIONS_TABLE         = aws_dynamodb_table.sso_sessions.name
+      MAIL_TRANSPORT             = var.mail_transport
+      MAIL_FROM                  = var.mail_from
+      ACCOUNT_PAGE_URL           = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/account.html"
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-account"
+  }
+}
+
+resource "aws_lambda_permission" "account" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.account.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for the forgot-password flow
+resource "aws_lambda_function" "password_reset" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-password-reset"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "password-reset.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME           = local.issuer_url_parameter
+      USERS_TABLE                     = aws_dynamodb_table.users.name
+      CLIENTS_TABLE                   = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE                = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE            = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME             = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME      = local.legacy_jwt_keys_parameter
+      PASSWORD_RESETS_TABLE           = aws_dynamodb_table.password_resets.name
+      PASSWORD_RESET_LIFETIME_SECONDS = var.password_reset_token_lifetime_minutes * 60
+      RESET_PASSWORD_PAGE_URL         = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/reset-password.html"
+      SESSIONS_TABLE                  = aws_dynamodb_table.sessions.name
+      SSO_SESSIONS_TABLE              = aws_dynamodb_table.sso_sessions.name
+      LOGIN_ATTEMPTS_TABLE            = aws_dynamodb_table.login_attempts.name
+      MAIL_TRANSPORT                  = var.mail_transport
+      MAIL_FROM                       = var.mail_from
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-password-reset"
+  }
+}
+
+resource "aws_lambda_permission" "password_reset" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.password_reset.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for the admin REST API
+resource "aws_lambda_function" "admin" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-admin"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "admin.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      APPLICATIONS_TABLE         = aws_dynamodb_table.applications.name
+      USER_APPLICATIONS_TABLE    = aws_dynamodb_table.user_applications.name
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+      ADMIN_SCOPE                = var.admin_scope
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-admin"
+  }
+}
+
+resource "aws_lambda_permission" "admin" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.admin.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for dynamic client registration
+resource "aws_lambda_function" "register" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-register"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "register.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME      = local.issuer_url_parameter
+      USERS_TABLE                = aws_dynamodb_table.users.name
+      CLIENTS_TABLE              = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE           = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE       = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME        = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME = local.legacy_jwt_keys_parameter
+      REVOKED_TOKENS_TABLE       = aws_dynamodb_table.revoked_tokens.name
+      CUSTOM_SCOPES              = join(" ", var.custom_scopes)
+      REGISTRATION_SCOPE         = var.client_registration_scope
+      AUDIT_TABLE                = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS       = var.audit_retention_days
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-register"
+  }
+}
+
+resource "aws_lambda_permission" "register" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.register.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
+
+# Lambda function for sign-in with upstream identity providers
+resource "aws_lambda_function" "federation" {
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "${local.project_name}-${local.environment}-federation"
+  role             = aws_iam_role.lambda_exec.arn
+  handler          = "federation.handler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 30
+  memory_size      = 256
+
+  environment {
+    variables = {
+      ISSUER_URL_PARAM_NAME         = local.issuer_url_parameter
+      USERS_TABLE                   = aws_dynamodb_table.users.name
+      CLIENTS_TABLE                 = aws_dynamodb_table.clients.name
+      AUTH_CODES_TABLE              = aws_dynamodb_table.auth_codes.name
+      REFRESH_TOKENS_TABLE          = aws_dynamodb_table.refresh_tokens.name
+      JWT_KEYS_PARAM_NAME           = local.jwt_keys_parameter
+      JWT_LEGACY_KEYS_PARAM_NAME    = local.legacy_jwt_keys_parameter
+      SESSIONS_TABLE                = aws_dynamodb_table.sessions.name
+      LOGIN_PAGE_URL                = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/login.html"
+      LANDING_PAGE_URL              = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/landing.html"
+      CUSTOM_SCOPES                 = join(" ", var.custom_scopes)
+      PKCE_ALLOW_PLAIN              = tostring(var.pkce_allow_plain)
+      FEDERATED_IDENTITIES_TABLE    = aws_dynamodb_table.federated_identities.name
+      UPSTREAM_PROVIDERS_PARAM_NAME = aws_ssm_parameter.upstream_providers.name
+      AUDIT_TABLE                   = aws_dynamodb_table.audit_events.name
+      AUDIT_RETENTION_DAYS          = var.audit_retention_days
+    }
+  }
+
+  tags = {
+    Name = "${local.project_name}-${local.environment}-federation"
+  }
+}
+
+resource "aws_lambda_permission" "federation" {
+  statement_id  = "AllowAPIGatewayInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.federation.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.oidc.execution_arn}/*/*"
+}
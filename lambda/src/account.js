@@ -0,0 +1,416 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  getUserById,
+  isUserDisabled,
+  verifyUserPassword,
+  updateUserPassword,
+  checkPasswordStrength,
+  isValidEmail,
+  PROFILE_FIELDS,
+  checkProfileField,
+  updateUserProfile,
+  updateUserEmail,
+  markEmailVerified,
+  consumeEmailVerification,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  revokeUserRefreshTokens,
+  createJWT,
+  verifyJWT,
+  parseRequestBody,
+  createResponse,
+  createErrorResponse,
+  createHTMLResponse
+} = require('./utils');
+const {
+  getAuthenticatedLoginSession,
+  createAccountSession,
+  getAccountSession,
+  getSessionPageUrl,
+  throttleError,
+  getApiUrl,
+  ACCOUNT_DISABLED_ERROR
+} = require('./auth-flow');
+const { getSsoSession, getSsoSessionById, deleteUserSsoSessions } = require('./sso-session');
+const { sendMail } = require('./mailer');
+
+/**
+ * Self-service account handler
+ *
+ * GET  /account/start         - open the account page for the browser's SSO session
+ * POST /account/start         - open the account page from the landing page (session)
+ * POST /account               - the signed-in user's email and profile (session)
+ * POST /account/profile       - update profile fields (session, any of PROFILE_FIELDS)
+ * POST /account/password      - change password (session, current_password, new_password)
+ * POST /account/email         - change email (session, email, current_password) or resend
+ *                               the verification link for the current one (session)
+ * GET  /account/email/verify  - verification link from the email (?token=...)
+ *
+ * POST bodies are form encoded so the static account page can call them without a
+ * CORS preflight. The session is an account session from /account/start, which ends
+ * with the SSO session it was started from, so the page works outside a sign-in.
+ */
+
+const ACCOUNT_PAGE_URL = process.env.ACCOUNT_PAGE_URL;
+
+// Verification links are signed JWTs, single use and short lived
+const EMAIL_VERIFICATION_LIFETIME = '1h';
+const EMAIL_VERIFICATION_PURPOSE = 'email_verification';
+
+exports.handler = async (event) => {
+  try {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+
+    switch (`${method} ${event.resource}`) {
+      case 'GET /account/start':
+        return await startAccountSession(event, null);
+
+      case 'POST /account/start':
+        return await startAccountSession(event, parseRequestBody(event).session);
+
+      case 'POST /account':
+        return await getAccount(parseRequestBody(event));
+
+      case 'POST /account/profile':
+        return await updateProfile(parseRequestBody(event));
+
+      case 'POST /account/password':
+        return await changePassword(event, parseRequestBody(event));
+
+      case 'POST /account/email':
+        return await changeEmail(event, parseRequestBody(event));
+
+      case 'GET /account/email/verify':
+        return await verifyEmail(event.queryStringParameters || {});
+
+      default:
+        return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+  } catch (error) {
+    console.error('Error in account handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
+
+/**
+ * Open the account page with a new account session
+ * Without a login session the user is found from the SSO cookie, so the page can
+ * be opened directly; the landing page passes its login session because the SSO
+ * cookie is only set once the user continues to the application.
+ * @param {object} event - API Gateway event
+ * @param {string|null} loginSessionId - Signed-in login session from the landing page
+ */
+async function startAccountSession(event, loginSessionId) {
+  let userId = null;
+  let ssoSession = null;
+
+  if (loginSessionId) {
+    const sessionData = await getAuthenticatedLoginSession(loginSessionId);
+    // A session continued from an SSO session that has since ended is not signed in
+    ssoSession = sessionData?.sso_session_id ? await getSsoSessionById(sessionData.sso_session_id) : null;
+    if (sessionData && (!sessionData.sso_session_id || ssoSession)) {
+      userId = sessionData.user_id;
+    }
+  } else {
+    ssoSession = await getSsoSession(event);
+    userId = ssoSession?.user_id || null;
+  }
+
+  const user = userId && await getUserById(userId);
+  let error = null;
+  if (!user) {
+    error = 'login_required';
+  } else if (isUserDisabled(user)) {
+    error = ACCOUNT_DISABLED_ERROR.error;
+  }
+
+  let location;
+  if (error) {
+    location = new URL(ACCOUNT_PAGE_URL);
+    location.searchParams.append('error', error);
+    location.searchParams.append('api_url', getApiUrl(event));
+    location = location.toString();
+  } else {
+    const accountSession = await createAccountSession(user.user_id, ssoSession);
+    location = getSessionPageUrl(event, ACCOUNT_PAGE_URL, accountSession);
+  }
+
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': location,
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    },
+    body: ''
+  };
+}
+
+// Load the account session and its user
+// The session ends with the SSO session it was started from, e.g. at /logout
+async function loadAccount(params) {
+  const accountSession = await getAccountSession(params.session);
+  const ssoEnded = accountSession?.sso_session_id && !await getSsoSessionById(accountSession.sso_session_id);
+  const user = accountSession && !ssoEnded && await getUserById(accountSession.user_id);
+  if (!user) {
+    return { error: createErrorResponse('unauthorized', 'Invalid or expired session', 401) };
+  }
+  if (isUserDisabled(user)) {
+    const { error, error_description } = ACCOUNT_DISABLED_ERROR;
+    return { error: createErrorResponse(error, error_description, 403) };
+  }
+  return { user, accountSession };
+}
+
+// Account details that are safe to show to the user
+function describeAccount(user) {
+  return {
+    username: user.username,
+    email: user.email,
+    email_verified: user.email_verified || false,
+    profile: user.profile || {}
+  };
+}
+
+// Check the current password, counting failures like failed sign-ins
+async function checkCurrentPassword(event, user, password) {
+  const sourceIp = event.requestContext?.identity?.sourceIp;
+  const throttle = await checkLoginThrottle(user.username, sourceIp);
+  if (throttle) {
+    const { error, error_description } = throttleError(throttle);
+    return createErrorResponse(error, error_description, 429);
+  }
+
+  if (!password || !await verifyUserPassword(user.username, password)) {
+    await recordLoginFailure(user.username, sourceIp);
+    return createErrorResponse('invalid_credentials', 'Current password is incorrect', 403);
+  }
+
+  await clearLoginFailures(user.username);
+  return null;
+}
+
+async function getAccount(params) {
+  const { error, user } = await loadAccount(params);
+  if (error) {
+    return error;
+  }
+
+  return createResponse(200, describeAccount(user));
+}
+
+/**
+ * Update the fields present in the request; empty values remove a field
+ */
+async function updateProfile(params) {
+  const { error, user } = await loadAccount(params);
+  if (error) {
+    return error;
+  }
+
+  const profile = { ...(user.profile || {}) };
+  for (const field of PROFILE_FIELDS) {
+    if (params[field] === undefined) continue;
+
+    const value = params[field].trim();
+    const problem = checkProfileField(field, value);
+    if (problem) {
+      return createErrorResponse('invalid_request', problem);
+    }
+
+    if (value) {
+      profile[field] = value;
+    } else {
+      delete profile[field];
+    }
+  }
+
+  const updated = await updateUserProfile(user.user_id, profile);
+  console.log('Profile updated:', JSON.stringify({ user_id: user.user_id }));
+
+  return createResponse(200, describeAccount(updated));
+}
+
+/**
+ * Change the password after checking the current one
+ * Other devices are signed out: their SSO sessions end and refresh tokens are revoked.
+ * This browser's SSO session is kept, so the account page stays signed in.
+ */
+async function changePassword(event, params) {
+  const { error, user, accountSession } = await loadAccount(params);
+  if (error) {
+    return error;
+  }
+
+  const { current_password, new_password } = params;
+  if (!new_password) {
+    return createErrorResponse('invalid_request', 'Missing new_password');
+  }
+
+  const passwordError = await checkCurrentPassword(event, user, current_password);
+  if (passwordError) {
+    return passwordError;
+  }
+
+  const problem = checkPasswordStrength(new_password);
+  if (problem) {
+    return createErrorResponse('invalid_request', problem);
+  }
+  if (new_password === current_password) {
+    return createErrorResponse('invalid_request', 'New password must be different from the current one');
+  }
+
+  await updateUserPassword(user.user_id, new_password);
+  const ssoSessions = await deleteUserSsoSessions(user.user_id, accountSession.sso_session_id);
+  const refreshTokens = await revokeUserRefreshTokens(user.user_id);
+  console.log('Password changed by user:', JSON.stringify({
+    user_id: user.user_id,
+    sso_sessions: ssoSessions,
+    refresh_tokens: refreshTokens
+  }));
+
+  return createResponse(200, { message: 'Password changed' });
+}
+
+/**
+ * Change the email address, or resend the link for the current one
+ * A new address needs the current password and starts unverified.
+ */
+async function changeEmail(event, params) {
+  const { error, user } = await loadAccount(params);
+  if (error) {
+    return error;
+  }
+
+  const email = (params.email || '').trim();
+  if (!email && !user.email) {
+    return createErrorResponse('invalid_request', 'Missing email');
+  }
+
+  if (email && email !== user.email) {
+    if (!isValidEmail(email)) {
+      return createErrorResponse('invalid_request', 'Invalid email format');
+    }
+
+    const passwordError = await checkCurrentPassword(event, user, params.current_password);
+    if (passwordError) {
+      return passwordError;
+    }
+
+    await updateUserEmail(user.user_id, email);
+    console.log('Email changed by user:', JSON.stringify({ user_id: user.user_id }));
+  } else if (user.email_verified) {
+    return createErrorResponse('invalid_request', 'Email address is already verified');
+  }
+
+  await sendVerificationEmail(event, user, email || user.email);
+
+  return createResponse(200, {
+    message: 'Verification email sent',
+    email: email || user.email,
+    email_verified: false
+  });
+}
+
+// Email a signed, single-use link that verifies the address
+async function sendVerificationEmail(event, user, email) {
+  const token = await createJWT({
+    sub: user.user_id,
+    email: email,
+    purpose: EMAIL_VERIFICATION_PURPOSE,
+    jti: uuidv4()
+  }, EMAIL_VERIFICATION_LIFETIME);
+
+  const verifyUrl = new URL(`${getApiUrl(event)}/account/email/verify`);
+  verifyUrl.searchParams.append('token', token);
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.username},\n\n` +
+      `Open this link within an hour to verify your email address:\n\n${verifyUrl.toString()}\n\n` +
+      'If you did not ask for this, you can ignore this email.\n'
+  });
+}
+
+async function verifyEmail(params) {
+  let claims;
+  try {
+    claims = await verifyJWT(params.token || '');
+  } catch (error) {
+    console.warn('Invalid email verification token:', error.message);
+    return createHTMLResponse(renderMessagePage('Link expired',
+      'This verification link is invalid or has expired. Request a new one from your account page.'), 400);
+  }
+
+  // Only tokens minted for this purpose, e.g. not access or ID tokens
+  if (claims.purpose !== EMAIL_VERIFICATION_PURPOSE || !claims.jti) {
+    return createHTMLResponse(renderMessagePage('Link expired',
+      'This verification link is invalid or has expired. Request a new one from your account page.'), 400);
+  }
+
+  if (!await consumeEmailVerification(claims.sub, claims.jti, claims.exp)) {
+    return createHTMLResponse(renderMessagePage('Link already used',
+      'This verification link has already been used.'), 400);
+  }
+
+  if (!await markEmailVerified(claims.sub, claims.email)) {
+    return createHTMLResponse(renderMessagePage('Address changed',
+      'Your email address has changed since this link was sent. Use the link in the latest email.'), 400);
+  }
+
+  console.log('Email verified:', JSON.stringify({ user_id: claims.sub }));
+  return createHTMLResponse(renderMessagePage('Email verified',
+    'Your email address has been verified. You can close this window.'));
+}
+
+// Simple page for the outcome of a verification link
+function renderMessagePage(title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} - OIDC Provider</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+    }
+
+    .container {
+      background: white;
+      border-radius: 12px;
+      box-shadow: 0 10px 40px rgba(0, 0, 0, 0.1);
+      padding: 40px;
+      max-width: 420px;
+      text-align: center;
+    }
+
+    h1 {
+      color: #333;
+      font-size: 24px;
+      margin: 0 0 8px;
+    }
+
+    p {
+      color: #666;
+      font-size: 14px;
+      margin: 0;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${title}</h1>
+    <p>${message}</p>
+  </div>
+</body>
+</html>`;
+}
@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+const {
+  getUserByUsername,
+  getClientById,
+  DEFAULT_CLIENT_GRANT_TYPES,
+  listClients,
+  createClientRecord,
+  saveClientRecord,
+  deleteClientRecord,
+  getApplicationById,
+  listApplications,
+  createApplicationRecord,
+  saveApplicationRecord,
+  deleteApplicationRecord,
+  listUserApplications,
+  setUserApplicationAccounts,
+  unassignUserApplication,
+  getUserApplication,
+  parseJsonBody,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const { authorizeClientToken } = require('./client-auth');
+const { recordAuditEvent, getResponseOutcome } = require('./audit');
+const {
+  ID_PATTERN,
+  checkString,
+  checkBoolean,
+  checkHttpUrl,
+  listOf,
+  stringMap,
+  CLIENT_FIELDS,
+  applyFields,
+  describeClient,
+  clientAuthMethod,
+  checkClientSettings,
+  provisionClientSecret,
+  SECRET_AUTH_METHODS
+} = require('./client-metadata');
+
+/**
+ * Admin REST API for clients, applications and application assignments
+ *
+ * GET    /admin/clients                                     - list clients (?limit, nextToken)
+ * POST   /admin/clients                                     - register a client; returns its secret once
+ * GET    /admin/clients/{client_id}                         - show a client
+ * PUT    /admin/clients/{client_id}                         - change a client's settings
+ * DELETE /admin/clients/{client_id}                         - delete a client
+ * POST   /admin/clients/{client_id}/secret                  - rotate a client's secret
+ * GET    /admin/applications                                - list applications (?limit, nextToken)
+ * POST   /admin/applications                                - register an application
+ * GET    /admin/applications/{application_id}               - show an application
+ * PUT    /admin/applications/{application_id}               - change an application
+ * DELETE /admin/applications/{application_id}               - delete an application
+ * GET    /admin/users/{username}/applications               - list a user's application assignments
+ * PUT    /admin/users/{username}/applications/{application_id} - assign an application (accounts)
+ * DELETE /admin/users/{username}/applications/{application_id} - remove an assignment
+ *
+ * Bodies are JSON. PUT changes only the fields present in the body; null removes
+ * an optional field.
+ *
+ * Callers authenticate with an access token from this provider's client_credentials
+ * grant, carrying the ADMIN_SCOPE scope and the <issuer>/admin audience. Every
+ * request other than a GET is written to the audit log as admin.api.
+ */
+
+const ADMIN_SCOPE = process.env.ADMIN_SCOPE || 'admin';
+const MAX_LIST_LIMIT = 100;
+
+exports.handler = async (event) => {
+  const method = event.httpMethod || event.requestContext?.http?.method;
+  const admin = {};
+  const response = await handleAdminRequest(event, method, admin);
+
+  if (method !== 'GET') {
+    const path = event.pathParameters || {};
+    const user = path.username && await getUserByUsername(path.username).catch(() => null);
+    await recordAuditEvent(event, {
+      type: 'admin.api',
+      ...getResponseOutcome(response),
+      actor: admin.adminClientId && `client:${admin.adminClientId}`,
+      userId: user?.user_id,
+      username: path.username,
+      clientId: path.client_id,
+      details: { route: `${method} ${event.resource}`, application_id: path.application_id }
+    });
+  }
+
+  return response;
+};
+
+/**
+ * Authorize and route an admin request
+ * @param {object} event - Lambda event
+ * @param {string} method - HTTP method
+ * @param {object} admin - Filled in with the calling client's adminClientId
+ */
+async function handleAdminRequest(event, method, admin) {
+  try {
+    const { error, clientId } = await authorizeClientToken(event, 'admin', ADMIN_SCOPE);
+    if (error) {
+      return error;
+    }
+
+    const path = event.pathParameters || {};
+    admin.adminClientId = clientId;
+
+    switch (`${method} ${event.resource}`) {
+      case 'GET /admin/clients':
+        return await listClientsRoute(event.queryStringParameters || {});
+
+      case 'POST /admin/clients':
+        return await createClientRoute(event, admin);
+
+      case 'GET /admin/clients/{client_id}':
+        return await getClientRoute(path.client_id);
+
+      case 'PUT /admin/clients/{client_id}':
+        return await updateClientRoute(path.client_id, event, admin);
+
+      case 'DELETE /admin/clients/{client_id}':
+        return await deleteClientRoute(path.client_id, admin);
+
+      case 'POST /admin/clients/{client_id}/secret':
+        return await rotateClientSecretRoute(path.client_id, admin);
+
+      case 'GET /admin/applications':
+        return await listApplicationsRoute(event.queryStringParameters || {});
+
+      case 'POST /admin/applications':
+        return await createApplicationRoute(event, admin);
+
+      case 'GET /admin/applications/{application_id}':
+        return await getApplicationRoute(path.application_id);
+
+      case 'PUT /admin/applications/{application_id}':
+        return await updateApplicationRoute(path.application_id, event, admin);
+
+      case 'DELETE /admin/applications/{application_id}':
+        return await deleteApplicationRoute(path.application_id, admin);
+
+      case 'GET /admin/users/{username}/applications':
+        return await listAssignmentsRoute(path.username);
+
+      case 'PUT /admin/users/{username}/applications/{application_id}':
+        return await assignApplicationRoute(path.username, path.application_id, event, admin);
+
+      case 'DELETE /admin/users/{username}/applications/{application_id}':
+        return await unassignApplicationRoute(path.username, path.application_id, admin);
+
+      default:
+        return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+  } catch (error) {
+    console.error('Error in admin handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+}
+
+// Read limit and nextToken query parameters and fetch one page
+async function fetchPage(list, query) {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return { error: createErrorResponse('invalid_request', `limit must be a whole number from 1 to ${MAX_LIST_LIMIT}`) };
+  }
+
+  try {
+    return { page: await list(limit, query.nextToken || null) };
+  } catch (error) {
+    // A malformed token fails to decode or is rejected by DynamoDB
+    if (query.nextToken && (error instanceof SyntaxError || error.name === 'ValidationException')) {
+      return { error: createErrorResponse('invalid_request', 'Invalid nextToken') };
+    }
+    throw error;
+  }
+}
+
+function notFound(description) {
+  return createErrorResponse('not_found', description, 404);
+}
+
+// Application settings the admin API manages, with their checks
+const APPLICATION_FIELDS = {
+  name: checkString,
+  description: checkString,
+  icon: checkString,
+  client_id: checkString,
+  redirect_url: checkHttpUrl,
+  enabled: checkBoolean,
+  role_arn: (field, value) => typeof value === 'string' && /^arn:aws[a-z-]*:iam::\d{12}:role\/.+$/.test(value)
+    ? null
+    : `${field} must be an IAM role ARN`,
+  claim_names: stringMap(['application', 'account', 'role', 'session_tags'])
+};
+
+async function listClientsRoute(query) {
+  const { error, page } = await fetchPage(listClients, query);
+  if (error) {
+    return error;
+  }
+
+  return createResponse(200, {
+    clients: page.clients.map(describeClient),
+    ...(page.nextToken && { nextToken: page.nextToken })
+  });
+}
+
+async function createClientRoute(event, admin) {
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_request', 'Body must be a JSON object');
+  }
+
+  const clientId = body.client_id === undefined ? crypto.randomUUID() : body.client_id;
+  if (typeof clientId !== 'string' || !ID_PATTERN.test(clientId)) {
+    return createErrorResponse('invalid_request', 'client_id must be 3-100 letters, numbers, dots, dashes or underscores');
+  }
+
+  const { problem, record } = applyFields({
+    grant_types: DEFAULT_CLIENT_GRANT_TYPES,
+    token_endpoint_auth_method: 'client_secret_basic'
+  }, body, CLIENT_FIELDS, ['client_id']);
+  const settingsProblem = problem || checkClientSettings(record);
+  if (settingsProblem) {
+    return createErrorResponse('invalid_request', settingsProblem);
+  }
+
+  const now = new Date().toISOString();
+  const client = { ...record, client_id: clientId, created_at: now, updated_at: now };
+  const secret = provisionClientSecret(client, true);
+
+  if (!await createClientRecord(client)) {
+    return createErrorResponse('invalid_request', 'Client already exists', 409);
+  }
+  console.log('Client created by admin:', JSON.stringify({ client_id: clientId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(201, {
+    client: describeClient(client),
+    ...(secret && { client_secret: secret })
+  });
+}
+
+async function getClientRoute(clientId) {
+  const client = await getClientById(clientId);
+  if (!client) {
+    return notFound('Client not found');
+  }
+
+  return createResponse(200, { client: describeClient(client) });
+}
+
+async function updateClientRoute(clientId, event, admin) {
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_request', 'Body must be a JSON object');
+  }
+  if (body.client_id !== undefined && body.client_id !== clientId) {
+    return createErrorResponse('invalid_request', 'client_id cannot be changed');
+  }
+
+  const existing = await getClientById(clientId);
+  if (!existing) {
+    return notFound('Client not found');
+  }
+
+  // Removing grant_types or token_endpoint_auth_method falls back to the token endpoint's defaults
+  const { problem, record } = applyFields(existing, body, CLIENT_FIELDS, ['client_id']);
+  const settingsProblem = problem || checkClientSettings(record);
+  if (settingsProblem) {
+    return createErrorResponse('invalid_request', settingsProblem);
+  }
+
+  const client = { ...record, updated_at: new Date().toISOString() };
+  const secret = provisionClientSecret(client, false);
+  await saveClientRecord(client);
+  console.log('Client updated by admin:', JSON.stringify({ client_id: clientId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(200, {
+    client: describeClient(client),
+    ...(secret && { client_secret: secret })
+  });
+}
+
+async function deleteClientRoute(clientId, admin) {
+  if (!await getClientById(clientId)) {
+    return notFound('Client not found');
+  }
+
+  // Its refresh tokens and codes stop working, since /token looks the client up
+  await deleteClientRecord(clientId);
+  console.log('Client deleted by admin:', JSON.stringify({ client_id: clientId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(200, { message: 'Client deleted', client_id: clientId });
+}
+
+async function rotateClientSecretRoute(clientId, admin) {
+  const client = await getClientById(clientId);
+  if (!client) {
+    return notFound('Client not found');
+  }
+
+  const authMethod = clientAuthMethod(client);
+  if (!SECRET_AUTH_METHODS.includes(authMethod)) {
+    return createErrorResponse('invalid_request', `Clients using ${authMethod} have no secret to rotate`);
+  }
+
+  // The old secret stops working at once
+  const updated = { ...client, updated_at: new Date().toISOString() };
+  const secret = provisionClientSecret(updated, true);
+  await saveClientRecord(updated);
+  console.log('Client secret rotated by admin:', JSON.stringify({ client_id: clientId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(200, {
+    client: describeClient(updated),
+    client_secret: secret
+  });
+}
+
+async function listApplicationsRoute(query) {
+  const { error, page } = await fetchPage(listApplications, query);
+  if (error) {
+    return error;
+  }
+
+  return createResponse(200, {
+    applications: page.applications,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  });
+}
+
+// Check application settings as a whole, including that its client exists
+async function checkApplicationSettings(application) {
+  if (!application.name) {
+    return 'name is required';
+  }
+  if (application.client_id && !await getClientById(application.client_id)) {
+    return `Client not found: ${application.client_id}`;
+  }
+  return null;
+}
+
+async function createApplicationRoute(event, admin) {
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_request', 'Body must be a JSON object');
+  }
+
+  const applicationId = body.application_id;
+  if (typeof applicationId !== 'string' || !ID_PATTERN.test(applicationId)) {
+    return createErrorResponse('invalid_request', 'application_id must be 3-100 letters, numbers, dots, dashes or underscores');
+  }
+
+  const { problem, record } = applyFields({ enabled: true }, body, APPLICATION_FIELDS, ['application_id']);
+  const settingsProblem = problem || await checkApplicationSettings(record);
+  if (settingsProblem) {
+    return createErrorResponse('invalid_request', settingsProblem);
+  }
+
+  const now = new Date().toISOString();
+  const application = { ...record, application_id: applicationId, created_at: now, updated_at: now };
+  if (!await createApplicationRecord(application)) {
+    return createErrorResponse('invalid_request', 'Application already exists', 409);
+  }
+  console.log('Application created by admin:', JSON.stringify({ application_id: applicationId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(201, { application });
+}
+
+async function getApplicationRoute(applicationId) {
+  const application = await getApplicationById(applicationId);
+  if (!application) {
+    return notFound('Application not found');
+  }
+
+  return createResponse(200, { application });
+}
+
+async function updateApplicationRoute(applicationId, event, admin) {
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_request', 'Body must be a JSON object');
+  }
+  if (body.application_id !== undefined && body.application_id !== applicationId) {
+    return createErrorResponse('invalid_request', 'application_id cannot be changed');
+  }
+
+  const existing = await getApplicationById(applicationId);
+  if (!existing) {
+    return notFound('Application not found');
+  }
+
+  const { problem, record } = applyFields(existing, body, APPLICATION_FIELDS, ['application_id']);
+  const settingsProblem = problem || await checkApplicationSettings(record);
+  if (settingsProblem) {
+    return createErrorResponse('invalid_request', settingsProblem);
+  }
+
+  const application = { ...record, updated_at: new Date().toISOString() };
+  await saveApplicationRecord(application);
+  console.log('Application updated by admin:', JSON.stringify({ application_id: applicationId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(200, { application });
+}
+
+async function deleteApplicationRoute(applicationId, admin) {
+  if (!await getApplicationById(applicationId)) {
+    return notFound('Application not found');
+  }
+
+  // Assignments left behind are ignored: the landing page and /complete-auth need the application
+  await deleteApplicationRecord(applicationId);
+  console.log('Application deleted by admin:', JSON.stringify({ application_id: applicationId, admin_client_id: admin.adminClientId }));
+
+  return createResponse(200, { message: 'Application deleted', application_id: applicationId });
+}
+
+// Assignment as returned by the API
+function describeAssignment(userApp) {
+  return {
+    application_id: userApp.application_id,
+    accounts: userApp.accounts || [],
+    created_at: userApp.created_at,
+    ...(userApp.updated_at && { updated_at: userApp.updated_at })
+  };
+}
+
+async function listAssignmentsRoute(username) {
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return notFound('User not found');
+  }
+
+  const userApps = await listUserApplications(user.user_id);
+  return createResponse(200, {
+    username: username,
+    applications: userApps.map(describeAssignment)
+  });
+}
+
+async function assignApplicationRoute(username, applicationId, event, admin) {
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_request', 'Body must be a JSON object');
+  }
+
+  const accounts = body.accounts === undefined ? [] : body.accounts;
+  const problem = listOf(checkString)('accounts', accounts);
+  if (problem) {
+    return createErrorResponse('invalid_request', problem);
+  }
+
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return notFound('User not found');
+  }
+  if (!await getApplicationById(applicationId)) {
+    return notFound('Application not found');
+  }
+
+  const userApp = await setUserApplicationAccounts(user.user_id, applicationId, [...new Set(accounts)]);
+  console.log('Application assigned by admin:', JSON.stringify({
+    user_id: user.user_id,
+    application_id: applicationId,
+    admin_client_id: admin.adminClientId
+  }));
+
+  return createResponse(200, {
+    username: username,
+    application: describeAssignment(userApp)
+  });
+}
+
+async function unassignApplicationRoute(username, applicationId, admin) {
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return notFound('User not found');
+  }
+  if (!await getUserApplication(user.user_id, applicationId)) {
+    return notFound('Assignment not found');
+  }
+
+  await unassignUserApplication(user.user_id, applicationId);
+  console.log('Application unassigned by admin:', JSON.stringify({
+    user_id: user.user_id,
+    application_id: applicationId,
+    admin_client_id: admin.adminClientId
+  }));
+
+  return createResponse(200, { message: 'Assignment removed', username: username, application_id: applicationId });
+}
@@ -0,0 +1,147 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+const { redact } = require('./log-redaction');
+
+/**
+ * Audit log of authentication, token and administration events
+ *
+ * Each event is one item in the audit table, with who acted, for which user and
+ * client, from which IP address and user agent, and whether it succeeded. The
+ * user-index lets operators list a user's events, newest first. Items expire
+ * after AUDIT_RETENTION_DAYS.
+ *
+ * Event types:
+ *   login            - password, passkey or upstream identity provider sign-in (details.method)
+ *   mfa              - second factor for a password sign-in (details.method)
+ *   code.issue       - authorization code issued at /complete-auth
+ *   token.issue      - tokens from the authorization_code or client_credentials grant
+ *   token.refresh    - tokens from the refresh_token grant
+ *   token.revoke     - token revoked at /revoke
+ *   logout           - RP-initiated logout
+ *   admin.<name>     - change made with the user-management Lambda, the admin API or /register
+ *
+ * Recording never fails the request it describes: write errors are logged instead.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: { removeUndefinedValues: true }
+});
+
+const AUDIT_TABLE = process.env.AUDIT_TABLE;
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '365', 10);
+
+// Longest user agent kept, so one header cannot make items large
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Source IP and user agent of an API Gateway request; console invocations have neither
+function getRequestOrigin(event) {
+  const headers = event?.headers || {};
+  const userAgent = headers['User-Agent'] || headers['user-agent'];
+  return {
+    ip: event?.requestContext?.identity?.sourceIp,
+    user_agent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : undefined
+  };
+}
+
+/**
+ * Record an audit event
+ * @param {object} event - Lambda event the action came in on, for the IP address and user agent
+ * @param {object} entry - Event description
+ * @param {string} entry.type - Event type, e.g. 'login' or 'token.issue'
+ * @param {string} [entry.outcome] - 'success' (default) or 'failure'
+ * @param {string} [entry.reason] - Error code of a failure
+ * @param {string} [entry.userId] - User the event is about
+ * @param {string} [entry.username] - Username, e.g. for sign-ins with an unknown username
+ * @param {string} [entry.clientId] - Client involved
+ * @param {string} [entry.actor] - Who acted: 'user:<id>', 'client:<id>' or 'operator';
+ *   defaults to the user, then the client
+ * @param {object} [entry.details] - Other attributes; secrets are redacted
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(event, entry) {
+  const now = new Date();
+  const item = {
+    event_id: crypto.randomUUID(),
+    timestamp: now.toISOString(),
+    event_type: entry.type,
+    outcome: entry.outcome || 'success',
+    reason: entry.reason,
+    actor: entry.actor ||
+      (entry.userId ? `user:${entry.userId}` : entry.clientId ? `client:${entry.clientId}` : undefined),
+    user_id: entry.userId,
+    username: entry.username,
+    client_id: entry.clientId,
+    ...getRequestOrigin(event),
+    details: entry.details && redact(entry.details),
+    expires_at: Math.floor(now.getTime() / 1000) + AUDIT_RETENTION_DAYS * 24 * 60 * 60
+  };
+
+  if (!AUDIT_TABLE) {
+    console.warn('AUDIT_TABLE is not set, audit event not stored:', JSON.stringify(item));
+    return;
+  }
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: AUDIT_TABLE,
+      Item: item
+    }));
+  } catch (error) {
+    console.error('Failed to store audit event:', JSON.stringify(item), error);
+  }
+}
+
+/**
+ * Outcome of a handler response, for audit events recorded after the fact
+ * @param {object} response - API Gateway proxy response
+ * @returns {object} - outcome, and reason for failures
+ */
+function getResponseOutcome(response) {
+  if (response.statusCode < 400) {
+    return { outcome: 'success' };
+  }
+
+  let reason;
+  try {
+    reason = JSON.parse(response.body).error;
+  } catch (error) {
+    // Not a JSON error body
+  }
+  return { outcome: 'failure', reason: reason || String(response.statusCode) };
+}
+
+/**
+ * List a user's audit events, newest first
+ * @param {string} userId - User ID
+ * @param {number} limit - Page size
+ * @param {string|null} nextToken - nextToken from the previous page
+ * @returns {Promise<object>} - events and nextToken (null on the last page)
+ */
+async function listAuditEvents(userId, limit, nextToken = null) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: AUDIT_TABLE,
+    IndexName: 'user-index',
+    KeyConditionExpression: 'user_id = :userId',
+    ExpressionAttributeValues: { ':userId': userId },
+    ScanIndexForward: false,
+    Limit: limit,
+    ...(nextToken && {
+      ExclusiveStartKey: JSON.parse(Buffer.from(nextToken, 'base64url').toString('utf8'))
+    })
+  }));
+
+  return {
+    events: result.Items || [],
+    nextToken: result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey), 'utf8').toString('base64url')
+      : null
+  };
+}
+
+module.exports = {
+  recordAuditEvent,
+  getResponseOutcome,
+  listAuditEvents
+};
@@ -0,0 +1,607 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+const { validateClient, checkCodeChallenge } = require('./utils');
+const { RESPONSE_TYPES, filterSupportedScopes } = require('./capabilities');
+
+/**
+ * Login sessions shared by the password (/auth), passkey (/auth/passkey), upstream identity
+ * provider (/federation), consent and logout flows
+ *
+ * A login session carries the authorization request from the first sign-in step
+ * to /landing, /consent and /complete-auth. It only counts once authenticated is true,
+ * and /complete-auth consumes it when it issues a code.
+ *
+ * An authenticated session's ID never goes in a query string. The static landing
+ * and consent pages get it in the URL fragment, which browsers do not send to
+ * servers or in Referer headers, and send it back in POST bodies. The login page
+ * URL does name a session waiting on its second factor (mfa_session), so
+ * completing a session gives it a new ID.
+ *
+ * The same table holds account sessions for the self-service account page. They
+ * carry no authorization request and are never accepted as login sessions.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+// Optional authorization request parameters may be absent from the session
+const docClient = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: { removeUndefinedValues: true }
+});
+
+const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
+const LOGIN_PAGE_URL = process.env.LOGIN_PAGE_URL;
+const LANDING_PAGE_URL = process.env.LANDING_PAGE_URL;
+
+const LOGIN_SESSION_TTL_SECONDS = 600; // 10 minutes
+const ACCOUNT_SESSION_TTL_SECONDS = 3600; // 1 hour
+const ACCOUNT_SESSION_PURPOSE = 'account';
+
+/**
+ * Validate the authorization request parameters sent with a sign-in step
+ * @param {object} params - Request parameters
+ * @returns {Promise<object>} - { client, pkceMethod } or { error, error_description }
+ */
+async function validateAuthorizationRequest(params) {
+  const {
+    client_id,
+    redirect_uri,
+    response_type,
+    code_challenge,
+    code_challenge_method,
+    max_age
+  } = params;
+
+  // Validate required parameters
+  if (!client_id || !redirect_uri || !response_type) {
+    return { error: 'invalid_request', error_description: 'Missing required parameters' };
+  }
+
+  // Validate client
+  const client = await validateClient(client_id, null, redirect_uri);
+  if (!client) {
+    return { error: 'invalid_client', error_description: 'Invalid client_id or redirect_uri' };
+  }
+
+  // Only response types in the capability registry are supported
+  if (!RESPONSE_TYPES.includes(response_type)) {
+    return {
+      error: 'unsupported_response_type',
+      error_description: `Supported response types: ${RESPONSE_TYPES.join(', ')}`
+    };
+  }
+
+  // max_age must be a non-negative number of seconds
+  if (max_age !== undefined && !/^\d+$/.test(max_age)) {
+    return { error: 'invalid_request', error_description: 'Invalid max_age parameter' };
+  }
+
+  // Enforce the client's PKCE policy before showing the login page
+  const pkce = checkCodeChallenge(client, code_challenge, code_challenge_method);
+  if (pkce.error) {
+    return { error: 'invalid_request', error_description: pkce.error };
+  }
+
+  return { client, pkceMethod: pkce.method };
+}
+
+/**
+ * Create a login session for an authorization request
+ * @param {object} params - Validated authorization request parameters
+ * @param {string} pkceMethod - Code challenge method from validateAuthorizationRequest
+ * @param {object} authState - user_id, amr, acr, authenticated and any flow-specific attributes
+ * @returns {Promise<object>} - The stored session
+ */
+async function createLoginSession(params, pkceMethod, authState) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const sessionData = {
+    session_id: crypto.randomBytes(32).toString('base64url'),
+    client_id: params.client_id,
+    redirect_uri: params.redirect_uri,
+    scope: filterSupportedScopes(params.scope || 'openid profile email'),
+    state: params.state,
+    code_challenge: params.code_challenge,
+    code_challenge_method: pkceMethod || undefined,
+    nonce: params.nonce,
+    max_age: params.max_age !== undefined ? parseInt(params.max_age, 10) : undefined,
+    prompt: params.prompt,
+    acr_values: params.acr_values,
+    // Record when the user actually authenticated (OIDC auth_time)
+    auth_time: authState.authenticated ? now : undefined,
+    ...authState,
+    expires_at: now + LOGIN_SESSION_TTL_SECONDS,
+    created_at: new Date().toISOString()
+  };
+
+  await docClient.send(new PutCommand({
+    TableName: SESSIONS_TABLE,
+    Item: sessionData
+  }));
+
+  return sessionData;
+}
+
+/**
+ * Load a login session that is still waiting on a sign-in step
+ * @param {string} sessionId - Session ID
+ * @param {string|null} clientId - Client the step was submitted for, or null for steps that do
+ *   not name one, such as the callback from an upstream identity provider
+ * @returns {Promise<object|null>} - null if missing, expired, already authenticated or for another client
+ */
+async function getPendingLoginSession(sessionId, clientId) {
+  if (!sessionId) return null;
+
+  const sessionResult = await docClient.send(new GetCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId }
+  }));
+
+  const sessionData = sessionResult.Item;
+  if (!sessionData || sessionData.authenticated || sessionData.purpose === ACCOUNT_SESSION_PURPOSE ||
+      (clientId !== null && sessionData.client_id !== clientId) ||
+      sessionData.expires_at < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return sessionData;
+}
+
+/**
+ * Mark a pending login session as authenticated
+ * The session moves to a new ID, so an ID seen while it was pending, such as the
+ * mfa_session the login page gets in its URL, is useless once sign-in completes.
+ * The old item is deleted conditionally, so a session cannot be completed twice.
+ * @param {string} sessionId - Session ID
+ * @param {object} authState - Attributes to set, e.g. user_id, amr and acr
+ * @param {object} expected - Attribute values the session must still have, e.g. a WebAuthn challenge
+ * @returns {Promise<object|null>} - The authenticated session under its new ID, or null if it
+ *   was completed concurrently
+ */
+async function completeLoginSession(sessionId, authState, expected = {}) {
+  const names = {};
+  const attributeValues = { ':pending': false };
+  const conditions = ['authenticated = :pending'];
+  Object.keys(expected).forEach((name, index) => {
+    names[`#e${index}`] = name;
+    attributeValues[`:e${index}`] = expected[name];
+    conditions.push(`#e${index} = :e${index}`);
+  });
+
+  let pending;
+  try {
+    const result = await docClient.send(new DeleteCommand({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: sessionId },
+      ConditionExpression: conditions.join(' AND '),
+      ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+      ExpressionAttributeValues: attributeValues,
+      ReturnValues: 'ALL_OLD'
+    }));
+    pending = result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+
+  // Flow-specific attributes such as a WebAuthn challenge are single use
+  const sessionData = { ...pending };
+  for (const name of Object.keys(expected)) {
+    delete sessionData[name];
+  }
+  Object.assign(sessionData, authState, {
+    session_id: crypto.randomBytes(32).toString('base64url'),
+    authenticated: true,
+    auth_time: Math.floor(Date.now() / 1000)
+  });
+
+  await docClient.send(new PutCommand({
+    TableName: SESSIONS_TABLE,
+    Item: sessionData
+  }));
+
+  return sessionData;
+}
+
+/**
+ * Load a signed-in login session, e.g. for passkey registration from the landing page
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} - null if missing, expired or not yet authenticated
+ */
+async function getAuthenticatedLoginSession(sessionId) {
+  if (!sessionId) return null;
+
+  const sessionResult = await docClient.send(new GetCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId }
+  }));
+
+  const sessionData = sessionResult.Item;
+  if (!sessionData || !sessionData.authenticated ||
+      sessionData.expires_at < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return sessionData;
+}
+
+// Store a WebAuthn challenge on a session, replacing any earlier one
+async function setSessionChallenge(sessionId, challenge, authenticated) {
+  await docClient.send(new UpdateCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId },
+    UpdateExpression: 'SET webauthn_challenge = :challenge',
+    ConditionExpression: 'authenticated = :authenticated',
+    ExpressionAttributeValues: {
+      ':challenge': challenge,
+      ':authenticated': authenticated
+    }
+  }));
+}
+
+/**
+ * Remove a session's WebAuthn challenge so it can only be answered once
+ * @param {string} sessionId - Session ID
+ * @param {string} challenge - Challenge the response was made for
+ * @returns {Promise<boolean>} - False if the challenge was already used or replaced
+ */
+async function consumeSessionChallenge(sessionId, challenge) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: sessionId },
+      UpdateExpression: 'REMOVE webauthn_challenge',
+      ConditionExpression: 'webauthn_challenge = :challenge',
+      ExpressionAttributeValues: { ':challenge': challenge }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Remember that the user approved the client's scopes in this session
+async function recordSessionConsent(sessionId) {
+  await docClient.send(new UpdateCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId },
+    UpdateExpression: 'SET consent_given = :consentGiven',
+    ConditionExpression: 'authenticated = :authenticated',
+    ExpressionAttributeValues: {
+      ':consentGiven': true,
+      ':authenticated': true
+    }
+  }));
+}
+
+/**
+ * Take a signed-in login session so it can only be used once, e.g. to issue a code
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} - The session, or null if it was already used or is not signed in
+ */
+async function consumeLoginSession(sessionId) {
+  try {
+    const result = await docClient.send(new DeleteCommand({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: sessionId },
+      ConditionExpression: 'authenticated = :authenticated',
+      ExpressionAttributeValues: { ':authenticated': true },
+      ReturnValues: 'ALL_OLD'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start a session for the self-service account page
+ * @param {string} userId - Signed-in user
+ * @param {object|null} ssoSession - SSO session the user signed in with; the account
+ *   session ends with it, and never outlives it
+ * @returns {Promise<object>} - The stored account session
+ */
+async function createAccountSession(userId, ssoSession) {
+  const now = Math.floor(Date.now() / 1000);
+  const accountSession = {
+    session_id: crypto.randomBytes(32).toString('base64url'),
+    purpose: ACCOUNT_SESSION_PURPOSE,
+    user_id: userId,
+    sso_session_id: ssoSession?.sso_session_id,
+    created_at: now,
+    expires_at: Math.min(now + ACCOUNT_SESSION_TTL_SECONDS, ssoSession?.absolute_expires_at || Infinity)
+  };
+
+  await docClient.send(new PutCommand({
+    TableName: SESSIONS_TABLE,
+    Item: accountSession
+  }));
+
+  return accountSession;
+}
+
+/**
+ * Load an account session that has not expired
+ * @param {string} sessionId - Account session ID
+ * @returns {Promise<object|null>} - null if missing, expired or a login session
+ */
+async function getAccountSession(sessionId) {
+  if (!sessionId) return null;
+
+  const result = await docClient.send(new GetCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId }
+  }));
+
+  const accountSession = result.Item;
+  if (!accountSession || accountSession.purpose !== ACCOUNT_SESSION_PURPOSE ||
+      accountSession.expires_at < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return accountSession;
+}
+
+async function deleteLoginSession(sessionId) {
+  await docClient.send(new DeleteCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId }
+  }));
+}
+
+/**
+ * End every login session belonging to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - The deleted sessions
+ */
+async function deleteUserSessions(userId) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: SESSIONS_TABLE,
+    IndexName: 'user-index',
+    KeyConditionExpression: 'user_id = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  }));
+
+  const sessions = result.Items || [];
+  for (const sessionData of sessions) {
+    await deleteLoginSession(sessionData.session_id);
+  }
+
+  return sessions;
+}
+
+/**
+ * URL of a static page that continues the login session
+ * The session goes in the fragment so it stays out of server logs and Referer headers.
+ * @param {object} event - API Gateway event
+ * @param {string} pageUrl - Page URL, e.g. LANDING_PAGE_URL
+ * @param {object} sessionData - Authenticated login session
+ * @param {object} params - Extra query parameters
+ * @returns {string}
+ */
+function getSessionPageUrl(event, pageUrl, sessionData, params = {}) {
+  const url = new URL(pageUrl);
+  for (const [name, value] of Object.entries(params)) {
+    if (value) url.searchParams.append(name, value);
+  }
+
+  // Add API URL so the page can POST back
+  const apiUrl = getApiUrl(event);
+  if (apiUrl) {
+    url.searchParams.append('api_url', apiUrl);
+  }
+
+  url.hash = new URLSearchParams({ session: sessionData.session_id }).toString();
+  return url.toString();
+}
+
+// Authorization request parameters passed through the login page
+const AUTHORIZATION_PARAMS = [
+  'state',
+  'code_challenge',
+  'code_challenge_method',
+  'nonce',
+  'max_age',
+  'prompt',
+  'acr_values'
+];
+
+// Redirect to the custom login page, carrying the authorization request
+// With mfaSessionId set, the login page asks for a second factor instead of a password
+function redirectToLoginPage(event, params, error = null, mfaSessionId = null, mfaMethods = []) {
+  // Build login page URL with parameters
+  const loginUrl = new URL(LOGIN_PAGE_URL);
+  loginUrl.searchParams.append('client_id', params.client_id);
+  loginUrl.searchParams.append('redirect_uri', params.redirect_uri);
+  loginUrl.searchParams.append('response_type', params.response_type);
+  loginUrl.searchParams.append('scope', params.scope || 'openid profile email');
+  for (const name of AUTHORIZATION_PARAMS) {
+    if (params[name]) loginUrl.searchParams.append(name, params[name]);
+  }
+  if (mfaSessionId) {
+    loginUrl.searchParams.append('mfa_session', mfaSessionId);
+    loginUrl.searchParams.append('mfa_methods', mfaMethods.join(' '));
+  }
+  if (error) {
+    loginUrl.searchParams.append('error', error.error);
+    loginUrl.searchParams.append('error_description', error.error_description);
+    if (error.retry_after) loginUrl.searchParams.append('retry_after', error.retry_after);
+  }
+  
+  // Add API URL so the login page can POST back
+  const apiUrl = getApiUrl(event);
+  if (apiUrl) {
+    loginUrl.searchParams.append('api_url', apiUrl);
+  }
+  
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': loginUrl.toString(),
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    },
+    body: ''
+  };
+}
+
+// Landing page URL for application selection after sign-in
+function getLandingPageUrl(event, sessionData) {
+  return getSessionPageUrl(event, LANDING_PAGE_URL, sessionData);
+}
+
+// Redirect to the landing page for application selection
+function redirectToLandingPage(event, sessionData) {
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': getLandingPageUrl(event, sessionData),
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    },
+    body: ''
+  };
+}
+
+// Escape a value for an HTML attribute
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Continue to /complete-auth without showing a page, e.g. for prompt=none
+ * Returns a self-submitting form so the session travels in a POST body, not the URL.
+ * @param {object} event - API Gateway event
+ * @param {object} sessionData - Authenticated login session
+ */
+function postToCompleteAuth(event, sessionData) {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Signing in</title>
+</head>
+<body onload="document.forms[0].submit()">
+  <form method="POST" action="${escapeHtml(`${getApiUrl(event)}/complete-auth`)}">
+    <input type="hidden" name="session" value="${escapeHtml(sessionData.session_id)}">
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+</body>
+</html>`;
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    },
+    body: html
+  };
+}
+
+// Login page error for a user an administrator has disabled
+// Only shown once the user has proved who they are, so it does not reveal which usernames exist
+const ACCOUNT_DISABLED_ERROR = {
+  error: 'account_disabled',
+  error_description: 'This account has been disabled. Contact your administrator.'
+};
+
+// Human readable wait time for the login page
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Login page error for a locked username or throttled attempt
+function throttleError(throttle) {
+  const wait = formatRetryAfter(throttle.retryAfter);
+  return {
+    error: throttle.error,
+    error_description: throttle.error === 'account_locked'
+      ? `Too many failed sign-in attempts. This account is locked, try again in ${wait}.`
+      : `Too many sign-in attempts. Try again in ${wait}.`,
+    retry_after: throttle.retryAfter
+  };
+}
+
+/**
+ * Build an authorization error response URL for the client (RFC 6749 section 4.1.2.1)
+ * @param {string} redirectUri - Registered redirect URI from the authorization request
+ * @param {string} error - Error code, e.g. access_denied
+ * @param {string} description - Human readable description
+ * @param {string} state - State from the authorization request
+ * @returns {string}
+ */
+function getAuthorizationErrorUrl(redirectUri, error, description, state) {
+  const errorUrl = new URL(redirectUri);
+  errorUrl.searchParams.append('error', error);
+  errorUrl.searchParams.append('error_description', description);
+  if (state) errorUrl.searchParams.append('state', state);
+  return errorUrl.toString();
+}
+
+// Helper function to extract API URL from event
+function getApiUrl(event) {
+  try {
+    // Get from request context
+    const requestContext = event.requestContext;
+    if (requestContext) {
+      const domainName = requestContext.domainName;
+      const stage = requestContext.stage;
+      if (domainName && stage) {
+        return `https://${domainName}/${stage}`;
+      }
+    }
+
+    // Fallback: try to get from headers
+    const host = event.headers?.Host || event.headers?.host;
+    const stage = event.requestContext?.stage;
+    if (host && stage) {
+      return `https://${host}/${stage}`;
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error getting API URL:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  validateAuthorizationRequest,
+  createLoginSession,
+  getPendingLoginSession,
+  completeLoginSession,
+  getAuthenticatedLoginSession,
+  setSessionChallenge,
+  consumeSessionChallenge,
+  recordSessionConsent,
+  consumeLoginSession,
+  createAccountSession,
+  getAccountSession,
+  deleteLoginSession,
+  deleteUserSessions,
+  getSessionPageUrl,
+  redirectToLoginPage,
+  getLandingPageUrl,
+  redirectToLandingPage,
+  postToCompleteAuth,
+  escapeHtml,
+  throttleError,
+  ACCOUNT_DISABLED_ERROR,
+  getAuthorizationErrorUrl,
+  getApiUrl
+};
@@ -1,29 +1,34 @@
 const {
-  validateClient,
   createErrorResponse,
   createHTMLResponse,
-  verifyUserPassword
+  verifyUserPassword,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  getUserById,
+  getUserByUsername,
+  isUserDisabled,
+  getMfaMethods,
+  verifyUserTotp,
+  consumeRecoveryCode,
+  parseRequestBody
 } = require('./utils');
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
-const crypto = require('crypto');
-
-const dynamoClient = new DynamoDBClient({});
-const docClient = DynamoDBDocumentClient.from(dynamoClient);
-
-const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
-const LOGIN_PAGE_URL = process.env.LOGIN_PAGE_URL;
-const LANDING_PAGE_URL = process.env.LANDING_PAGE_URL;
-
-// Parse form data from request body
-function parseFormData(body) {
-  const params = new URLSearchParams(body);
-  const result = {};
-  for (const [key, value] of params) {
-    result[key] = value;
-  }
-  return result;
-}
+const {
+  validateAuthorizationRequest,
+  createLoginSession,
+  getPendingLoginSession,
+  completeLoginSession,
+  redirectToLoginPage,
+  redirectToLandingPage,
+  postToCompleteAuth,
+  throttleError,
+  ACCOUNT_DISABLED_ERROR,
+  getAuthorizationErrorUrl
+} = require('./auth-flow');
+const { getSsoSession, touchSsoSession } = require('./sso-session');
+const { ACR_PASSWORD, ACR_MFA, getRequestedAcr } = require('./capabilities');
+const { isTotpCode } = require('./totp');
+const { recordAuditEvent } = require('./audit');
 
 exports.handler = async (event) => {
   try {
@@ -33,145 +38,97 @@ exports.handler = async (event) => {
     if (method === 'GET') {
       params = event.queryStringParameters || {};
     } else if (method === 'POST') {
-      const body = event.body;
-      const isBase64 = event.isBase64Encoded;
-      const decodedBody = isBase64 ? Buffer.from(body, 'base64').toString('utf-8') : body;
-      params = parseFormData(decodedBody);
+      params = parseRequestBody(event);
     } else {
       return createErrorResponse('invalid_request', 'Method not allowed', 405);
     }
     
     const {
-      client_id,
-      redirect_uri,
-      response_type,
-      scope,
-      state,
-      code_challenge,
-      code_challenge_method,
+      acr_values,
       username,
-      password
+      password,
+      mfa_session,
+      otp
     } = params;
     
-    // Validate required parameters
-    if (!client_id || !redirect_uri || !response_type) {
-      return createErrorResponse('invalid_request', 'Missing required parameters');
+    const request = await validateAuthorizationRequest(params);
+    if (request.error) {
+      return createErrorResponse(request.error, request.error_description);
     }
+    const { client } = request;
     
-    // Validate client
-    const client = await validateClient(client_id, null, redirect_uri);
-    if (!client) {
-      return createErrorResponse('invalid_client', 'Invalid client_id or redirect_uri');
+    const sourceIp = event.requestContext?.identity?.sourceIp;
+    
+    // Second step: one-time code for a session waiting on MFA
+    if (method === 'POST' && mfa_session) {
+      return await handleMfaStep(event, params, mfa_session, otp, sourceIp);
     }
     
-    // Only support authorization code flow
-    if (response_type !== 'code') {
-      return createErrorResponse('unsupported_response_type', 'Only response_type=code is supported');
+    // Returning users with a live SSO session skip the login page
+    if (method === 'GET') {
+      return await continueSsoSession(event, params, request);
     }
     
-    // If GET request (no credentials), redirect to custom login page
-    if (method === 'GET' || !username || !password) {
-      // Build login page URL with parameters
-      const loginUrl = new URL(LOGIN_PAGE_URL);
-      loginUrl.searchParams.append('client_id', client_id);
-      loginUrl.searchParams.append('redirect_uri', redirect_uri);
-      loginUrl.searchParams.append('response_type', response_type);
-      loginUrl.searchParams.append('scope', scope || 'openid profile email');
-      if (state) loginUrl.searchParams.append('state', state);
-      if (code_challenge) loginUrl.searchParams.append('code_challenge', code_challenge);
-      if (code_challenge_method) loginUrl.searchParams.append('code_challenge_method', code_challenge_method);
-      
-      // Add API URL so the login page can POST back
-      const apiUrl = getApiUrl(event);
-      if (apiUrl) {
-        loginUrl.searchParams.append('api_url', apiUrl);
-      }
-      
-      return {
-        statusCode: 302,
-        headers: {
-          'Location': loginUrl.toString(),
-          'Cache-Control': 'no-store',
-          'Pragma': 'no-cache'
-        },
-        body: ''
-      };
+    // No credentials, redirect to custom login page
+    if (!username || !password) {
+      return redirectToLoginPage(event, params);
+    }
+    
+    // Refuse attempts for locked usernames and blocked IPs before checking the password
+    const throttle = await checkLoginThrottle(username, sourceIp);
+    if (throttle) {
+      await auditPasswordLogin(event, params, await getUserByUsername(username), throttle.error);
+      return redirectToLoginPage(event, params, throttleError(throttle));
     }
     
     // POST request with credentials - authenticate user
     const user = await verifyUserPassword(username, password);
     if (!user) {
-      // Redirect back to login page with error
-      const loginUrl = new URL(LOGIN_PAGE_URL);
-      loginUrl.searchParams.append('client_id', client_id);
-      loginUrl.searchParams.append('redirect_uri', redirect_uri);
-      loginUrl.searchParams.append('response_type', response_type);
-      loginUrl.searchParams.append('scope', scope || 'openid profile email');
-      if (state) loginUrl.searchParams.append('state', state);
-      if (code_challenge) loginUrl.searchParams.append('code_challenge', code_challenge);
-      if (code_challenge_method) loginUrl.searchParams.append('code_challenge_method', code_challenge_method);
-      loginUrl.searchParams.append('error', 'invalid_credentials');
-      loginUrl.searchParams.append('error_description', 'Invalid username or password');
-      
-      // Add API URL
-      const apiUrl = getApiUrl(event);
-      if (apiUrl) {
-        loginUrl.searchParams.append('api_url', apiUrl);
-      }
+      const lockout = await recordLoginFailure(username, sourceIp);
+      await auditPasswordLogin(event, params, await getUserByUsername(username), 'invalid_credentials');
       
-      return {
-        statusCode: 302,
-        headers: {
-          'Location': loginUrl.toString(),
-          'Cache-Control': 'no-store',
-          'Pragma': 'no-cache'
-        },
-        body: ''
-      };
+      // Redirect back to login page with error
+      return redirectToLoginPage(event, params, lockout ? throttleError(lockout) : {
+        error: 'invalid_credentials',
+        error_description: 'Invalid username or password'
+      });
+    }
+    
+    await clearLoginFailures(username);
+    
+    if (isUserDisabled(user)) {
+      await auditPasswordLogin(event, params, user, ACCOUNT_DISABLED_ERROR.error);
+      return redirectToLoginPage(event, params, ACCOUNT_DISABLED_ERROR);
+    }
+    
+    // A second factor is needed if the user enrolled one or the relying party asked for it
+    const mfaMethods = await getMfaMethods(user);
+    const requestedAcr = getRequestedAcr(acr_values || client.default_acr_values?.join(' '));
+    const mfaRequired = mfaMethods.length > 0 || requestedAcr === ACR_MFA;
+    if (mfaRequired && mfaMethods.length === 0) {
+      await auditPasswordLogin(event, params, user, 'unmet_authentication_requirements');
+      return redirectToLoginPage(event, params, {
+        error: 'unmet_authentication_requirements',
+        error_description: 'This application requires multi-factor authentication. Ask an administrator to enroll an authenticator.'
+      });
     }
     
     // Create session for multi-step flow
-    const sessionId = crypto.randomBytes(32).toString('base64url');
-    const sessionData = {
-      session_id: sessionId,
+    // Sessions waiting on a second factor cannot be used by /landing or /complete-auth
+    const sessionData = await createLoginSession(params, request.pkceMethod, {
       user_id: user.user_id,
-      client_id: client_id,
-      redirect_uri: redirect_uri,
-      scope: scope || 'openid profile email',
-      state: state,
-      code_challenge: code_challenge,
-      code_challenge_method: code_challenge_method,
-      expires_at: Math.floor(Date.now() / 1000) + 600, // 10 minutes
-      created_at: new Date().toISOString()
-    };
-    
-    await docClient.send(new PutCommand({
-      TableName: SESSIONS_TABLE,
-      Item: sessionData
-    }));
-    
-    // Redirect to landing page for application selection
-    const landingUrl = new URL(LANDING_PAGE_URL);
-    landingUrl.searchParams.append('session', sessionId);
-    landingUrl.searchParams.append('client_id', client_id);
-    landingUrl.searchParams.append('redirect_uri', redirect_uri);
-    if (state) landingUrl.searchParams.append('state', state);
-    
-    // Add API URL for landing page
-    const apiUrl = getApiUrl(event);
-    if (apiUrl) {
-      landingUrl.searchParams.append('api_url', apiUrl);
+      amr: ['pwd'],
+      authenticated: !mfaRequired,
+      acr: mfaRequired ? undefined : ACR_PASSWORD
+    });
+    
+    await auditPasswordLogin(event, params, user, null, { mfa_required: mfaRequired });
+    
+    if (mfaRequired) {
+      return redirectToLoginPage(event, params, null, sessionData.session_id, mfaMethods);
     }
     
-    return {
-      statusCode: 302,
-      headers: {
-        'Location': landingUrl.toString(),
-        'Cache-Control': 'no-store',
-        'Pragma': 'no-cache'
-      },
-      body: ''
-    };
+    return redirectToLandingPage(event, sessionData);
     
   } catch (error) {
     console.error('Error in auth handler:', error);
@@ -179,29 +136,157 @@ exports.handler = async (event) => {
   }
 };
 
-// Helper function to extract API URL from event
-function getApiUrl(event) {
-  try {
-    // Get from request context
-    const requestContext = event.requestContext;
-    if (requestContext) {
-      const domainName = requestContext.domainName;
-      const stage = requestContext.stage;
-      if (domainName && stage) {
-        return `https://${domainName}/${stage}`;
-      }
-    }
-    
-    // Fallback: try to get from headers
-    const host = event.headers?.Host || event.headers?.host;
-    const stage = event.requestContext?.stage;
-    if (host && stage) {
-      return `https://${host}/${stage}`;
+// Record a password sign-in; user is null for unknown usernames
+async function auditPasswordLogin(event, params, user, error, details = {}) {
+  await recordAuditEvent(event, {
+    type: 'login',
+    outcome: error ? 'failure' : 'success',
+    reason: error || undefined,
+    userId: user?.user_id,
+    username: user ? user.username : params.username,
+    clientId: params.client_id,
+    details: { method: 'pwd', ...details }
+  });
+}
+
+/**
+ * Answer a GET authorization request from the browser's SSO session
+ * Falls back to the login page when there is no usable session, or returns
+ * login_required to the client for prompt=none.
+ */
+async function continueSsoSession(event, params, request) {
+  const prompts = (params.prompt || '').split(' ');
+  
+  // prompt=login always asks for credentials again
+  const ssoSession = prompts.includes('login')
+    ? null
+    : await getUsableSsoSession(event, params, request.client);
+  
+  if (!ssoSession) {
+    if (prompts.includes('none')) {
+      return {
+        statusCode: 302,
+        headers: {
+          'Location': getAuthorizationErrorUrl(params.redirect_uri, 'login_required',
+            'The user is not signed in', params.state),
+          'Cache-Control': 'no-store'
+        },
+        body: ''
+      };
     }
     
+    return redirectToLoginPage(event, params);
+  }
+  
+  const sessionData = await createLoginSession(params, request.pkceMethod, {
+    user_id: ssoSession.user_id,
+    amr: ssoSession.amr,
+    acr: ssoSession.acr,
+    auth_time: ssoSession.auth_time,
+    authenticated: true,
+    sso_session_id: ssoSession.sso_session_id
+  });
+  
+  // prompt=none cannot show the landing page, so go straight to code issuance
+  if (prompts.includes('none')) {
+    return postToCompleteAuth(event, sessionData);
+  }
+  
+  return redirectToLandingPage(event, sessionData);
+}
+
+/**
+ * Load the browser's SSO session if it satisfies this request
+ * The earlier sign-in must be recent enough for max_age and strong enough for
+ * the requested acr and for the user's enrolled second factors.
+ */
+async function getUsableSsoSession(event, params, client) {
+  const ssoSession = await getSsoSession(event);
+  const user = ssoSession && await getUserById(ssoSession.user_id);
+  if (!user || isUserDisabled(user)) {
     return null;
-  } catch (error) {
-    console.error('Error getting API URL:', error);
+  }
+  
+  if (params.max_age !== undefined &&
+      Math.floor(Date.now() / 1000) - ssoSession.auth_time > parseInt(params.max_age, 10)) {
+    return null;
+  }
+  
+  const requestedAcr = getRequestedAcr(params.acr_values || client.default_acr_values?.join(' '));
+  const mfaMethods = await getMfaMethods(user);
+  if ((requestedAcr === ACR_MFA || mfaMethods.length > 0) && ssoSession.acr !== ACR_MFA) {
     return null;
   }
+  
+  // Using the session counts as activity for its idle timeout
+  return await touchSsoSession(ssoSession);
+}
+
+const SESSION_EXPIRED_ERROR = {
+  error: 'session_expired',
+  error_description: 'Your sign-in session has expired. Please sign in again.'
+};
+
+/**
+ * Check the one-time code for a session waiting on its second factor
+ * Accepts a TOTP code or a recovery code. Wrong codes count as failed logins.
+ */
+async function handleMfaStep(event, params, sessionId, code, sourceIp) {
+  const sessionData = await getPendingLoginSession(sessionId, params.client_id);
+  const user = sessionData?.user_id && await getUserById(sessionData.user_id);
+  if (!user) {
+    return redirectToLoginPage(event, params, SESSION_EXPIRED_ERROR);
+  }
+  if (isUserDisabled(user)) {
+    return redirectToLoginPage(event, params, ACCOUNT_DISABLED_ERROR);
+  }
+  
+  const throttle = await checkLoginThrottle(user.username, sourceIp);
+  if (throttle) {
+    return redirectToLoginPage(event, params, throttleError(throttle));
+  }
+  
+  const mfaMethods = await getMfaMethods(user);
+  const mfaMethod = isTotpCode(code) ? 'otp' : 'recovery_code';
+  const verified = mfaMethod === 'otp'
+    ? await verifyUserTotp(user, code)
+    : !!code && await consumeRecoveryCode(user, code);
+  
+  const auditEntry = {
+    type: 'mfa',
+    userId: user.user_id,
+    username: user.username,
+    clientId: params.client_id,
+    details: { method: mfaMethod }
+  };
+  
+  if (!verified) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: 'invalid_otp' });
+    const lockout = await recordLoginFailure(user.username, sourceIp);
+    if (lockout) {
+      return redirectToLoginPage(event, params, throttleError(lockout));
+    }
+    
+    return redirectToLoginPage(event, params, {
+      error: 'invalid_otp',
+      error_description: 'Invalid verification code'
+    }, sessionId, mfaMethods);
+  }
+  
+  await clearLoginFailures(user.username);
+  
+  // The second factor completes authentication
+  // RFC 8176 has no value for recovery codes, so they only add the generic mfa
+  const completed = await completeLoginSession(sessionId, {
+    amr: mfaMethod === 'otp' ? ['pwd', 'otp'] : ['pwd', 'mfa'],
+    acr: ACR_MFA
+  });
+  if (!completed) {
+    // Completed by a concurrent request
+    return redirectToLoginPage(event, params, SESSION_EXPIRED_ERROR);
+  }
+  
+  await recordAuditEvent(event, auditEntry);
+  
+  return redirectToLandingPage(event, completed);
 }
@@ -0,0 +1,173 @@
+/**
+ * Provider capability registry
+ *
+ * Single source of truth for what this provider supports. The discovery
+ * document is built from it and the auth and token handlers validate
+ * requests against it, so the advertised metadata always matches behavior.
+ */
+
+// Endpoint paths, relative to the issuer URL
+const ENDPOINTS = {
+  authorization_endpoint: '/auth',
+  token_endpoint: '/token',
+  userinfo_endpoint: '/userinfo',
+  jwks_uri: '/jwks',
+  revocation_endpoint: '/revoke',
+  introspection_endpoint: '/introspect',
+  end_session_endpoint: '/logout',
+  registration_endpoint: '/register'
+};
+
+// Values of response_type accepted by /auth
+const RESPONSE_TYPES = ['code'];
+
+// Values of grant_type accepted by /token
+const GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+
+// Client authentication methods accepted by each endpoint
+const TOKEN_ENDPOINT_AUTH_METHODS = [
+  'client_secret_basic',
+  'client_secret_post',
+  'client_secret_jwt',
+  'private_key_jwt',
+  'none'
+];
+const REVOCATION_ENDPOINT_AUTH_METHODS = TOKEN_ENDPOINT_AUTH_METHODS;
+const INTROSPECTION_ENDPOINT_AUTH_METHODS = TOKEN_ENDPOINT_AUTH_METHODS.filter(method => method !== 'none');
+
+// Signing algorithms accepted for client_secret_jwt and private_key_jwt assertions
+const CLIENT_SECRET_JWT_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const PRIVATE_KEY_JWT_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLIENT_ASSERTION_SIGNING_ALGORITHMS = [...CLIENT_SECRET_JWT_ALGORITHMS, ...PRIVATE_KEY_JWT_ALGORITHMS];
+
+
+// Authentication context classes, weakest first
+const ACR_PASSWORD = 'urn:oidc-provider:acr:password';
+const ACR_MFA = 'urn:oidc-provider:acr:mfa';
+const ACR_VALUES = [ACR_PASSWORD, ACR_MFA];
+
+// Back-channel logout tokens are sent to clients with a backchannel_logout_uri.
+// ID tokens carry no sid, so logout tokens only identify the user.
+const BACKCHANNEL_LOGOUT_SUPPORTED = true;
+const BACKCHANNEL_LOGOUT_SESSION_SUPPORTED = false;
+
+const SIGNING_ALGORITHMS = ['RS256'];
+const SUBJECT_TYPES = ['public'];
+
+// Claims present in every ID token
+const ID_TOKEN_CLAIMS = ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash', 'acr', 'amr'];
+
+// Claims released for each standard scope (by /userinfo and in ID tokens)
+const SCOPE_CLAIMS = {
+  openid: ['sub'],
+  profile: [
+    'name',
+    'given_name',
+    'family_name',
+    'middle_name',
+    'nickname',
+    'preferred_username',
+    'profile',
+    'picture',
+    'website',
+    'gender',
+    'birthdate',
+    'zoneinfo',
+    'locale',
+    'updated_at'
+  ],
+  email: ['email', 'email_verified'],
+  // Clients can rename the claim with claim_names, e.g. { "groups": "roles" }
+  groups: ['groups']
+};
+
+const STANDARD_SCOPES = Object.keys(SCOPE_CLAIMS);
+
+// What each standard scope lets a client see, as shown on the consent screen
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Sign you in and know who you are',
+  profile: 'Your name and basic profile information',
+  email: 'Your email address',
+  groups: 'The groups you belong to'
+};
+
+/**
+ * Get the scopes this provider supports
+ * Standard scopes plus operator-defined scopes from the CUSTOM_SCOPES
+ * environment variable (space or comma separated)
+ * @returns {Array<string>}
+ */
+function getSupportedScopes() {
+  const customScopes = (process.env.CUSTOM_SCOPES || '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  
+  return [...new Set([...STANDARD_SCOPES, ...customScopes])];
+}
+
+/**
+ * Get the PKCE code challenge methods accepted by /auth and /token
+ * plain is only accepted when the PKCE_ALLOW_PLAIN environment variable is "true"
+ * @returns {Array<string>}
+ */
+function getCodeChallengeMethods() {
+  return process.env.PKCE_ALLOW_PLAIN === 'true' ? ['S256', 'plain'] : ['S256'];
+}
+
+/**
+ * Get the claims this provider can release
+ * @returns {Array<string>}
+ */
+function getSupportedClaims() {
+  return [...new Set([...ID_TOKEN_CLAIMS, ...Object.values(SCOPE_CLAIMS).flat()])];
+}
+
+/**
+ * Work out the authentication context a relying party asked for
+ * acr_values lists acceptable values; the weakest supported one is what must be met
+ * @param {string} acrValues - Space-separated acr_values
+ * @returns {string|null} - Required ACR, or null if none of the values is supported
+ */
+function getRequestedAcr(acrValues) {
+  const requested = (acrValues || '').split(' ').filter(Boolean);
+  return ACR_VALUES.find(acr => requested.includes(acr)) || null;
+}
+
+/**
+ * Drop scopes the provider does not support from a space-separated scope string
+ * @param {string} scope - Requested scope
+ * @returns {string} - Supported subset, in request order
+ */
+function filterSupportedScopes(scope) {
+  const supported = getSupportedScopes();
+  return (scope || '')
+    .split(' ')
+    .filter(requested => supported.includes(requested))
+    .join(' ');
+}
+
+module.exports = {
+  ENDPOINTS,
+  RESPONSE_TYPES,
+  GRANT_TYPES,
+  TOKEN_ENDPOINT_AUTH_METHODS,
+  REVOCATION_ENDPOINT_AUTH_METHODS,
+  INTROSPECTION_ENDPOINT_AUTH_METHODS,
+  CLIENT_SECRET_JWT_ALGORITHMS,
+  PRIVATE_KEY_JWT_ALGORITHMS,
+  CLIENT_ASSERTION_SIGNING_ALGORITHMS,
+  BACKCHANNEL_LOGOUT_SUPPORTED,
+  BACKCHANNEL_LOGOUT_SESSION_SUPPORTED,
+  SIGNING_ALGORITHMS,
+  SUBJECT_TYPES,
+  ACR_PASSWORD,
+  ACR_MFA,
+  ACR_VALUES,
+  SCOPE_CLAIMS,
+  SCOPE_DESCRIPTIONS,
+  getSupportedScopes,
+  getSupportedClaims,
+  getCodeChallengeMethods,
+  getRequestedAcr,
+  filterSupportedScopes
+};
@@ -0,0 +1,276 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+  getIssuerUrl,
+  getClientById,
+  verifyClientSecret,
+  getClientAuthMethods,
+  consumeClientAssertion,
+  getClientCredentials,
+  verifyAccessToken,
+  isAccessTokenRevoked,
+  parseBearerToken,
+  createErrorResponse
+} = require('./utils');
+const {
+  ENDPOINTS,
+  CLIENT_SECRET_JWT_ALGORITHMS,
+  PRIVATE_KEY_JWT_ALGORITHMS
+} = require('./capabilities');
+
+/**
+ * Client authentication shared by the token, revocation and introspection endpoints
+ *
+ * Supports client_secret_basic, client_secret_post, client_secret_jwt,
+ * private_key_jwt (RFC 7523) and none. Each client may only use the method
+ * in its token_endpoint_auth_method attribute.
+ *
+ * Also checks the access tokens clients present to the admin API and the
+ * registration endpoint.
+ */
+
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+// Assertions must be short-lived so the replay cache stays small
+const MAX_ASSERTION_LIFETIME_SECONDS = 300; // 5 minutes
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+// Cache for keys fetched from client jwks_uri
+const jwksCache = {};
+const JWKS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Fetch a client's JWKS from its jwks_uri
+async function fetchClientJwks(jwksUri) {
+  const now = Date.now();
+  const cached = jwksCache[jwksUri];
+  if (cached && (now - cached.fetchedAt) < JWKS_CACHE_TTL_MS) {
+    return cached.jwks;
+  }
+
+  const response = await fetch(jwksUri, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch client JWKS: HTTP ${response.status}`);
+  }
+
+  const jwks = await response.json();
+  jwksCache[jwksUri] = { jwks, fetchedAt: now };
+  return jwks;
+}
+
+// Find the client's signing key matching the assertion's kid
+async function getClientPublicKey(client, kid) {
+  let jwks = client.jwks;
+  if (!jwks && client.jwks_uri) {
+    jwks = await fetchClientJwks(client.jwks_uri);
+  }
+
+  const candidates = (jwks?.keys || []).filter(key => key.use !== 'enc' && (!kid || key.kid === kid));
+
+  // Without a kid the key is only unambiguous if the client has exactly one
+  if (candidates.length !== 1) {
+    return null;
+  }
+
+  return crypto.createPublicKey({ key: candidates[0], format: 'jwk' });
+}
+
+// Work out which authentication method the request uses
+function detectAuthMethod(event, params) {
+  if (params.client_assertion_type || params.client_assertion) {
+    if (params.client_assertion_type !== CLIENT_ASSERTION_TYPE || !params.client_assertion) {
+      return { error: 'Unsupported client assertion' };
+    }
+
+    const decoded = jwt.decode(params.client_assertion, { complete: true });
+    if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+      return { error: 'Malformed client assertion' };
+    }
+
+    const alg = decoded.header.alg;
+    let method;
+    if (CLIENT_SECRET_JWT_ALGORITHMS.includes(alg)) {
+      method = 'client_secret_jwt';
+    } else if (PRIVATE_KEY_JWT_ALGORITHMS.includes(alg)) {
+      method = 'private_key_jwt';
+    } else {
+      return { error: 'Unsupported client assertion algorithm' };
+    }
+
+    // client_id is optional with assertions; the assertion's sub identifies the client
+    return {
+      method,
+      clientId: params.client_id || decoded.payload.sub,
+      assertion: params.client_assertion,
+      header: decoded.header
+    };
+  }
+
+  const { clientId, clientSecret, method } = getClientCredentials(event, params);
+  return { method, clientId, clientSecret };
+}
+
+// Verify a client_secret_jwt or private_key_jwt assertion (RFC 7523 section 3)
+async function verifyClientAssertion(client, presented, endpointPath) {
+  let key;
+  if (presented.method === 'client_secret_jwt') {
+    // HMAC assertions need the shared secret itself, not its hash
+    key = client.client_secret;
+  } else {
+    key = await getClientPublicKey(client, presented.header.kid);
+  }
+
+  if (!key) {
+    console.warn('No key available to verify client assertion:', client.client_id);
+    return false;
+  }
+
+  // The audience may be the endpoint being called, the token endpoint or the issuer
+  const issuerUrl = await getIssuerUrl();
+  const audiences = [...new Set([
+    issuerUrl,
+    `${issuerUrl}${ENDPOINTS.token_endpoint}`,
+    `${issuerUrl}${endpointPath}`
+  ])];
+
+  let claims;
+  try {
+    claims = jwt.verify(presented.assertion, key, {
+      algorithms: [presented.header.alg],
+      audience: audiences,
+      issuer: client.client_id,
+      subject: client.client_id,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    console.warn('Client assertion verification failed:', error.message);
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.exp || !claims.jti) {
+    console.warn('Client assertion is missing exp or jti');
+    return false;
+  }
+
+  if (claims.exp > now + MAX_ASSERTION_LIFETIME_SECONDS) {
+    console.warn('Client assertion lifetime too long');
+    return false;
+  }
+
+  // Each assertion may only be used once
+  if (!await consumeClientAssertion(client.client_id, claims.jti, claims.exp)) {
+    console.warn('Client assertion replay detected:', client.client_id);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Authenticate the client making a back-channel request
+ * @param {object} event - API Gateway event
+ * @param {object} params - Parsed form parameters
+ * @param {string} endpointPath - Path of the endpoint being called, e.g. '/token'
+ * @returns {Promise<object|null>} - { client, method } or null if authentication failed
+ */
+async function authenticateClient(event, params, endpointPath) {
+  const presented = detectAuthMethod(event, params);
+  if (presented.error) {
+    console.warn('Client authentication rejected:', presented.error);
+    return null;
+  }
+
+  if (!presented.clientId) {
+    return null;
+  }
+
+  const client = await getClientById(presented.clientId);
+  if (!client) {
+    return null;
+  }
+
+  // Clients may only use their registered method
+  if (!getClientAuthMethods(client).includes(presented.method)) {
+    console.warn('Client authentication method not allowed:', JSON.stringify({
+      client_id: client.client_id,
+      method: presented.method
+    }));
+    return null;
+  }
+
+  switch (presented.method) {
+    case 'client_secret_basic':
+    case 'client_secret_post':
+      if (!verifyClientSecret(client, presented.clientSecret)) {
+        return null;
+      }
+      if (!client.client_secret_hash) {
+        console.warn('Client secret stored in plain text, migrate to client_secret_hash:', client.client_id);
+      }
+      break;
+
+    case 'client_secret_jwt':
+    case 'private_key_jwt':
+      if (!await verifyClientAssertion(client, presented, endpointPath)) {
+        return null;
+      }
+      break;
+
+    case 'none':
+      break;
+
+    default:
+      return null;
+  }
+
+  return { client, method: presented.method };
+}
+
+/**
+ * Check a client_credentials access token presented as a Bearer token
+ * The token must be addressed to <issuer>/<resource> and carry the scope, and the
+ * client must still exist and list the scope in allowed_scopes, so taking the scope
+ * away from a client locks it out straight away.
+ * @param {object} event - API Gateway event
+ * @param {string} resource - Audience path, e.g. 'admin'
+ * @param {string} scope - Required scope
+ * @returns {Promise<object>} - clientId, or error with an error response
+ */
+async function authorizeClientToken(event, resource, scope) {
+  const accessToken = parseBearerToken(event);
+  if (!accessToken) {
+    return { error: createErrorResponse('invalid_token', 'Missing access token', 401) };
+  }
+
+  let decoded;
+  try {
+    const issuerUrl = await getIssuerUrl();
+    decoded = await verifyAccessToken(accessToken, { audience: `${issuerUrl}/${resource}` });
+  } catch (error) {
+    console.warn(`Access token for /${resource} rejected:`, error.message);
+    return { error: createErrorResponse('invalid_token', 'Invalid or expired access token', 401) };
+  }
+
+  if (decoded.jti && await isAccessTokenRevoked(decoded.jti)) {
+    return { error: createErrorResponse('invalid_token', 'Access token has been revoked', 401) };
+  }
+
+  // Only client_credentials tokens, whose subject is the client itself
+  if (!decoded.client_id || decoded.sub !== decoded.client_id) {
+    return { error: createErrorResponse('insufficient_scope', 'A client_credentials access token is required', 403) };
+  }
+
+  const scopes = (decoded.scope || '').split(' ');
+  const client = await getClientById(decoded.client_id);
+  if (!scopes.includes(scope) || !(client?.allowed_scopes || []).includes(scope)) {
+    return { error: createErrorResponse('insufficient_scope', `The ${scope} scope is required`, 403) };
+  }
+
+  return { clientId: decoded.client_id };
+}
+
+module.exports = {
+  CLIENT_ASSERTION_TYPE,
+  authenticateClient,
+  authorizeClientToken
+};
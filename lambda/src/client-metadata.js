@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const {
+  hashClientSecret,
+  getClientAuthMethods,
+  DEFAULT_CLIENT_GRANT_TYPES
+} = require('./utils');
+const { GRANT_TYPES, TOKEN_ENDPOINT_AUTH_METHODS, ACR_VALUES } = require('./capabilities');
+
+/**
+ * Client metadata checks shared by the admin API and dynamic client registration
+ */
+
+// Client and application IDs appear in URLs and tokens
+const ID_PATTERN = /^[a-zA-Z0-9_.-]{3,100}$/;
+const MAX_STRING_LENGTH = 256;
+
+// Authentication methods that use a generated shared secret
+const SECRET_AUTH_METHODS = ['client_secret_basic', 'client_secret_post', 'client_secret_jwt'];
+
+// Field checks: each returns what is wrong with a value, or null
+
+function checkString(field, value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return `${field} must be a non-empty string`;
+  }
+  if (value.length > MAX_STRING_LENGTH) {
+    return `${field} must be at most ${MAX_STRING_LENGTH} characters`;
+  }
+  return null;
+}
+
+function checkBoolean(field, value) {
+  return typeof value === 'boolean' ? null : `${field} must be true or false`;
+}
+
+function checkPositiveInteger(field, value) {
+  return Number.isInteger(value) && value > 0 ? null : `${field} must be a positive whole number of seconds`;
+}
+
+function checkHttpUrl(field, value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol === 'https:' || url.protocol === 'http:') return null;
+  } catch (e) {
+    // fall through
+  }
+  return `${field} must be an http or https URL`;
+}
+
+function checkHttpsUrl(field, value) {
+  try {
+    if (new URL(value).protocol === 'https:') return null;
+  } catch (e) {
+    // fall through
+  }
+  return `${field} must be an https URL`;
+}
+
+// Redirect URIs: https, http on a loopback host, or a native app's private-use scheme (RFC 8252)
+function checkRedirectUri(field, value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return `${field} must contain absolute URIs`;
+  }
+  if (url.hash) {
+    return `${field} must not contain fragments`;
+  }
+  if (url.protocol === 'https:') return null;
+  if (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) return null;
+  if (!['http:', 'javascript:', 'data:', 'file:'].includes(url.protocol) && url.protocol.includes('.')) return null;
+  return `${field} must use https, http on localhost, or a private-use scheme such as com.example.app:`;
+}
+
+// Redirect URIs for dynamically registered clients: https only
+function checkHttpsRedirectUri(field, value) {
+  const problem = checkHttpsUrl(field, value);
+  if (problem) {
+    return `${field} must contain https URIs`;
+  }
+  return new URL(value).hash ? `${field} must not contain fragments` : null;
+}
+
+function listOf(check) {
+  return (field, value) => {
+    if (!Array.isArray(value)) {
+      return `${field} must be an array`;
+    }
+    for (const item of value) {
+      const problem = check(field, item);
+      if (problem) return problem;
+    }
+    return null;
+  };
+}
+
+function oneOf(allowed) {
+  return (field, value) => allowed.includes(value) ? null : `${field} must be one of: ${allowed.join(', ')}`;
+}
+
+function nonEmpty(check) {
+  return (field, value) => Array.isArray(value) && value.length === 0 ? `${field} must not be empty` : check(field, value);
+}
+
+function stringMap(allowedKeys = null) {
+  return (field, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `${field} must be an object`;
+    }
+    for (const [key, name] of Object.entries(value)) {
+      if (allowedKeys && !allowedKeys.includes(key)) {
+        return `${field} keys must be among: ${allowedKeys.join(', ')}`;
+      }
+      if (typeof name !== 'string' || !name) {
+        return `${field} values must be non-empty strings`;
+      }
+    }
+    return null;
+  };
+}
+
+function checkJwks(field, value) {
+  return value && Array.isArray(value.keys) ? null : `${field} must be a JWK Set with a keys array`;
+}
+
+// Client settings an administrator can set, with their checks
+const CLIENT_FIELDS = {
+  client_name: checkString,
+  redirect_uris: listOf(checkRedirectUri),
+  post_logout_redirect_uris: listOf(checkRedirectUri),
+  grant_types: nonEmpty(listOf(oneOf(GRANT_TYPES))),
+  token_endpoint_auth_method: oneOf(TOKEN_ENDPOINT_AUTH_METHODS),
+  jwks: checkJwks,
+  jwks_uri: checkHttpsUrl,
+  allowed_scopes: listOf(checkString),
+  allowed_audiences: listOf(checkString),
+  first_party: checkBoolean,
+  require_pkce: checkBoolean,
+  code_challenge_methods: nonEmpty(listOf(oneOf(['S256', 'plain']))),
+  default_acr_values: listOf(oneOf(ACR_VALUES)),
+  backchannel_logout_uri: checkHttpsUrl,
+  client_uri: checkHttpUrl,
+  logo_uri: checkHttpUrl,
+  policy_uri: checkHttpUrl,
+  tos_uri: checkHttpUrl,
+  claim_names: stringMap(['groups']),
+  refresh_token_absolute_lifetime: checkPositiveInteger,
+  refresh_token_idle_lifetime: checkPositiveInteger
+};
+
+/**
+ * Apply the fields of a request body to a record
+ * @param {object} record - Current record, or {} for a new one
+ * @param {object} body - Request body
+ * @param {object} fields - CLIENT_FIELDS or APPLICATION_FIELDS
+ * @param {Array<string>} ignored - Body fields handled elsewhere, e.g. the ID
+ * @returns {object} - record, or problem describing the first invalid field
+ */
+function applyFields(record, body, fields, ignored) {
+  const updated = { ...record };
+  for (const [field, value] of Object.entries(body)) {
+    if (ignored.includes(field)) continue;
+
+    const check = fields[field];
+    if (!check) {
+      return { problem: `Unknown or read-only field: ${field}` };
+    }
+
+    if (value === null) {
+      delete updated[field];
+      continue;
+    }
+
+    const problem = check(field, value);
+    if (problem) {
+      return { problem };
+    }
+    updated[field] = value;
+  }
+  return { record: updated };
+}
+
+// Client as returned by the admin API; secrets and their hashes never leave the table
+function describeClient(client) {
+  const { client_secret, client_secret_hash, registration_access_token_hash, ...settings } = client;
+  return {
+    ...settings,
+    has_secret: !!(client_secret || client_secret_hash)
+  };
+}
+
+// Method the token endpoint authenticates a client with; older clients may not list one
+function clientAuthMethod(client) {
+  return getClientAuthMethods(client)[0];
+}
+
+/**
+ * Check the settings of a client as a whole, after the fields are applied
+ * @returns {string|null} - What is wrong, or null
+ */
+function checkClientSettings(client) {
+  const grantTypes = client.grant_types || DEFAULT_CLIENT_GRANT_TYPES;
+  const authMethod = clientAuthMethod(client);
+
+  if (grantTypes.includes('authorization_code') && !(client.redirect_uris || []).length) {
+    return 'redirect_uris is required for the authorization_code grant';
+  }
+  if (grantTypes.includes('client_credentials') && authMethod === 'none') {
+    return 'The client_credentials grant needs an authenticating client, not token_endpoint_auth_method none';
+  }
+  if (authMethod === 'private_key_jwt' && !client.jwks && !client.jwks_uri) {
+    return 'private_key_jwt needs jwks or jwks_uri';
+  }
+  return null;
+}
+
+// Store a new random secret on the client and return it
+function generateClientSecret(client) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  client.client_secret_hash = hashClientSecret(secret);
+  client.client_secret = secret;
+  return secret;
+}
+
+/**
+ * Give a client a new secret, or drop its secret if its method does not use one
+ * client_secret_jwt verifies HMAC assertions, so it keeps the secret itself too.
+ * @param {object} client - Client record, changed in place
+ * @param {boolean} rotate - Replace an existing secret
+ * @returns {string|null} - The new secret, to show once
+ */
+function provisionClientSecret(client, rotate) {
+  const authMethod = clientAuthMethod(client);
+  if (!SECRET_AUTH_METHODS.includes(authMethod)) {
+    delete client.client_secret;
+    delete client.client_secret_hash;
+    return null;
+  }
+
+  let secret = null;
+  if (rotate || (!client.client_secret_hash && !client.client_secret)) {
+    secret = generateClientSecret(client);
+  }
+
+  if (authMethod !== 'client_secret_jwt') {
+    // Plain text secrets from before hashing are hashed now
+    if (client.client_secret && !client.client_secret_hash) {
+      client.client_secret_hash = hashClientSecret(client.client_secret);
+    }
+    delete client.client_secret;
+  } else if (!client.client_secret) {
+    // A hash alone cannot verify client_secret_jwt assertions
+    secret = generateClientSecret(client);
+  }
+
+  return secret;
+}
+
+module.exports = {
+  ID_PATTERN,
+  SECRET_AUTH_METHODS,
+  checkString,
+  checkBoolean,
+  checkHttpUrl,
+  checkHttpsUrl,
+  checkHttpsRedirectUri,
+  listOf,
+  oneOf,
+  nonEmpty,
+  stringMap,
+  checkJwks,
+  CLIENT_FIELDS,
+  applyFields,
+  describeClient,
+  clientAuthMethod,
+  checkClientSettings,
+  provisionClientSecret
+};
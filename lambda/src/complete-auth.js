@@ -6,29 +6,96 @@ const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 
 const {
+  getIssuerUrl,
   validateClient,
+  getEffectiveUserApplication,
   createAuthCode,
+  isConsentRequired,
+  parseRequestBody,
   createErrorResponse
 } = require('./utils');
+const {
+  consumeLoginSession,
+  deleteLoginSession,
+  getSessionPageUrl,
+  getAuthorizationErrorUrl
+} = require('./auth-flow');
+const { establishSsoSession } = require('./sso-session');
+const { recordAuditEvent } = require('./audit');
 
 const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
 const APPLICATIONS_TABLE = process.env.APPLICATIONS_TABLE;
+const CONSENT_PAGE_URL = process.env.CONSENT_PAGE_URL;
+
+/**
+ * Restart the authorization request from the session, forcing a fresh login
+ */
+async function redirectToReauthenticate(sessionData) {
+  const issuerUrl = await getIssuerUrl();
+  const authUrl = new URL(`${issuerUrl}/auth`);
+  authUrl.searchParams.append('client_id', sessionData.client_id);
+  authUrl.searchParams.append('redirect_uri', sessionData.redirect_uri);
+  authUrl.searchParams.append('response_type', 'code');
+  authUrl.searchParams.append('scope', sessionData.scope || 'openid profile email');
+  authUrl.searchParams.append('prompt', 'login');
+  authUrl.searchParams.append('max_age', String(sessionData.max_age));
+  if (sessionData.state) authUrl.searchParams.append('state', sessionData.state);
+  if (sessionData.nonce) authUrl.searchParams.append('nonce', sessionData.nonce);
+  if (sessionData.code_challenge) authUrl.searchParams.append('code_challenge', sessionData.code_challenge);
+  if (sessionData.code_challenge_method) authUrl.searchParams.append('code_challenge_method', sessionData.code_challenge_method);
+  if (sessionData.acr_values) authUrl.searchParams.append('acr_values', sessionData.acr_values);
+
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': authUrl.toString(),
+      'Cache-Control': 'no-store'
+    },
+    body: ''
+  };
+}
+
+/**
+ * Send the user to the consent page, carrying the application selection
+ */
+function redirectToConsentPage(event, sessionData, applicationId, account) {
+  const consentUrl = getSessionPageUrl(event, CONSENT_PAGE_URL, sessionData, {
+    application_id: applicationId,
+    account
+  });
+
+  return {
+    statusCode: 302,
+    headers: {
+      'Location': consentUrl,
+      'Cache-Control': 'no-store'
+    },
+    body: ''
+  };
+}
+
+// Authorization request parameters a caller may repeat, but not change
+const BOUND_PARAMS = ['client_id', 'redirect_uri', 'state'];
 
 /**
  * Complete authentication after application selection
+ *
+ * POST only, with a form-encoded body: session, and optionally application_id and
+ * account. The code is issued to the client, redirect URI and state stored with
+ * the session, and the session cannot be used again afterwards.
  */
 exports.handler = async (event) => {
-  console.log('Complete auth request:', JSON.stringify(event));
-
   try {
-    const params = event.queryStringParameters || {};
+    const method = event.httpMethod || event.requestContext?.http?.method;
+    if (method !== 'POST') {
+      return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+
+    const params = parseRequestBody(event);
     const {
       session,
       application_id,
-      account,
-      client_id,
-      redirect_uri,
-      state
+      account
     } = params;
 
     if (!session) {
@@ -52,6 +119,18 @@ exports.handler = async (event) => {
       return createErrorResponse('invalid_request', 'Session expired');
     }
 
+    // Sessions still waiting on a second factor are not signed in yet
+    if (!sessionData.authenticated) {
+      return createErrorResponse('invalid_request', 'Authentication not completed');
+    }
+
+    // max_age elapsed while the user was choosing an application: send them
+    // back through /auth to authenticate again
+    if (sessionData.max_age !== undefined && sessionData.max_age !== null &&
+        Math.floor(Date.now() / 1000) - sessionData.auth_time > sessionData.max_age) {
+      return await redirectToReauthenticate(sessionData);
+    }
+
     // Get application data if provided
     let applicationData = null;
     if (application_id) {
@@ -63,35 +142,89 @@ exports.handler = async (event) => {
       if (appResult.Item) {
         applicationData = appResult.Item;
       }
-    }
 
-    // Use client_id and redirect_uri from session or parameters
-    const finalClientId = client_id || sessionData.client_id || applicationData?.client_id;
-    const finalRedirectUri = redirect_uri || sessionData.redirect_uri || applicationData?.redirect_url;
-    const finalState = state || sessionData.state;
+      // The selected application and account end up in the tokens, so they
+      // must be ones the user is actually assigned to, directly or through a group
+      const userApp = await getEffectiveUserApplication(sessionData.user_id, application_id);
+      if (!applicationData || applicationData.enabled === false || !userApp) {
+        return createErrorResponse('access_denied', 'User is not assigned to this application', 403);
+      }
+      if (account && !(userApp.accounts || []).includes(account)) {
+        return createErrorResponse('access_denied', 'User is not assigned to this account', 403);
+      }
+    }
 
-    if (!finalClientId || !finalRedirectUri) {
-      return createErrorResponse('invalid_request', 'Missing client_id or redirect_uri');
+    // The session is bound to its authorization request
+    const mismatch = BOUND_PARAMS.find(name => params[name] !== undefined && params[name] !== sessionData[name]);
+    if (mismatch) {
+      return createErrorResponse('invalid_request', `${mismatch} does not match the authorization request`);
     }
+    const finalClientId = sessionData.client_id;
+    const finalRedirectUri = sessionData.redirect_uri;
+    const finalState = sessionData.state;
 
-    // Validate the client
-    const client = await validateClient(finalClientId, finalRedirectUri);
+    // Check the client and redirect URI are still registered
+    const client = await validateClient(finalClientId, null, finalRedirectUri);
     if (!client) {
       return createErrorResponse('invalid_client', 'Invalid client_id or redirect_uri');
     }
 
+    // Third-party clients need the user's approval for the requested scopes
+    const scope = sessionData.scope || 'openid profile email';
+    if (!sessionData.consent_given &&
+        await isConsentRequired(client, sessionData.user_id, scope, sessionData.prompt)) {
+      // prompt=none means the consent screen must not be shown
+      if ((sessionData.prompt || '').split(' ').includes('none')) {
+        await deleteLoginSession(sessionData.session_id);
+        return {
+          statusCode: 302,
+          headers: {
+            'Location': getAuthorizationErrorUrl(finalRedirectUri, 'consent_required',
+              'The user has not approved this client', finalState),
+            'Cache-Control': 'no-store',
+            'Set-Cookie': await establishSsoSession(sessionData)
+          },
+          body: ''
+        };
+      }
+
+      // The SSO cookie is set once the user comes back from the consent page
+      return redirectToConsentPage(event, sessionData, application_id, account);
+    }
+
+    // A session issues one code; a replayed or concurrent request finds it gone
+    if (!await consumeLoginSession(sessionData.session_id)) {
+      return createErrorResponse('invalid_request', 'Session already used');
+    }
+
+    // Remember the sign-in in this browser so later /auth requests can skip the login page
+    const ssoCookie = await establishSsoSession(sessionData);
+
     // Create authorization code
     const code = await createAuthCode(
       sessionData.user_id,
       finalClientId,
       finalRedirectUri,
-      sessionData.scope || 'openid profile email',
+      scope,
       sessionData.code_challenge,
       sessionData.code_challenge_method,
       application_id,
-      account
+      account,
+      {
+        nonce: sessionData.nonce,
+        authTime: sessionData.auth_time,
+        amr: sessionData.amr,
+        acr: sessionData.acr
+      }
     );
 
+    await recordAuditEvent(event, {
+      type: 'code.issue',
+      userId: sessionData.user_id,
+      clientId: finalClientId,
+      details: { scope, application_id, account, acr: sessionData.acr }
+    });
+
     // Build redirect URL with authorization code
     const redirectUrl = new URL(finalRedirectUri);
     redirectUrl.searchParams.append('code', code);
@@ -104,7 +237,8 @@ exports.handler = async (event) => {
       statusCode: 302,
       headers: {
         'Location': redirectUrl.toString(),
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'Set-Cookie': ssoCookie
       },
       body: JSON.stringify({
         redirect_url: redirectUrl.toString()
@@ -0,0 +1,191 @@
+const {
+  getUserById,
+  getClientById,
+  getGrant,
+  listGrants,
+  saveGrant,
+  revokeGrant,
+  parseRequestBody,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const {
+  getAuthenticatedLoginSession,
+  recordSessionConsent,
+  deleteLoginSession,
+  getAuthorizationErrorUrl,
+  getApiUrl
+} = require('./auth-flow');
+const { SCOPE_CLAIMS, SCOPE_DESCRIPTIONS } = require('./capabilities');
+
+/**
+ * Consent handler
+ *
+ * POST /consent        - without decision: client and scopes to show on the consent page (session)
+ *                        - with decision=approve|deny: record the user's decision
+ * POST /grants         - clients the signed-in user has approved (session)
+ * POST /grants/revoke  - withdraw approval for a client (session, client_id)
+ *
+ * Bodies are form encoded so the static pages can call them without a CORS preflight,
+ * and the session stays out of URLs.
+ */
+exports.handler = async (event) => {
+  try {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+    const params = parseRequestBody(event);
+
+    switch (`${method} ${event.resource}`) {
+      case 'POST /consent':
+        return params.decision === undefined
+          ? await getConsentDetails(params)
+          : await recordDecision(event, params);
+
+      case 'POST /grants':
+        return await listUserGrants(params);
+
+      case 'POST /grants/revoke':
+        return await revokeUserGrant(params);
+
+      default:
+        return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+  } catch (error) {
+    console.error('Error in consent handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
+
+// Load the signed-in session named by the session parameter
+async function loadSession(params) {
+  const sessionData = await getAuthenticatedLoginSession(params.session);
+  if (!sessionData) {
+    return { error: createErrorResponse('unauthorized', 'Invalid or expired session', 401) };
+  }
+  return { sessionData };
+}
+
+// Client details that are safe to show to the user
+function describeClient(client) {
+  return {
+    client_id: client.client_id,
+    client_name: client.client_name || client.client_id,
+    logo_uri: client.logo_uri,
+    client_uri: client.client_uri,
+    policy_uri: client.policy_uri,
+    tos_uri: client.tos_uri
+  };
+}
+
+// Describe each requested scope and the claims it releases
+function describeScopes(scope) {
+  return (scope || '').split(' ').filter(Boolean).map(name => ({
+    scope: name,
+    description: SCOPE_DESCRIPTIONS[name] || `Access to "${name}"`,
+    claims: SCOPE_CLAIMS[name] || []
+  }));
+}
+
+async function getConsentDetails(params) {
+  const { error, sessionData } = await loadSession(params);
+  if (error) {
+    return error;
+  }
+
+  const client = await getClientById(sessionData.client_id);
+  const user = await getUserById(sessionData.user_id);
+  if (!client || !user) {
+    return createErrorResponse('invalid_request', 'Invalid or expired session');
+  }
+
+  const grant = await getGrant(user.user_id, client.client_id);
+
+  return createResponse(200, {
+    client: describeClient(client),
+    user: {
+      username: user.username,
+      name: user.name || user.username
+    },
+    scopes: describeScopes(sessionData.scope),
+    previously_granted: (grant?.scope || '').split(' ').filter(Boolean)
+  });
+}
+
+/**
+ * Record the user's decision and say where the consent page should go next
+ * On approval the page POSTs the session and application selection to complete_url;
+ * a denial ends the session and returns access_denied to the client.
+ */
+async function recordDecision(event, params) {
+  const { error, sessionData } = await loadSession(params);
+  if (error) {
+    return error;
+  }
+
+  if (params.decision === 'deny') {
+    await deleteLoginSession(sessionData.session_id);
+    console.log('Consent denied:', JSON.stringify({ user_id: sessionData.user_id, client_id: sessionData.client_id }));
+
+    return createResponse(200, {
+      redirect_url: getAuthorizationErrorUrl(sessionData.redirect_uri, 'access_denied',
+        'The user denied the request', sessionData.state)
+    });
+  }
+
+  if (params.decision !== 'approve') {
+    return createErrorResponse('invalid_request', 'decision must be approve or deny');
+  }
+
+  await saveGrant(sessionData.user_id, sessionData.client_id, sessionData.scope);
+  await recordSessionConsent(sessionData.session_id);
+  console.log('Consent granted:', JSON.stringify({
+    user_id: sessionData.user_id,
+    client_id: sessionData.client_id,
+    scope: sessionData.scope
+  }));
+
+  return createResponse(200, { complete_url: `${getApiUrl(event)}/complete-auth` });
+}
+
+async function listUserGrants(params) {
+  const { error, sessionData } = await loadSession(params);
+  if (error) {
+    return error;
+  }
+
+  const grants = await listGrants(sessionData.user_id);
+  const described = [];
+  for (const grant of grants) {
+    const client = await getClientById(grant.client_id);
+    described.push({
+      ...(client ? describeClient(client) : { client_id: grant.client_id, client_name: grant.client_id }),
+      scope: grant.scope,
+      granted_at: grant.granted_at,
+      updated_at: grant.updated_at
+    });
+  }
+
+  return createResponse(200, { grants: described });
+}
+
+async function revokeUserGrant(params) {
+  const { error, sessionData } = await loadSession(params);
+  if (error) {
+    return error;
+  }
+
+  if (!params.client_id) {
+    return createErrorResponse('invalid_request', 'Missing client_id');
+  }
+
+  const revokedTokens = await revokeGrant(sessionData.user_id, params.client_id);
+  console.log('Grant revoked by user:', JSON.stringify({
+    user_id: sessionData.user_id,
+    client_id: params.client_id,
+    refresh_tokens: revokedTokens
+  }));
+
+  return createResponse(200, {
+    message: 'Access revoked',
+    client_id: params.client_id
+  });
+}
@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const {
+  getClientById,
+  getUserById,
+  getUserByUsername,
+  createUser,
+  deleteUserRecord,
+  updateUserAttributes,
+  isUserDisabled,
+  isValidEmail,
+  getMfaMethods,
+  PROFILE_FIELDS,
+  checkProfileField,
+  getFederatedIdentity,
+  linkFederatedIdentity,
+  unlinkFederatedIdentity,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const {
+  validateAuthorizationRequest,
+  createLoginSession,
+  getPendingLoginSession,
+  completeLoginSession,
+  redirectToLoginPage,
+  redirectToLandingPage,
+  ACCOUNT_DISABLED_ERROR,
+  getApiUrl
+} = require('./auth-flow');
+const {
+  getUpstreamProviders,
+  getUpstreamProvider,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyUpstreamIdToken
+} = require('./upstream-idp');
+const { ACR_PASSWORD, ACR_MFA, getRequestedAcr } = require('./capabilities');
+const { recordAuditEvent } = require('./audit');
+
+/**
+ * Sign-in with upstream OpenID Connect identity providers
+ *
+ * GET /federation/providers - configured providers, for the login page buttons
+ * GET /federation/start     - start signing in with ?provider=<id> and the authorization request
+ * GET /federation/callback  - redirect URI registered at every upstream provider
+ *
+ * /federation/start creates a login session and sends the browser to the upstream
+ * with state, nonce and PKCE. The session ID travels in a short-lived cookie, not in
+ * state, which also ties the callback to the browser that started the sign-in. The
+ * callback redeems the code, validates the upstream ID token against the upstream
+ * JWKS and signs in the local user linked to the upstream iss and sub, provisioning
+ * one on first sign-in. The session then continues to the landing page like a
+ * password sign-in.
+ */
+
+// __Host- cookies must be Secure, have Path=/ and no Domain, so only this API host sees them
+const FEDERATION_COOKIE_NAME = '__Host-oidc_federation';
+const FEDERATION_COOKIE_MAX_AGE_SECONDS = 600; // the login session's lifetime
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,50}$/;
+
+const SESSION_EXPIRED_ERROR = {
+  error: 'session_expired',
+  error_description: 'Your sign-in session has expired. Please sign in again.'
+};
+
+const UNKNOWN_PROVIDER_ERROR = {
+  error: 'invalid_request',
+  error_description: 'This sign-in option is not available'
+};
+
+const NOT_LINKED_ERROR = {
+  error: 'account_not_linked',
+  error_description: 'Your account is not set up for this sign-in option. Contact your administrator.'
+};
+
+const UNMET_MFA_ERROR = {
+  error: 'unmet_authentication_requirements',
+  error_description: 'Multi-factor authentication is required, and this sign-in option did not provide it.'
+};
+
+function upstreamError(provider, cancelled = false) {
+  return {
+    error: cancelled ? 'access_denied' : 'upstream_error',
+    error_description: cancelled
+      ? `Sign-in with ${provider.name} was cancelled.`
+      : `Sign-in with ${provider.name} failed. Please try again.`
+  };
+}
+
+exports.handler = async (event) => {
+  try {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+    if (method !== 'GET') {
+      return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+
+    const params = event.queryStringParameters || {};
+
+    switch (event.resource) {
+      case '/federation/providers':
+        return await listProviders();
+
+      case '/federation/start':
+        return await startSignIn(event, params);
+
+      case '/federation/callback':
+        return await finishSignIn(event, params);
+
+      default:
+        return createErrorResponse('invalid_request', 'Unknown federation endpoint', 404);
+    }
+  } catch (error) {
+    console.error('Error in federation handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
+
+// Redirect URI registered at the upstream providers
+function getCallbackUrl(event) {
+  return `${getApiUrl(event)}/federation/callback`;
+}
+
+// Read the login session ID from the federation cookie
+function getFederationSessionId(event) {
+  const headers = event.headers || {};
+  const cookieHeader = headers.Cookie || headers.cookie || '';
+
+  for (const cookie of cookieHeader.split(';')) {
+    const separator = cookie.indexOf('=');
+    if (separator > 0 && cookie.slice(0, separator).trim() === FEDERATION_COOKIE_NAME) {
+      return cookie.slice(separator + 1).trim() || null;
+    }
+  }
+
+  return null;
+}
+
+// SameSite=Lax still sends the cookie on the upstream's top-level redirect back
+function withFederationCookie(response, sessionId) {
+  const cookie = sessionId
+    ? `${FEDERATION_COOKIE_NAME}=${sessionId}; Path=/; Max-Age=${FEDERATION_COOKIE_MAX_AGE_SECONDS}; Secure; HttpOnly; SameSite=Lax`
+    : `${FEDERATION_COOKIE_NAME}=; Path=/; Max-Age=0; Secure; HttpOnly; SameSite=Lax`;
+  response.headers['Set-Cookie'] = cookie;
+  return response;
+}
+
+// The authorization request stored on a login session, for sending the user back to the login page
+function getSessionAuthorizationParams(sessionData) {
+  return {
+    client_id: sessionData.client_id,
+    redirect_uri: sessionData.redirect_uri,
+    response_type: 'code',
+    scope: sessionData.scope,
+    state: sessionData.state,
+    code_challenge: sessionData.code_challenge,
+    code_challenge_method: sessionData.code_challenge_method,
+    nonce: sessionData.nonce,
+    max_age: sessionData.max_age !== undefined ? String(sessionData.max_age) : undefined,
+    prompt: sessionData.prompt,
+    acr_values: sessionData.acr_values
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+async function listProviders() {
+  const providers = await getUpstreamProviders();
+  return createResponse(200, {
+    providers: providers.map(provider => ({ id: provider.id, name: provider.name }))
+  });
+}
+
+async function startSignIn(event, params) {
+  const request = await validateAuthorizationRequest(params);
+  if (request.error) {
+    return createErrorResponse(request.error, request.error_description);
+  }
+
+  const provider = await getUpstreamProvider(params.provider);
+  if (!provider) {
+    return redirectToLoginPage(event, params, UNKNOWN_PROVIDER_ERROR);
+  }
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  let authorizationUrl;
+  try {
+    authorizationUrl = await buildAuthorizationUrl(provider, {
+      redirectUri: getCallbackUrl(event),
+      state,
+      nonce,
+      codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      // Pass on a request to re-authenticate, so the upstream does not reuse its own session
+      prompt: (params.prompt || '').split(' ').includes('login') ? 'login' : undefined,
+      maxAge: params.max_age
+    });
+  } catch (error) {
+    console.warn('Upstream identity provider unavailable:', JSON.stringify({ provider: provider.id, error: error.message }));
+    return redirectToLoginPage(event, params, upstreamError(provider));
+  }
+
+  const sessionData = await createLoginSession(params, request.pkceMethod, {
+    authenticated: false,
+    upstream_provider: provider.id,
+    upstream_state: state,
+    upstream_nonce: nonce,
+    upstream_code_verifier: codeVerifier
+  });
+
+  return withFederationCookie({
+    statusCode: 302,
+    headers: {
+      'Location': authorizationUrl,
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    },
+    body: ''
+  }, sessionData.session_id);
+}
+
+async function finishSignIn(event, params) {
+  const sessionId = getFederationSessionId(event);
+  const sessionData = await getPendingLoginSession(sessionId, null);
+  if (!sessionData?.upstream_state) {
+    return withFederationCookie(
+      createErrorResponse(SESSION_EXPIRED_ERROR.error, SESSION_EXPIRED_ERROR.error_description), null);
+  }
+
+  const loginParams = getSessionAuthorizationParams(sessionData);
+  const backToLogin = (error) => withFederationCookie(redirectToLoginPage(event, loginParams, error), null);
+
+  // state must be the one sent from this browser's session (CSRF protection)
+  if (!params.state || !safeEqual(params.state, sessionData.upstream_state)) {
+    return backToLogin(SESSION_EXPIRED_ERROR);
+  }
+
+  const provider = await getUpstreamProvider(sessionData.upstream_provider);
+  if (!provider) {
+    return backToLogin(UNKNOWN_PROVIDER_ERROR);
+  }
+
+  const auditEntry = {
+    type: 'login',
+    clientId: sessionData.client_id,
+    details: { method: 'federated', provider: provider.id }
+  };
+
+  if (params.error || !params.code) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: params.error || 'invalid_request' });
+    return backToLogin(upstreamError(provider, params.error === 'access_denied'));
+  }
+
+  let claims;
+  try {
+    const tokens = await exchangeAuthorizationCode(provider, params.code, getCallbackUrl(event),
+      sessionData.upstream_code_verifier);
+    claims = await verifyUpstreamIdToken(provider, tokens.id_token, sessionData.upstream_nonce);
+  } catch (error) {
+    console.warn('Upstream sign-in failed:', JSON.stringify({ provider: provider.id, error: error.message }));
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: 'upstream_error' });
+    return backToLogin(upstreamError(provider));
+  }
+  auditEntry.details.upstream_subject = claims.sub;
+
+  const { user, provisioned } = await findOrProvisionUser(provider, claims);
+  if (!user) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: NOT_LINKED_ERROR.error });
+    return backToLogin(NOT_LINKED_ERROR);
+  }
+  Object.assign(auditEntry, { userId: user.user_id, username: user.username });
+  auditEntry.details.provisioned = provisioned;
+
+  if (isUserDisabled(user)) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: ACCOUNT_DISABLED_ERROR.error });
+    return backToLogin(ACCOUNT_DISABLED_ERROR);
+  }
+
+  // The upstream's amr says whether it used more than one factor (RFC 8176).
+  // Users who enrolled a local second factor need MFA from the upstream too,
+  // or the upstream would be a way around their second factor.
+  const upstreamMfa = Array.isArray(claims.amr) && claims.amr.includes('mfa');
+  const client = await getClientById(sessionData.client_id);
+  const requestedAcr = getRequestedAcr(sessionData.acr_values || client?.default_acr_values?.join(' '));
+  const mfaRequired = requestedAcr === ACR_MFA || (await getMfaMethods(user)).length > 0;
+  if (mfaRequired && !upstreamMfa) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: UNMET_MFA_ERROR.error });
+    return backToLogin(UNMET_MFA_ERROR);
+  }
+
+  // The upstream values are single use, like a WebAuthn challenge
+  const completed = await completeLoginSession(sessionData.session_id, {
+    user_id: user.user_id,
+    amr: upstreamMfa ? ['fed', 'mfa'] : ['fed'],
+    acr: upstreamMfa ? ACR_MFA : ACR_PASSWORD
+  }, {
+    upstream_state: sessionData.upstream_state,
+    upstream_nonce: sessionData.upstream_nonce,
+    upstream_code_verifier: sessionData.upstream_code_verifier
+  });
+  if (!completed) {
+    return backToLogin(SESSION_EXPIRED_ERROR);
+  }
+
+  await recordAuditEvent(event, auditEntry);
+
+  return withFederationCookie(redirectToLandingPage(event, completed), null);
+}
+
+/**
+ * Find the local user linked to the upstream account, or provision and link one
+ * @param {object} provider - Upstream provider
+ * @param {object} claims - Validated upstream ID token claims
+ * @returns {Promise<object>} - user and provisioned; user is null when the account
+ *   is not linked and the provider does not provision users
+ */
+async function findOrProvisionUser(provider, claims) {
+  const identity = await getFederatedIdentity(provider.issuer, claims.sub);
+  if (identity) {
+    const user = await getUserById(identity.user_id);
+    if (user) {
+      return { user, provisioned: false };
+    }
+    // The user was deleted without its link
+    await unlinkFederatedIdentity(provider.issuer, claims.sub);
+  }
+
+  if (!provider.jit_provisioning) {
+    return { user: null, provisioned: false };
+  }
+
+  const email = typeof claims.email === 'string' && isValidEmail(claims.email) ? claims.email : null;
+  const user = await createUser(await chooseUsername(provider, claims), null, email, getUpstreamProfile(claims));
+  if (email && (claims.email_verified === true || claims.email_verified === 'true')) {
+    Object.assign(user, await updateUserAttributes(user.user_id, { email_verified: true }));
+  }
+
+  // A concurrent first sign-in may have linked the account already: keep that user
+  if (!await linkFederatedIdentity(provider.issuer, claims.sub, user.user_id, provider.id)) {
+    await deleteUserRecord(user.user_id);
+    const winner = await getFederatedIdentity(provider.issuer, claims.sub);
+    return { user: winner && await getUserById(winner.user_id), provisioned: false };
+  }
+
+  console.log('User provisioned from upstream identity provider:', JSON.stringify({
+    user_id: user.user_id,
+    username: user.username,
+    provider: provider.id
+  }));
+  return { user, provisioned: true };
+}
+
+// Username for a provisioned user: the upstream preferred_username or email local
+// part when it fits the username rules, with a random suffix if it is taken
+async function chooseUsername(provider, claims) {
+  const preferred = String(claims.preferred_username || claims.email || '')
+    .split('@')[0]
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .slice(0, 40);
+  const base = USERNAME_PATTERN.test(preferred) ? preferred : `${provider.id}-user`;
+
+  let username = base;
+  while (await getUserByUsername(username)) {
+    username = `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+  return username;
+}
+
+// Standard profile claims from the upstream ID token that pass the local checks
+function getUpstreamProfile(claims) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    // The OIDC profile claim is stored as profile_url
+    const value = field === 'profile_url' ? claims.profile : claims[field];
+    if (typeof value === 'string' && value && !checkProfileField(field, value)) {
+      profile[field] = value;
+    }
+  }
+  return profile;
+}
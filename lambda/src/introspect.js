@@ -0,0 +1,136 @@
+const {
+  verifyAccessToken,
+  isAccessTokenRevoked,
+  getRefreshToken,
+  getUserById,
+  isUserDisabled,
+  parseRequestBody,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const { ENDPOINTS } = require('./capabilities');
+const { authenticateClient } = require('./client-auth');
+
+const INACTIVE = { active: false };
+
+// Introspect a refresh token
+// Returns null if the token is not a known refresh token
+async function introspectRefreshToken(token) {
+  const storedToken = await getRefreshToken(token);
+  if (!storedToken) return null;
+  
+  if (storedToken.rotated_at || storedToken.expires_at < Math.floor(Date.now() / 1000)) {
+    return INACTIVE;
+  }
+  
+  // Tokens of disabled users stop working at /token, so they are not active either
+  const user = await getUserById(storedToken.user_id);
+  if (!user || isUserDisabled(user)) return INACTIVE;
+  
+  return {
+    active: true,
+    token_type: 'refresh_token',
+    sub: storedToken.user_id,
+    client_id: storedToken.client_id,
+    scope: storedToken.scope,
+    exp: storedToken.expires_at,
+    iat: Math.floor(new Date(storedToken.created_at).getTime() / 1000),
+    username: user.username,
+    application_id: storedToken.application_id,
+    account: storedToken.account
+  };
+}
+
+// Introspect an access token
+// Returns null if the token is not a valid access token
+async function introspectAccessToken(token) {
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+  
+  if (decoded.jti && await isAccessTokenRevoked(decoded.jti)) {
+    return INACTIVE;
+  }
+  
+  // Client credentials tokens are issued to the client itself and have no user
+  const clientId = decoded.client_id || decoded.aud;
+  let user = null;
+  if (decoded.sub !== clientId) {
+    user = await getUserById(decoded.sub);
+    if (!user || isUserDisabled(user)) return INACTIVE;
+  }
+  
+  return {
+    active: true,
+    token_type: 'Bearer',
+    sub: decoded.sub,
+    client_id: clientId,
+    aud: decoded.aud,
+    iss: decoded.iss,
+    jti: decoded.jti,
+    scope: decoded.scope,
+    exp: decoded.exp,
+    iat: decoded.iat,
+    username: user?.username,
+    application_id: decoded.application_id,
+    account: decoded.account
+  };
+}
+
+/**
+ * Token introspection endpoint (RFC 7662)
+ * Lets resource servers holding confidential client credentials check
+ * whether an access or refresh token is still active
+ */
+exports.handler = async (event) => {
+  try {
+    const params = parseRequestBody(event);
+    const { token, token_type_hint } = params;
+    
+    const authenticated = await authenticateClient(event, params, ENDPOINTS.introspection_endpoint);
+    if (!authenticated) {
+      return createErrorResponse('invalid_client', 'Invalid client credentials', 401);
+    }
+    
+    // Only confidential clients may introspect tokens
+    if (authenticated.method === 'none') {
+      return createErrorResponse('invalid_client', 'Client authentication required', 401);
+    }
+    
+    if (!token) {
+      return createErrorResponse('invalid_request', 'Missing token');
+    }
+    
+    // The hint only decides which lookup runs first (RFC 7662 section 2.1)
+    const lookups = token_type_hint === 'refresh_token'
+      ? [introspectRefreshToken, introspectAccessToken]
+      : [introspectAccessToken, introspectRefreshToken];
+    
+    let result = null;
+    for (const lookup of lookups) {
+      result = await lookup(token);
+      if (result) break;
+    }
+    
+    const response = { ...(result || INACTIVE) };
+    
+    // Remove undefined values
+    Object.keys(response).forEach(key => {
+      if (response[key] === undefined) {
+        delete response[key];
+      }
+    });
+    
+    return createResponse(200, response, {
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    });
+    
+  } catch (error) {
+    console.error('Error in introspect handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
@@ -1,4 +1,4 @@
-const { getSigningKeys, createResponse } = require('./utils');
+const { getPublishedKeys, createResponse } = require('./utils');
 const crypto = require('crypto');
 
 // Convert PEM public key to JWK format
@@ -19,12 +19,12 @@ function pemToJwk(publicKeyPem, kid, alg = 'RS256') {
 
 exports.handler = async (event) => {
   try {
-    const keys = await getSigningKeys();
-    
-    const jwk = pemToJwk(keys.public_key, keys.kid, keys.alg);
+    // Publish the active key, the pre-published next key and any retired
+    // keys whose tokens may still be in flight
+    const keys = await getPublishedKeys();
     
     const jwks = {
-      keys: [jwk]
+      keys: keys.map(key => pemToJwk(key.public_key, key.kid, key.alg))
     };
     
     return createResponse(200, jwks);
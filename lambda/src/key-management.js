@@ -0,0 +1,104 @@
+const {
+  getKeyRing,
+  rotateSigningKeys,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+
+// Describe a key ring entry without its private key material
+function describeKey(key) {
+  return {
+    kid: key.kid,
+    alg: key.alg,
+    status: key.status,
+    created_at: key.created_at,
+    activated_at: key.activated_at || null,
+    retired_at: key.retired_at || null,
+    expires_at: key.expires_at || null
+  };
+}
+
+/**
+ * Lambda function for JWT signing key management
+ * Can be invoked from AWS Console with test payloads or on a schedule
+ * 
+ * Supported operations:
+ * 1. listKeys - List the keys in the signing key ring
+ * 2. rotateKeys - Promote the next key to active and retire the current one
+ * 
+ * The next key is published in /jwks before it signs anything. rotateKeys
+ * refuses to promote it until it has been published for
+ * JWT_KEY_PREPUBLISH_SECONDS, unless "force" is set.
+ * 
+ * Example test payloads:
+ * 
+ * List Keys:
+ * {
+ *   "operation": "listKeys"
+ * }
+ * 
+ * Rotate Keys:
+ * {
+ *   "operation": "rotateKeys",
+ *   "force": false
+ * }
+ */
+exports.handler = async (event) => {
+  try {
+    const { operation } = event;
+    
+    console.log('Key management operation requested:', JSON.stringify({ operation }));
+    
+    if (!operation) {
+      return createErrorResponse('invalid_request', 'Missing operation parameter. Valid operations: listKeys, rotateKeys');
+    }
+    
+    switch (operation) {
+      case 'listKeys':
+        return await handleListKeys();
+      
+      case 'rotateKeys':
+        return await handleRotateKeys(event);
+      
+      default:
+        return createErrorResponse('invalid_request', `Unknown operation: ${operation}. Valid operations: listKeys, rotateKeys`);
+    }
+    
+  } catch (error) {
+    console.error('Error in key management handler:', error);
+    return createErrorResponse('server_error', `Internal server error: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Handle listKeys operation
+ */
+async function handleListKeys() {
+  const ring = await getKeyRing({ refresh: true });
+  
+  return createResponse(200, {
+    keys: ring.keys.map(describeKey)
+  });
+}
+
+/**
+ * Handle rotateKeys operation
+ */
+async function handleRotateKeys(event) {
+  const force = event.force === true;
+  
+  const result = await rotateSigningKeys({ force });
+  
+  if (!result.rotated) {
+    return createResponse(200, {
+      message: 'Next key is still inside its pre-publish window; rotation skipped',
+      eligible_at: result.eligible_at,
+      keys: result.ring.keys.map(describeKey)
+    });
+  }
+  
+  return createResponse(200, {
+    message: 'Signing keys rotated successfully',
+    keys: result.ring.keys.map(describeKey)
+  });
+}
@@ -1,5 +1,6 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { parseRequestBody, listEffectiveUserApplications } = require('./utils');
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
@@ -7,18 +8,20 @@ const docClient = DynamoDBDocumentClient.from(dynamoClient);
 const SESSIONS_TABLE = process.env.SESSIONS_TABLE;
 const USERS_TABLE = process.env.USERS_TABLE;
 const APPLICATIONS_TABLE = process.env.APPLICATIONS_TABLE;
-const USER_APPLICATIONS_TABLE = process.env.USER_APPLICATIONS_TABLE;
 
 /**
  * Landing page handler - Shows available applications for user
+ *
+ * The session comes in a form-encoded POST body (session=...) or an
+ * Authorization: Bearer header, never in the query string.
  */
 exports.handler = async (event) => {
-  console.log('Landing page request:', JSON.stringify(event));
-
   try {
-    // Get session token from Authorization header or query params
+    const method = event.httpMethod || event.requestContext?.http?.method;
     const authHeader = event.headers?.Authorization || event.headers?.authorization;
-    const sessionToken = authHeader?.replace('Bearer ', '') || event.queryStringParameters?.session;
+    const sessionToken = method === 'POST'
+      ? parseRequestBody(event).session
+      : authHeader?.replace('Bearer ', '');
 
     if (!sessionToken) {
       return {
@@ -71,6 +74,21 @@ exports.handler = async (event) => {
       };
     }
 
+    // Sessions still waiting on a second factor are not signed in yet
+    if (!session.authenticated) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({
+          error: 'unauthorized',
+          error_description: 'Authentication not completed'
+        })
+      };
+    }
+
     // Get user data
     const userResult = await docClient.send(new GetCommand({
       TableName: USERS_TABLE,
@@ -93,18 +111,12 @@ exports.handler = async (event) => {
 
     const user = userResult.Item;
 
-    // Get user's applications
-    const userAppsResult = await docClient.send(new QueryCommand({
-      TableName: USER_APPLICATIONS_TABLE,
-      KeyConditionExpression: 'user_id = :userId',
-      ExpressionAttributeValues: {
-        ':userId': session.user_id
-      }
-    }));
+    // Get user's applications, including those granted to their groups
+    const userApps = await listEffectiveUserApplications(session.user_id);
 
     // Get application details for each user application
     const applications = [];
-    for (const userApp of userAppsResult.Items || []) {
+    for (const userApp of userApps) {
       const appResult = await docClient.send(new GetCommand({
         TableName: APPLICATIONS_TABLE,
         Key: { application_id: userApp.application_id }
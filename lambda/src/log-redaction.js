@@ -0,0 +1,132 @@
+/**
+ * Redaction of secrets from log output
+ *
+ * installLogRedaction() wraps the console methods so every log line is filtered,
+ * whichever module writes it: passwords, client secrets, authorization codes,
+ * tokens, session IDs and similar values are replaced with [REDACTED]. Values are
+ * recognised by their field or parameter name, in objects, JSON text and query or
+ * form strings, and JWTs and Authorization header values are recognised anywhere.
+ */
+
+const REDACTED = '[REDACTED]';
+
+// console.log as it was before installLogRedaction() wrapped it
+let unredactedLog = (...args) => console.log(...args);
+
+// Field and parameter names, in snake_case, whose values are credentials, and the
+// IDs and hashes stored for them, e.g. password, new_password, client_secret,
+// refresh_token, token_id, sso_session_id, password_hash and recovery_code_hashes.
+// Plain code is an authorization code; other *_code names such as error_code are
+// not secrets. Identifiers that only group tokens (family_id) and ID token claims
+// (at_hash) stay readable for investigating failures.
+const SENSITIVE_NAME = /((^|[_-])(password|passwd|secret|token|code_verifier|otp|assertion|session|sso|cookie|authorization|recovery_codes?)(_id|_hash|_hashes)?|^code)$/;
+
+const JSON_STRING_PAIR = /"([\w-]+)"(\s*:\s*)"(?:[^"\\]|\\.)*"/g;
+const JSON_ARRAY_PAIR = /"([\w-]+)"(\s*:\s*)\[[^\]]*\]/g;
+const URL_PARAMETER = /(^|[?&#;\s])([\w-]+)=([^&\s#"';]*)/g;
+const AUTHORIZATION_VALUE = /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/g;
+const JWT = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+// Objects nested deeper than this are not worth walking for a log line
+const MAX_DEPTH = 10;
+
+/**
+ * Check whether a field or parameter name holds a secret
+ * @param {string} name - e.g. refresh_token, clientSecret or Authorization
+ * @returns {boolean}
+ */
+function isSensitiveName(name) {
+  const normalized = String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  return SENSITIVE_NAME.test(normalized);
+}
+
+/**
+ * Redact secrets from free text such as a log message or a JSON document
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  return text
+    .replace(JWT, REDACTED)
+    .replace(AUTHORIZATION_VALUE, `$1 ${REDACTED}`)
+    .replace(JSON_STRING_PAIR, (match, name, separator) =>
+      isSensitiveName(name) ? `"${name}"${separator}"${REDACTED}"` : match)
+    .replace(JSON_ARRAY_PAIR, (match, name, separator) =>
+      isSensitiveName(name) ? `"${name}"${separator}"${REDACTED}"` : match)
+    .replace(URL_PARAMETER, (match, prefix, name) =>
+      isSensitiveName(name) ? `${prefix}${name}=${REDACTED}` : match);
+}
+
+/**
+ * Copy a value with its secrets redacted
+ * Numbers and booleans under sensitive names are kept, so counts such as
+ * refresh_tokens or flags such as has_secret stay readable.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value instanceof Error) {
+    const copy = new Error(redactText(value.message || ''));
+    copy.name = value.name;
+    copy.stack = redactText(value.stack || '');
+    return copy;
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  for (const [name, item] of Object.entries(value)) {
+    const secret = isSensitiveName(name) && item !== null && !['number', 'boolean'].includes(typeof item);
+    copy[name] = secret ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return copy;
+}
+
+/**
+ * Write a log line without redaction
+ * Only for output that exists to carry a secret to a developer, such as the
+ * console mail transport's links.
+ */
+function logUnredacted(...args) {
+  unredactedLog(...args);
+}
+
+/**
+ * Filter every console method through redact()
+ * Safe to call more than once.
+ */
+function installLogRedaction() {
+  if (console.redactionInstalled) {
+    return;
+  }
+
+  const originalLog = console.log;
+  unredactedLog = (...args) => originalLog.apply(console, args);
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method];
+    console[method] = (...args) => original.apply(console, args.map(arg => redact(arg)));
+  }
+  Object.defineProperty(console, 'redactionInstalled', { value: true });
+}
+
+module.exports = {
+  REDACTED,
+  isSensitiveName,
+  redactText,
+  redact,
+  logUnredacted,
+  installLogRedaction
+};
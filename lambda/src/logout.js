@@ -0,0 +1,341 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  getClientById,
+  createJWT,
+  verifyJWT,
+  revokeUserRefreshTokens,
+  parseRequestBody,
+  createErrorResponse,
+  createHTMLResponse
+} = require('./utils');
+const { getAuthenticatedLoginSession, deleteLoginSession, escapeHtml, getApiUrl } = require('./auth-flow');
+const { getSsoSession, deleteSsoSession, clearSsoCookie } = require('./sso-session');
+const { recordAuditEvent } = require('./audit');
+
+/**
+ * RP-Initiated Logout (OpenID Connect RP-Initiated Logout 1.0)
+ *
+ * GET or POST /logout with:
+ * - id_token_hint: an ID token issued to the client (may be expired)
+ * - client_id: required to use post_logout_redirect_uri without id_token_hint
+ * - post_logout_redirect_uri: must be in the client's post_logout_redirect_uris
+ * - state: returned to post_logout_redirect_uri
+ * - session: a signed-in session from the landing page (POST only)
+ *
+ * Without id_token_hint or session the user is found from the SSO cookie.
+ * Unless the request carries an unexpired id_token_hint or a landing page
+ * session, the user is asked to confirm first, so another site cannot sign
+ * them out. Ends this browser's SSO session and the given login session,
+ * clears the SSO cookie, revokes the client's refresh tokens for the user and
+ * sends a back-channel logout token to every client this browser's SSO session
+ * signed in to. The user's sessions in other browsers are left alone.
+ */
+
+const LOGOUT_TOKEN_LIFETIME = '2m';
+const BACKCHANNEL_LOGOUT_TIMEOUT_MS = 5000;
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+exports.handler = async (event) => {
+  try {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+    if (method !== 'GET' && method !== 'POST') {
+      return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+
+    const params = method === 'POST' ? parseRequestBody(event) : (event.queryStringParameters || {});
+    const { id_token_hint, client_id, post_logout_redirect_uri, state, session, confirm } = params;
+
+    // Work out who is logging out, and from which client
+    let userId = null;
+    let clientId = client_id || null;
+    let loginSession = null;
+    let confirmed = method === 'POST' && confirm === 'yes';
+
+    if (id_token_hint) {
+      let decoded;
+      try {
+        decoded = await verifyJWT(id_token_hint, { ignoreExpiration: true });
+      } catch (error) {
+        console.warn('Invalid id_token_hint:', error.message);
+        return createErrorResponse('invalid_request', 'Invalid id_token_hint');
+      }
+
+      if (clientId && decoded.aud !== clientId) {
+        return createErrorResponse('invalid_request', 'id_token_hint was not issued to this client');
+      }
+      userId = decoded.sub;
+      clientId = decoded.aud;
+
+      // An expired hint still names the client, but the user has to confirm
+      confirmed = confirmed || decoded.exp > Math.floor(Date.now() / 1000);
+    } else if (session && method === 'POST') {
+      loginSession = await getAuthenticatedLoginSession(session);
+      if (loginSession) {
+        userId = loginSession.user_id;
+        clientId = clientId || loginSession.client_id;
+        confirmed = true;
+      }
+    }
+
+    const ssoSession = await getSsoSession(event);
+    if (!userId) {
+      userId = ssoSession?.user_id || null;
+    }
+
+    const client = clientId ? await getClientById(clientId) : null;
+    if (clientId && !client) {
+      return createErrorResponse('invalid_request', 'Unknown client');
+    }
+
+    // Only redirect to URIs the client registered for logout
+    if (post_logout_redirect_uri &&
+        !(client?.post_logout_redirect_uris || []).includes(post_logout_redirect_uri)) {
+      return createErrorResponse('invalid_request', 'Invalid post_logout_redirect_uri');
+    }
+
+    if (userId && !confirmed) {
+      return renderConfirmPage(event, params, client);
+    }
+
+    if (userId) {
+      // The SSO cookie may belong to someone else if the hint was for another user
+      await endSessions(event, userId, client, {
+        ssoSession: ssoSession?.user_id === userId ? ssoSession : null,
+        loginSession
+      });
+    }
+
+    if (post_logout_redirect_uri) {
+      const redirectUrl = new URL(post_logout_redirect_uri);
+      if (state) {
+        redirectUrl.searchParams.append('state', state);
+      }
+
+      return {
+        statusCode: 302,
+        headers: {
+          'Location': redirectUrl.toString(),
+          'Cache-Control': 'no-store',
+          'Set-Cookie': clearSsoCookie()
+        },
+        body: ''
+      };
+    }
+
+    const response = createHTMLResponse(SIGNED_OUT_PAGE);
+    response.headers['Set-Cookie'] = clearSsoCookie();
+    return response;
+  } catch (error) {
+    console.error('Error in logout handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
+
+/**
+ * Sign the user out in this browser and notify the clients they were signed in to
+ * @param {object} event - Logout request, for the audit log
+ * @param {string} userId - User ID
+ * @param {object|null} client - Client that initiated the logout
+ * @param {object} sessions - This browser's SSO session and landing page login session, if any
+ */
+async function endSessions(event, userId, client, { ssoSession, loginSession }) {
+  const clientIds = new Set(ssoSession?.client_ids || []);
+
+  if (ssoSession) {
+    await deleteSsoSession(ssoSession);
+  }
+  if (loginSession) {
+    await deleteLoginSession(loginSession.session_id);
+    clientIds.add(loginSession.client_id);
+  }
+
+  let revokedTokens = 0;
+  if (client) {
+    clientIds.add(client.client_id);
+    revokedTokens = await revokeUserRefreshTokens(userId, client.client_id);
+  }
+
+  const details = {
+    sso_session: Boolean(ssoSession),
+    login_session: Boolean(loginSession),
+    refresh_tokens: revokedTokens
+  };
+  console.log('User logged out:', JSON.stringify({ user_id: userId, client_id: client?.client_id, ...details }));
+  await recordAuditEvent(event, {
+    type: 'logout',
+    userId,
+    clientId: client?.client_id,
+    details
+  });
+
+  const clients = await Promise.all([...clientIds].filter(Boolean).map(getClientById));
+  await Promise.allSettled(clients
+    .filter(candidate => candidate?.backchannel_logout_uri)
+    .map(candidate => sendBackchannelLogout(candidate, userId)));
+}
+
+// Ask the user to confirm; the form posts the original parameters back with confirm=yes.
+// The SSO cookie is SameSite=Lax, so a form posted from another site cannot sign the user out.
+function renderConfirmPage(event, params, client) {
+  const fields = ['id_token_hint', 'client_id', 'post_logout_redirect_uri', 'state']
+    .filter(name => params[name])
+    .map(name => `      <input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('\n');
+  const clientName = client ? escapeHtml(client.client_name || client.client_id) : null;
+
+  const message = clientName ? `${clientName} is asking to sign you out.` : 'Do you want to sign out?';
+
+  // Replacer functions, so $ in the values is not treated as a pattern
+  const response = createHTMLResponse(CONFIRM_PAGE
+    .replace('{{ACTION}}', () => escapeHtml(`${getApiUrl(event)}/logout`))
+    .replace('{{FIELDS}}', () => fields)
+    .replace('{{MESSAGE}}', () => message));
+  response.headers['Cache-Control'] = 'no-store';
+  return response;
+}
+
+/**
+ * POST a logout token to the client's backchannel_logout_uri
+ * (OpenID Connect Back-Channel Logout 1.0). Failures are logged, not retried.
+ */
+async function sendBackchannelLogout(client, userId) {
+  const logoutToken = await createJWT({
+    sub: userId,
+    aud: client.client_id,
+    jti: uuidv4(),
+    events: { [BACKCHANNEL_LOGOUT_EVENT]: {} }
+  }, LOGOUT_TOKEN_LIFETIME, { typ: 'logout+jwt' });
+
+  try {
+    const response = await fetch(client.backchannel_logout_uri, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Cache-Control': 'no-store'
+      },
+      body: new URLSearchParams({ logout_token: logoutToken }).toString(),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(BACKCHANNEL_LOGOUT_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      console.warn('Back-channel logout rejected:', JSON.stringify({
+        client_id: client.client_id,
+        status: response.status
+      }));
+    }
+  } catch (error) {
+    console.warn('Back-channel logout failed:', JSON.stringify({
+      client_id: client.client_id,
+      error: error.message
+    }));
+  }
+}
+
+const SIGNED_OUT_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Signed Out - OIDC Provider</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+    }
+
+    .container {
+      background: white;
+      border-radius: 12px;
+      box-shadow: 0 10px 40px rgba(0, 0, 0, 0.1);
+      padding: 40px;
+      text-align: center;
+    }
+
+    h1 {
+      color: #333;
+      font-size: 24px;
+      margin: 0 0 8px;
+    }
+
+    p {
+      color: #666;
+      font-size: 14px;
+      margin: 0;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>You have been signed out</h1>
+    <p>You can close this window.</p>
+  </div>
+</body>
+</html>`;
+
+
+const CONFIRM_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign Out - OIDC Provider</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+    }
+
+    .container {
+      background: white;
+      border-radius: 12px;
+      box-shadow: 0 10px 40px rgba(0, 0, 0, 0.1);
+      padding: 40px;
+      text-align: center;
+    }
+
+    h1 {
+      color: #333;
+      font-size: 24px;
+      margin: 0 0 8px;
+    }
+
+    p {
+      color: #666;
+      font-size: 14px;
+      margin: 0 0 24px;
+    }
+
+    button {
+      background: #667eea;
+      color: white;
+      border: none;
+      border-radius: 6px;
+      padding: 12px 24px;
+      font-size: 16px;
+      cursor: pointer;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Sign out</h1>
+    <p>{{MESSAGE}}</p>
+    <form method="POST" action="{{ACTION}}">
+{{FIELDS}}
+      <input type="hidden" name="confirm" value="yes">
+      <button type="submit">Sign out</button>
+    </form>
+  </div>
+</body>
+</html>`;
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logUnredacted } = require('./log-redaction');
+
+/**
+ * Outgoing mail
+ *
+ * Messages go through the transport named by MAIL_TRANSPORT:
+ * - console: logs the message with its links (default, for development)
+ * - file: writes each message as JSON to MAIL_FILE_DIR (default /tmp/mail)
+ * - ses: sends through Amazon SES from MAIL_FROM
+ *
+ * Other transports can be added with registerTransport.
+ */
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM;
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || '/tmp/mail';
+
+const transports = {
+  // The links in the message are the point of logging it, so it bypasses log redaction
+  console: async (message) => {
+    logUnredacted('Mail message:', JSON.stringify(message, null, 2));
+  },
+
+  file: async (message) => {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(MAIL_FILE_DIR, fileName), JSON.stringify(message, null, 2));
+  },
+
+  ses: async (message) => {
+    // Loaded on first use so the other transports do not need the SES client
+    const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+    const client = new SESv2Client({});
+    await client.send(new SendEmailCommand({
+      FromEmailAddress: message.from,
+      Destination: { ToAddresses: [message.to] },
+      Content: {
+        Simple: {
+          Subject: { Data: message.subject, Charset: 'UTF-8' },
+          Body: { Text: { Data: message.text, Charset: 'UTF-8' } }
+        }
+      }
+    }));
+  }
+};
+
+/**
+ * Add or replace a transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {function} send - async (message) => void, message has from, to, subject and text
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send a plain text message through the configured transport
+ * @param {object} message - to, subject and text
+ */
+async function sendMail({ to, subject, text }) {
+  const send = transports[MAIL_TRANSPORT];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${MAIL_TRANSPORT}`);
+  }
+
+  await send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
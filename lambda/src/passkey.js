@@ -0,0 +1,376 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+const {
+  getUserById,
+  isUserDisabled,
+  getMfaMethods,
+  listWebAuthnCredentials,
+  getWebAuthnCredential,
+  saveWebAuthnCredential,
+  recordWebAuthnCredentialUse,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  parseRequestBody,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const { recordAuditEvent } = require('./audit');
+const {
+  validateAuthorizationRequest,
+  createLoginSession,
+  getPendingLoginSession,
+  completeLoginSession,
+  getAuthenticatedLoginSession,
+  setSessionChallenge,
+  consumeSessionChallenge,
+  getLandingPageUrl,
+  throttleError,
+  ACCOUNT_DISABLED_ERROR
+} = require('./auth-flow');
+const { ACR_MFA } = require('./capabilities');
+
+/**
+ * Passkey (WebAuthn) handler
+ *
+ * POST /auth/passkey/options      - start a passkey sign-in, passwordless or as a second factor
+ * POST /auth/passkey/verify       - finish it and get the landing page URL
+ * POST /passkey/register/options  - start adding a passkey from a signed-in session
+ * POST /passkey/register/verify   - finish adding it
+ *
+ * Requests are form encoded like /auth; the WebAuthn response is sent as a JSON
+ * string in the credential field. Sign-ins produce the same login session /auth does.
+ */
+
+const RP_ID = process.env.WEBAUTHN_RP_ID;
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'OIDC Provider';
+const EXPECTED_ORIGIN = process.env.WEBAUTHN_ORIGIN;
+
+const MAX_PASSKEY_NAME_LENGTH = 64;
+
+const SESSION_EXPIRED_ERROR = {
+  error: 'session_expired',
+  error_description: 'Your sign-in session has expired. Please sign in again.'
+};
+
+const INVALID_PASSKEY_ERROR = {
+  error: 'invalid_passkey',
+  error_description: 'This passkey is not recognised'
+};
+
+exports.handler = async (event) => {
+  try {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+    if (method !== 'POST') {
+      return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+
+    if (!RP_ID || !EXPECTED_ORIGIN) {
+      console.error('WEBAUTHN_RP_ID and WEBAUTHN_ORIGIN must be set');
+      return createErrorResponse('server_error', 'Passkeys are not configured', 500);
+    }
+
+    const params = parseRequestBody(event);
+
+    switch (event.resource) {
+      case '/auth/passkey/options':
+        return await startSignIn(params);
+
+      case '/auth/passkey/verify':
+        return await finishSignIn(event, params);
+
+      case '/passkey/register/options':
+        return await startRegistration(params);
+
+      case '/passkey/register/verify':
+        return await finishRegistration(params);
+
+      default:
+        return createErrorResponse('invalid_request', 'Unknown passkey endpoint', 404);
+    }
+  } catch (error) {
+    console.error('Error in passkey handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
+
+// Parse the JSON-encoded WebAuthn response from the credential form field
+function parseCredential(params) {
+  try {
+    const credential = JSON.parse(params.credential || '');
+    return credential && typeof credential.id === 'string' ? credential : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function toCredentialDescriptor(credential) {
+  return {
+    id: isoBase64URL.toBuffer(credential.credential_id),
+    type: 'public-key',
+    transports: credential.transports
+  };
+}
+
+/**
+ * Start a passkey sign-in
+ * Without mfa_session any discoverable passkey may be used and the user is found
+ * from its user handle. With mfa_session the password has already been checked and
+ * only that user's passkeys are allowed.
+ */
+async function startSignIn(params) {
+  const request = await validateAuthorizationRequest(params);
+  if (request.error) {
+    return createErrorResponse(request.error, request.error_description);
+  }
+
+  if (params.mfa_session) {
+    const sessionData = await getPendingLoginSession(params.mfa_session, params.client_id);
+    if (!sessionData?.user_id) {
+      return createErrorResponse(SESSION_EXPIRED_ERROR.error, SESSION_EXPIRED_ERROR.error_description);
+    }
+
+    const credentials = await listWebAuthnCredentials(sessionData.user_id);
+    if (credentials.length === 0) {
+      return createErrorResponse('invalid_request', 'No passkeys are registered for this account');
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: RP_ID,
+      allowCredentials: credentials.map(toCredentialDescriptor),
+      userVerification: 'preferred'
+    });
+    await setSessionChallenge(sessionData.session_id, options.challenge, false);
+
+    return createResponse(200, { ceremony: sessionData.session_id, options });
+  }
+
+  // Passwordless: the passkey is the only factor, so it must verify the user
+  const options = await generateAuthenticationOptions({
+    rpID: RP_ID,
+    userVerification: 'required'
+  });
+  const sessionData = await createLoginSession(params, request.pkceMethod, {
+    authenticated: false,
+    webauthn_challenge: options.challenge
+  });
+
+  return createResponse(200, { ceremony: sessionData.session_id, options });
+}
+
+// Finish a passkey sign-in and return where the login page should go next
+async function finishSignIn(event, params) {
+  const credential = parseCredential(params);
+  if (!credential) {
+    return createErrorResponse('invalid_request', 'Missing or malformed credential');
+  }
+
+  const sessionData = await getPendingLoginSession(params.ceremony, params.client_id);
+  if (!sessionData?.webauthn_challenge) {
+    return createErrorResponse(SESSION_EXPIRED_ERROR.error, SESSION_EXPIRED_ERROR.error_description);
+  }
+
+  // A second factor belongs to the user who entered the password
+  const passwordless = !sessionData.user_id;
+  const userHandle = credential.response?.userHandle
+    ? isoBase64URL.toString(credential.response.userHandle)
+    : null;
+  const userId = sessionData.user_id || userHandle;
+  if (!userId || (userHandle && userHandle !== userId)) {
+    return createErrorResponse(INVALID_PASSKEY_ERROR.error, INVALID_PASSKEY_ERROR.error_description, 401);
+  }
+
+  const user = await getUserById(userId);
+  const stored = user && await getWebAuthnCredential(userId, credential.id);
+  if (!stored) {
+    return createErrorResponse(INVALID_PASSKEY_ERROR.error, INVALID_PASSKEY_ERROR.error_description, 401);
+  }
+
+  // Passwordless sign-in is a login; a passkey after a password is the second factor
+  const auditEntry = {
+    type: passwordless ? 'login' : 'mfa',
+    userId: user.user_id,
+    username: user.username,
+    clientId: sessionData.client_id,
+    details: { method: 'passkey', credential_id: stored.credential_id }
+  };
+
+  const sourceIp = event.requestContext?.identity?.sourceIp;
+  const throttle = await checkLoginThrottle(user.username, sourceIp);
+  if (throttle) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: throttle.error });
+    return throttleResponse(throttle);
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: credential,
+      expectedChallenge: sessionData.webauthn_challenge,
+      expectedOrigin: EXPECTED_ORIGIN,
+      expectedRPID: RP_ID,
+      authenticator: {
+        credentialID: isoBase64URL.toBuffer(stored.credential_id),
+        credentialPublicKey: isoBase64URL.toBuffer(stored.public_key),
+        counter: stored.counter,
+        transports: stored.transports
+      },
+      requireUserVerification: passwordless
+    });
+  } catch (error) {
+    // Thrown for malformed responses and signature counter regressions
+    console.warn('Passkey assertion rejected:', error.message);
+    verification = { verified: false };
+  }
+
+  if (!verification.verified) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: 'invalid_passkey' });
+    const lockout = await recordLoginFailure(user.username, sourceIp);
+    if (lockout) {
+      return throttleResponse(lockout);
+    }
+    return createErrorResponse('invalid_passkey', 'Passkey verification failed', 401);
+  }
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  if (!await recordWebAuthnCredentialUse(stored, newCounter, credentialBackedUp)) {
+    return createErrorResponse('invalid_passkey', 'Passkey verification failed', 401);
+  }
+
+  await clearLoginFailures(user.username);
+
+  if (isUserDisabled(user)) {
+    await recordAuditEvent(event, { ...auditEntry, outcome: 'failure', reason: ACCOUNT_DISABLED_ERROR.error });
+    return createErrorResponse(ACCOUNT_DISABLED_ERROR.error, ACCOUNT_DISABLED_ERROR.error_description, 403);
+  }
+
+  // A user-verifying passkey is possession plus PIN or biometric, so both flows reach the MFA level
+  const completed = await completeLoginSession(sessionData.session_id, passwordless
+    ? { user_id: user.user_id, amr: ['hwk', 'user'], acr: ACR_MFA }
+    : { amr: ['pwd', 'hwk'], acr: ACR_MFA },
+  { webauthn_challenge: sessionData.webauthn_challenge });
+  if (!completed) {
+    return createErrorResponse(SESSION_EXPIRED_ERROR.error, SESSION_EXPIRED_ERROR.error_description);
+  }
+
+  await recordAuditEvent(event, auditEntry);
+
+  return createResponse(200, { redirect_url: getLandingPageUrl(event, completed) });
+}
+
+function throttleResponse(throttle) {
+  const error = throttleError(throttle);
+  return createResponse(429, error, { 'Retry-After': String(throttle.retryAfter) });
+}
+
+/**
+ * Load the signed-in session and user a passkey is being added for
+ * Users who already have a second factor must have used it in this session,
+ * so a stolen password alone cannot add a passkey.
+ */
+async function getRegistrationContext(sessionId) {
+  const sessionData = await getAuthenticatedLoginSession(sessionId);
+  const user = sessionData && await getUserById(sessionData.user_id);
+  if (!user) {
+    return { error: createErrorResponse('unauthorized', 'Invalid or expired session', 401) };
+  }
+
+  const mfaMethods = await getMfaMethods(user);
+  if (mfaMethods.length > 0 && sessionData.acr !== ACR_MFA) {
+    return {
+      error: createErrorResponse('insufficient_user_authentication',
+        'Sign in with your second factor before adding a passkey', 403)
+    };
+  }
+
+  return { sessionData, user };
+}
+
+// Start adding a passkey to the signed-in user's account
+async function startRegistration(params) {
+  const { error, sessionData, user } = await getRegistrationContext(params.session);
+  if (error) {
+    return error;
+  }
+
+  const existing = await listWebAuthnCredentials(user.user_id);
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: RP_ID,
+    userID: user.user_id,
+    userName: user.username,
+    userDisplayName: user.name || user.email || user.username,
+    attestationType: 'none',
+    excludeCredentials: existing.map(toCredentialDescriptor),
+    // Discoverable credentials are what make passwordless sign-in possible
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required'
+    }
+  });
+  await setSessionChallenge(sessionData.session_id, options.challenge, true);
+
+  return createResponse(200, { options });
+}
+
+// Finish adding a passkey and store the credential
+async function finishRegistration(params) {
+  const credential = parseCredential(params);
+  if (!credential) {
+    return createErrorResponse('invalid_request', 'Missing or malformed credential');
+  }
+
+  const { error, sessionData, user } = await getRegistrationContext(params.session);
+  if (error) {
+    return error;
+  }
+
+  const challenge = sessionData.webauthn_challenge;
+  if (!challenge || !await consumeSessionChallenge(sessionData.session_id, challenge)) {
+    return createErrorResponse('invalid_request', 'No passkey registration in progress');
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response: credential,
+      expectedChallenge: challenge,
+      expectedOrigin: EXPECTED_ORIGIN,
+      expectedRPID: RP_ID,
+      requireUserVerification: true
+    });
+  } catch (error) {
+    console.warn('Passkey registration rejected:', error.message);
+    verification = { verified: false };
+  }
+
+  if (!verification.verified) {
+    return createErrorResponse('invalid_request', 'Passkey registration could not be verified');
+  }
+
+  const info = verification.registrationInfo;
+  const credentialId = isoBase64URL.fromBuffer(info.credentialID);
+  const name = String(params.name || '').trim().slice(0, MAX_PASSKEY_NAME_LENGTH) || 'Passkey';
+
+  const saved = await saveWebAuthnCredential(user.user_id, {
+    credential_id: credentialId,
+    public_key: isoBase64URL.fromBuffer(info.credentialPublicKey),
+    counter: info.counter,
+    transports: credential.response?.transports || [],
+    device_type: info.credentialDeviceType,
+    backed_up: info.credentialBackedUp,
+    name
+  });
+  if (!saved) {
+    return createErrorResponse('invalid_request', 'This passkey is already registered');
+  }
+
+  console.log('Passkey registered:', JSON.stringify({ user_id: user.user_id, credential_id: credentialId }));
+
+  return createResponse(201, { credential_id: credentialId, name });
+}
@@ -0,0 +1,147 @@
+const {
+  getUserByUsername,
+  getUserById,
+  isUserDisabled,
+  updateUserPassword,
+  checkPasswordStrength,
+  clearLoginFailures,
+  revokeUserRefreshTokens,
+  listPasswordResets,
+  createPasswordReset,
+  consumePasswordReset,
+  parseRequestBody,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const { deleteUserSessions, getApiUrl, ACCOUNT_DISABLED_ERROR } = require('./auth-flow');
+const { deleteUserSsoSessions } = require('./sso-session');
+const { sendMail } = require('./mailer');
+
+const RESET_PASSWORD_PAGE_URL = process.env.RESET_PASSWORD_PAGE_URL;
+const PASSWORD_RESET_LIFETIME_SECONDS = parseInt(process.env.PASSWORD_RESET_LIFETIME_SECONDS || '3600', 10);
+
+// At most one reset email per user in this window
+const RESET_EMAIL_INTERVAL_MS = 60 * 1000;
+
+// Same answer whether or not the username exists
+const FORGOT_PASSWORD_RESPONSE = {
+  message: 'If the account exists and has an email address, a password reset link has been sent to it'
+};
+
+/**
+ * Forgot-password handler
+ *
+ * POST /password/forgot - email a reset link (username)
+ * POST /password/reset  - set a new password (token, new_password)
+ *
+ * POST bodies are form encoded so the static reset page can call them without a
+ * CORS preflight.
+ */
+exports.handler = async (event) => {
+  try {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+
+    switch (`${method} ${event.resource}`) {
+      case 'POST /password/forgot':
+        return await forgotPassword(event, parseRequestBody(event));
+
+      case 'POST /password/reset':
+        return await resetPassword(parseRequestBody(event));
+
+      default:
+        return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+  } catch (error) {
+    console.error('Error in password reset handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
+
+/**
+ * Email a reset link to the user's address
+ * Unknown usernames, disabled users, users without an email address and repeated
+ * requests get the same response as a sent link.
+ */
+async function forgotPassword(event, params) {
+  const username = (params.username || '').trim();
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing username');
+  }
+
+  const user = await getUserByUsername(username);
+  if (!user || !user.email || isUserDisabled(user)) {
+    return createResponse(200, FORGOT_PASSWORD_RESPONSE);
+  }
+
+  const resets = await listPasswordResets(user.user_id);
+  if (resets.some(reset => Date.now() - Date.parse(reset.created_at) < RESET_EMAIL_INTERVAL_MS)) {
+    console.warn('Password reset requested again too soon:', JSON.stringify({ user_id: user.user_id }));
+    return createResponse(200, FORGOT_PASSWORD_RESPONSE);
+  }
+
+  const token = await createPasswordReset(user.user_id);
+
+  // The token goes in the fragment so it stays out of server logs and Referer headers
+  const resetUrl = new URL(RESET_PASSWORD_PAGE_URL);
+  resetUrl.searchParams.append('api_url', getApiUrl(event));
+  resetUrl.hash = new URLSearchParams({ token }).toString();
+
+  const minutes = Math.round(PASSWORD_RESET_LIFETIME_SECONDS / 60);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.username},\n\n` +
+      `Open this link within ${minutes} minutes to choose a new password:\n\n${resetUrl.toString()}\n\n` +
+      'If you did not ask for this, you can ignore this email. Your password has not been changed.\n'
+  });
+  console.log('Password reset link sent:', JSON.stringify({ user_id: user.user_id }));
+
+  return createResponse(200, FORGOT_PASSWORD_RESPONSE);
+}
+
+/**
+ * Set a new password with a reset token
+ * Every session and refresh token of the user ends, so anyone signed in with the old
+ * password has to sign in again.
+ */
+async function resetPassword(params) {
+  const { token, new_password } = params;
+  if (!token || !new_password) {
+    return createErrorResponse('invalid_request', 'Missing token or new_password');
+  }
+
+  // Checked before the token is used, so a rejected password does not spend it
+  const problem = checkPasswordStrength(new_password);
+  if (problem) {
+    return createErrorResponse('invalid_request', problem);
+  }
+
+  const userId = await consumePasswordReset(token);
+  const user = userId && await getUserById(userId);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'Invalid or expired reset link. Request a new one.');
+  }
+
+  // A link sent before an administrator disabled the account must not change its password
+  if (isUserDisabled(user)) {
+    const { error, error_description } = ACCOUNT_DISABLED_ERROR;
+    return createErrorResponse(error, error_description, 403);
+  }
+
+  await updateUserPassword(user.user_id, new_password);
+
+  // The user proved control of the email address, so a lockout no longer applies
+  await clearLoginFailures(user.username);
+
+  const loginSessions = await deleteUserSessions(user.user_id);
+  const ssoSessions = await deleteUserSsoSessions(user.user_id);
+  const refreshTokens = await revokeUserRefreshTokens(user.user_id);
+  console.log('Password reset by user:', JSON.stringify({
+    user_id: user.user_id,
+    login_sessions: loginSessions.length,
+    sso_sessions: ssoSessions,
+    refresh_tokens: refreshTokens
+  }));
+
+  return createResponse(200, { message: 'Password changed. You can now sign in with your new password.' });
+}
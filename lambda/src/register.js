@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const {
+  getIssuerUrl,
+  getClientById,
+  hashClientSecret,
+  createClientRecord,
+  saveClientRecord,
+  deleteClientRecord,
+  parseJsonBody,
+  parseBearerToken,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const { authorizeClientToken } = require('./client-auth');
+const { recordAuditEvent, getResponseOutcome } = require('./audit');
+const {
+  checkString,
+  checkHttpsRedirectUri,
+  listOf,
+  oneOf,
+  nonEmpty,
+  CLIENT_FIELDS,
+  applyFields,
+  checkClientSettings,
+  provisionClientSecret
+} = require('./client-metadata');
+const { RESPONSE_TYPES, getSupportedScopes } = require('./capabilities');
+
+/**
+ * Dynamic client registration (RFC 7591) and client configuration (RFC 7592)
+ *
+ * POST   /register             - register a client (initial access token)
+ * GET    /register/{client_id} - read the registration (registration access token)
+ * PUT    /register/{client_id} - replace the registration metadata (registration access token)
+ * DELETE /register/{client_id} - delete the client (registration access token)
+ *
+ * The initial access token is an access token from this provider's client_credentials
+ * grant with the REGISTRATION_SCOPE scope and the <issuer>/register audience. Only a
+ * hash of the registration access token is stored, so registering and updating
+ * return a new one and the previous one stops working. Reading changes nothing and
+ * returns no token.
+ *
+ * Registered clients are third-party clients: users are asked for consent, and
+ * operator settings such as first_party and allowed_scopes can only be set through
+ * the admin API.
+ *
+ * Registrations, updates and deletions are written to the audit log as
+ * admin.client_registration.
+ */
+
+const REGISTRATION_SCOPE = process.env.REGISTRATION_SCOPE || 'client_registration';
+
+// Registered clients act for users; client_credentials needs allowed_scopes from an operator
+const REGISTRATION_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+
+function checkScope(field, value) {
+  const problem = checkString(field, value);
+  if (problem) {
+    return problem;
+  }
+  const supported = getSupportedScopes();
+  const unknown = value.split(' ').filter(scope => scope && !supported.includes(scope));
+  return unknown.length ? `${field} contains unsupported scopes: ${unknown.join(' ')}` : null;
+}
+
+// Metadata a client may register, with their checks; anything else is ignored (RFC 7591 section 2)
+const REGISTRATION_FIELDS = {
+  redirect_uris: nonEmpty(listOf(checkHttpsRedirectUri)),
+  post_logout_redirect_uris: listOf(checkHttpsRedirectUri),
+  grant_types: nonEmpty(listOf(oneOf(REGISTRATION_GRANT_TYPES))),
+  response_types: nonEmpty(listOf(oneOf(RESPONSE_TYPES))),
+  token_endpoint_auth_method: CLIENT_FIELDS.token_endpoint_auth_method,
+  jwks: CLIENT_FIELDS.jwks,
+  jwks_uri: CLIENT_FIELDS.jwks_uri,
+  client_name: CLIENT_FIELDS.client_name,
+  client_uri: CLIENT_FIELDS.client_uri,
+  logo_uri: CLIENT_FIELDS.logo_uri,
+  policy_uri: CLIENT_FIELDS.policy_uri,
+  tos_uri: CLIENT_FIELDS.tos_uri,
+  backchannel_logout_uri: CLIENT_FIELDS.backchannel_logout_uri,
+  default_acr_values: CLIENT_FIELDS.default_acr_values,
+  scope: checkScope,
+  contacts: listOf(checkString),
+  software_id: checkString,
+  software_version: checkString
+};
+
+// Redirect URI problems have their own error code
+const REDIRECT_URI_FIELDS = ['redirect_uris', 'post_logout_redirect_uris'];
+
+// Values the server sets, which a client must not send on update (RFC 7592 section 2.2)
+const SERVER_FIELDS = ['registration_access_token', 'registration_client_uri', 'client_secret_expires_at', 'client_id_issued_at'];
+
+exports.handler = async (event) => {
+  const method = event.httpMethod || event.requestContext?.http?.method;
+  const audit = {};
+  const response = await handleRegistrationRequest(event, method, audit);
+
+  if (method !== 'GET') {
+    await recordAuditEvent(event, {
+      type: 'admin.client_registration',
+      ...getResponseOutcome(response),
+      actor: audit.actor,
+      clientId: audit.clientId || event.pathParameters?.client_id,
+      details: { route: `${method} ${event.resource}` }
+    });
+  }
+
+  return response;
+};
+
+/**
+ * Route a registration request
+ * @param {object} event - Lambda event
+ * @param {string} method - HTTP method
+ * @param {object} audit - Filled in with the actor and the registered client_id
+ */
+async function handleRegistrationRequest(event, method, audit) {
+  try {
+    const clientId = event.pathParameters?.client_id;
+
+    switch (`${method} ${event.resource}`) {
+      case 'POST /register':
+        return await registerClient(event, audit);
+
+      case 'GET /register/{client_id}':
+        return await readRegistration(event, clientId);
+
+      case 'PUT /register/{client_id}':
+        return await updateRegistration(event, clientId, audit);
+
+      case 'DELETE /register/{client_id}':
+        return await deleteRegistration(event, clientId, audit);
+
+      default:
+        return createErrorResponse('invalid_request', 'Method not allowed', 405);
+    }
+  } catch (error) {
+    console.error('Error in register handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+}
+
+/**
+ * Check registration metadata and apply it to a client record
+ * @param {object} record - Client record without registration metadata
+ * @param {object} body - Request body
+ * @returns {object} - client, or error with an error response
+ */
+function buildRegistration(record, body) {
+  const metadata = {};
+  for (const field of Object.keys(REGISTRATION_FIELDS)) {
+    if (body[field] !== undefined) {
+      metadata[field] = body[field];
+    }
+  }
+
+  for (const field of REDIRECT_URI_FIELDS) {
+    const problem = metadata[field] !== undefined && metadata[field] !== null &&
+      REGISTRATION_FIELDS[field](field, metadata[field]);
+    if (problem) {
+      return { error: createErrorResponse('invalid_redirect_uri', problem) };
+    }
+  }
+
+  // RFC 7591 defaults
+  const defaults = {
+    grant_types: ['authorization_code'],
+    response_types: ['code'],
+    token_endpoint_auth_method: 'client_secret_basic'
+  };
+  const { problem, record: client } = applyFields({ ...record, ...defaults }, metadata, REGISTRATION_FIELDS, []);
+  if (problem) {
+    return { error: createErrorResponse('invalid_client_metadata', problem) };
+  }
+
+  if (!client.grant_types.includes('authorization_code')) {
+    return { error: createErrorResponse('invalid_client_metadata', 'grant_types must include authorization_code') };
+  }
+  if (!(client.redirect_uris || []).length) {
+    return { error: createErrorResponse('invalid_redirect_uri', 'redirect_uris is required') };
+  }
+
+  const settingsProblem = checkClientSettings(client);
+  if (settingsProblem) {
+    return { error: createErrorResponse('invalid_client_metadata', settingsProblem) };
+  }
+
+  return { client };
+}
+
+/**
+ * Give the client a new registration access token and build the client information
+ * response with it
+ * @param {object} client - Client record, changed in place; the caller saves it
+ * @param {string|null} secret - Client secret issued with this response
+ */
+async function issueRegistration(client, secret) {
+  const registrationAccessToken = crypto.randomBytes(32).toString('base64url');
+  client.registration_access_token_hash = hashClientSecret(registrationAccessToken);
+
+  return await describeRegistration(client, secret, registrationAccessToken);
+}
+
+/**
+ * Build the client information response (RFC 7591 section 3.2.1, RFC 7592 section 3)
+ * @param {object} client - Client record
+ * @param {string|null} secret - Client secret issued with this response
+ * @param {string|null} registrationAccessToken - Registration access token issued with this response
+ */
+async function describeRegistration(client, secret = null, registrationAccessToken = null) {
+  const metadata = {};
+  for (const field of Object.keys(REGISTRATION_FIELDS)) {
+    if (client[field] !== undefined) {
+      metadata[field] = client[field];
+    }
+  }
+
+  const issuerUrl = await getIssuerUrl();
+  return {
+    client_id: client.client_id,
+    client_id_issued_at: Math.floor(Date.parse(client.created_at) / 1000),
+    ...(secret && { client_secret: secret }),
+    ...((client.client_secret_hash || client.client_secret) && { client_secret_expires_at: 0 }),
+    ...(registrationAccessToken && { registration_access_token: registrationAccessToken }),
+    registration_client_uri: `${issuerUrl}/register/${encodeURIComponent(client.client_id)}`,
+    ...metadata
+  };
+}
+
+/**
+ * Load the client a registration access token was issued for
+ * Unknown clients, clients registered by an operator and wrong tokens all get the
+ * same answer, so the endpoint does not reveal which client IDs exist.
+ */
+async function authorizeRegistration(event, clientId) {
+  const token = parseBearerToken(event);
+  const client = token && clientId && await getClientById(clientId);
+  if (!client || !client.registration_access_token_hash) {
+    return { error: createErrorResponse('invalid_token', 'Invalid registration access token', 401) };
+  }
+
+  const presented = Buffer.from(hashClientSecret(token), 'hex');
+  const stored = Buffer.from(client.registration_access_token_hash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return { error: createErrorResponse('invalid_token', 'Invalid registration access token', 401) };
+  }
+
+  return { client };
+}
+
+async function registerClient(event, audit) {
+  const { error, clientId: registeredBy } = await authorizeClientToken(event, 'register', REGISTRATION_SCOPE);
+  if (error) {
+    return error;
+  }
+  audit.actor = `client:${registeredBy}`;
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_client_metadata', 'Body must be a JSON object');
+  }
+
+  const now = new Date().toISOString();
+  const { error: metadataError, client } = buildRegistration({
+    client_id: crypto.randomUUID(),
+    registered_by: registeredBy,
+    created_at: now,
+    updated_at: now
+  }, body);
+  if (metadataError) {
+    return metadataError;
+  }
+
+  audit.clientId = client.client_id;
+  const secret = provisionClientSecret(client, true);
+  const registration = await issueRegistration(client, secret);
+  if (!await createClientRecord(client)) {
+    throw new Error('Generated client_id already exists');
+  }
+  console.log('Client registered:', JSON.stringify({ client_id: client.client_id, registered_by: registeredBy }));
+
+  return createResponse(201, registration);
+}
+
+async function readRegistration(event, clientId) {
+  const { error, client } = await authorizeRegistration(event, clientId);
+  if (error) {
+    return error;
+  }
+
+  // Read-only: the client keeps using its current registration access token
+  return createResponse(200, await describeRegistration(client));
+}
+
+/**
+ * Replace the client's metadata: fields left out of the request are removed
+ * A client_secret in the request must be the current one; a new secret is only
+ * issued when the client moves to a secret authentication method.
+ */
+async function updateRegistration(event, clientId, audit) {
+  const { error, client: existing } = await authorizeRegistration(event, clientId);
+  if (error) {
+    return error;
+  }
+  audit.actor = `client:${clientId}`;
+
+  const body = parseJsonBody(event);
+  if (!body) {
+    return createErrorResponse('invalid_client_metadata', 'Body must be a JSON object');
+  }
+  if (body.client_id !== clientId) {
+    return createErrorResponse('invalid_client_metadata', 'client_id must match the registration');
+  }
+  const serverField = SERVER_FIELDS.find(field => body[field] !== undefined);
+  if (serverField) {
+    return createErrorResponse('invalid_client_metadata', `${serverField} cannot be sent`);
+  }
+  if (body.client_secret !== undefined) {
+    const presented = Buffer.from(hashClientSecret(String(body.client_secret)), 'hex');
+    const stored = existing.client_secret_hash && Buffer.from(existing.client_secret_hash, 'hex');
+    if (!stored || !crypto.timingSafeEqual(presented, stored)) {
+      return createErrorResponse('invalid_client_metadata', 'client_secret does not match');
+    }
+  }
+
+  // Keep everything the server owns, and replace the registered metadata
+  const record = { ...existing, updated_at: new Date().toISOString() };
+  for (const field of Object.keys(REGISTRATION_FIELDS)) {
+    delete record[field];
+  }
+
+  const { error: metadataError, client } = buildRegistration(record, body);
+  if (metadataError) {
+    return metadataError;
+  }
+
+  const secret = provisionClientSecret(client, false);
+  const registration = await issueRegistration(client, secret);
+  await saveClientRecord(client);
+  console.log('Client registration updated:', JSON.stringify({ client_id: clientId }));
+
+  return createResponse(200, registration);
+}
+
+async function deleteRegistration(event, clientId, audit) {
+  const { error } = await authorizeRegistration(event, clientId);
+  if (error) {
+    return error;
+  }
+  audit.actor = `client:${clientId}`;
+
+  // Its refresh tokens and codes stop working, since /token looks the client up
+  await deleteClientRecord(clientId);
+  console.log('Client registration deleted:', JSON.stringify({ client_id: clientId }));
+
+  return createResponse(204);
+}
@@ -0,0 +1,109 @@
+const {
+  verifyAccessToken,
+  getRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAccessToken,
+  parseRequestBody,
+  createResponse,
+  createErrorResponse
+} = require('./utils');
+const { ENDPOINTS } = require('./capabilities');
+const { authenticateClient } = require('./client-auth');
+const { recordAuditEvent } = require('./audit');
+
+// Revoke a refresh token issued to the given client, along with every
+// token rotated from the same grant
+// Returns false if the token is not a known refresh token, otherwise what was done
+async function tryRevokeRefreshToken(token, clientId) {
+  const storedToken = await getRefreshToken(token);
+  if (!storedToken) return false;
+  
+  const result = { token_type: 'refresh_token', userId: storedToken.user_id };
+  if (storedToken.client_id !== clientId) {
+    console.warn('Revocation of refresh token issued to another client refused');
+    return { ...result, refused: true };
+  }
+  
+  await revokeRefreshTokenFamily(storedToken.family_id || storedToken.token_id);
+  return result;
+}
+
+// Revoke an access token issued to the given client
+// Returns false if the token is not a valid access token, otherwise what was done
+async function tryRevokeAccessToken(token, clientId) {
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    // Expired or otherwise invalid tokens need no revocation
+    return false;
+  }
+  
+  if (!decoded.jti) return false;
+  
+  // client_credentials tokens have the client as subject
+  const result = { token_type: 'access_token', userId: decoded.sub !== decoded.client_id ? decoded.sub : undefined };
+  if ((decoded.client_id || decoded.aud) !== clientId) {
+    console.warn('Revocation of access token issued to another client refused');
+    return { ...result, refused: true };
+  }
+  
+  await revokeAccessToken(decoded.jti, decoded.exp, clientId, decoded.sub);
+  return result;
+}
+
+/**
+ * Token revocation endpoint (RFC 7009)
+ * Revokes refresh tokens and access tokens issued to the authenticated client
+ */
+exports.handler = async (event) => {
+  try {
+    const params = parseRequestBody(event);
+    const { token, token_type_hint } = params;
+    
+    // Authenticate the client with its registered token_endpoint_auth_method
+    const authenticated = await authenticateClient(event, params, ENDPOINTS.revocation_endpoint);
+    if (!authenticated) {
+      return createErrorResponse('invalid_client', 'Invalid client credentials', 401);
+    }
+    const clientId = authenticated.client.client_id;
+    
+    if (!token) {
+      return createErrorResponse('invalid_request', 'Missing token');
+    }
+    
+    // The hint only decides which lookup runs first (RFC 7009 section 2.1)
+    const attempts = token_type_hint === 'access_token'
+      ? [tryRevokeAccessToken, tryRevokeRefreshToken]
+      : [tryRevokeRefreshToken, tryRevokeAccessToken];
+    
+    let result = null;
+    for (const attempt of attempts) {
+      result = await attempt(token, clientId);
+      if (result) break;
+    }
+    
+    // Unknown tokens are not recorded: there is nothing to attribute them to
+    if (result) {
+      await recordAuditEvent(event, {
+        type: 'token.revoke',
+        outcome: result.refused ? 'failure' : 'success',
+        reason: result.refused ? 'token_issued_to_another_client' : undefined,
+        userId: result.userId,
+        clientId,
+        actor: `client:${clientId}`,
+        details: { token_type: result.token_type }
+      });
+    }
+    
+    // Invalid or unknown tokens are not an error (RFC 7009 section 2.2)
+    return createResponse(200, {}, {
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache'
+    });
+    
+  } catch (error) {
+    console.error('Error in revoke handler:', error);
+    return createErrorResponse('server_error', 'Internal server error', 500);
+  }
+};
@@ -0,0 +1,220 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+
+/**
+ * Single sign-on sessions
+ *
+ * Once a user has signed in and reached /complete-auth, the browser gets an
+ * HttpOnly cookie naming an SSO session. Later /auth requests carrying it skip
+ * the login page until the session has been idle too long or reaches its
+ * absolute lifetime. /logout ends the session and clears the cookie.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: { removeUndefinedValues: true }
+});
+
+const SSO_SESSIONS_TABLE = process.env.SSO_SESSIONS_TABLE;
+const SSO_SESSION_IDLE_SECONDS = parseInt(process.env.SSO_SESSION_IDLE_SECONDS || '3600', 10); // 1 hour
+const SSO_SESSION_MAX_SECONDS = parseInt(process.env.SSO_SESSION_MAX_SECONDS || '43200', 10); // 12 hours
+
+// __Host- cookies must be Secure, have Path=/ and no Domain, so only this API host sees them
+const SSO_COOKIE_NAME = '__Host-oidc_sso';
+
+// Read the SSO session ID from the request's Cookie header
+function getSsoSessionId(event) {
+  const headers = event.headers || {};
+  const cookieHeader = headers.Cookie || headers.cookie || '';
+
+  for (const cookie of cookieHeader.split(';')) {
+    const separator = cookie.indexOf('=');
+    if (separator > 0 && cookie.slice(0, separator).trim() === SSO_COOKIE_NAME) {
+      return cookie.slice(separator + 1).trim() || null;
+    }
+  }
+
+  return null;
+}
+
+// Expiry is whichever comes first: the idle timeout or the absolute lifetime
+function getExpiry(now, absoluteExpiresAt) {
+  return Math.min(now + SSO_SESSION_IDLE_SECONDS, absoluteExpiresAt);
+}
+
+/**
+ * Load an SSO session that has not expired
+ * @param {string} ssoSessionId - SSO session ID
+ * @returns {Promise<object|null>} - null if the session has ended or expired
+ */
+async function getSsoSessionById(ssoSessionId) {
+  const result = await docClient.send(new GetCommand({
+    TableName: SSO_SESSIONS_TABLE,
+    Key: { sso_session_id: ssoSessionId }
+  }));
+
+  // DynamoDB TTL deletes lazily, so check expiry here too
+  const ssoSession = result.Item;
+  if (!ssoSession || ssoSession.expires_at <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return ssoSession;
+}
+
+/**
+ * Load the SSO session named by the request's cookie
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object|null>} - null if there is no cookie or the session has expired
+ */
+async function getSsoSession(event) {
+  const ssoSessionId = getSsoSessionId(event);
+  return ssoSessionId ? await getSsoSessionById(ssoSessionId) : null;
+}
+
+/**
+ * Start an SSO session for a completed login session
+ * @param {object} sessionData - Authenticated login session
+ * @returns {Promise<object>} - The stored SSO session
+ */
+async function createSsoSession(sessionData) {
+  const now = Math.floor(Date.now() / 1000);
+  const absoluteExpiresAt = now + SSO_SESSION_MAX_SECONDS;
+
+  const ssoSession = {
+    sso_session_id: crypto.randomBytes(32).toString('base64url'),
+    user_id: sessionData.user_id,
+    auth_time: sessionData.auth_time,
+    amr: sessionData.amr,
+    acr: sessionData.acr,
+    client_ids: sessionData.client_id ? new Set([sessionData.client_id]) : undefined,
+    created_at: now,
+    last_used_at: now,
+    absolute_expires_at: absoluteExpiresAt,
+    expires_at: getExpiry(now, absoluteExpiresAt)
+  };
+
+  await docClient.send(new PutCommand({
+    TableName: SSO_SESSIONS_TABLE,
+    Item: ssoSession
+  }));
+
+  return ssoSession;
+}
+
+/**
+ * Record activity on an SSO session, pushing back its idle timeout
+ * @param {object} ssoSession - SSO session from getSsoSession
+ * @param {string} [clientId] - Client the session is being used to sign in to
+ * @returns {Promise<object|null>} - The updated session, or null if it has been ended
+ */
+async function touchSsoSession(ssoSession, clientId = null) {
+  const now = Math.floor(Date.now() / 1000);
+  const values = {
+    ':now': now,
+    ':expiresAt': getExpiry(now, ssoSession.absolute_expires_at)
+  };
+
+  // client_ids lists the clients to notify when this session is logged out
+  let updateExpression = 'SET last_used_at = :now, expires_at = :expiresAt';
+  if (clientId) {
+    updateExpression += ' ADD client_ids :clientIds';
+    values[':clientIds'] = new Set([clientId]);
+  }
+
+  try {
+    const result = await docClient.send(new UpdateCommand({
+      TableName: SSO_SESSIONS_TABLE,
+      Key: { sso_session_id: ssoSession.sso_session_id },
+      UpdateExpression: updateExpression,
+      ConditionExpression: 'attribute_exists(sso_session_id)',
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make sure the browser has an SSO session for a completed login session
+ * Login sessions started from an SSO session keep using it; other sign-ins start a new one.
+ * @param {object} sessionData - Authenticated login session
+ * @returns {Promise<string>} - Set-Cookie header value
+ */
+async function establishSsoSession(sessionData) {
+  let ssoSession = null;
+  if (sessionData.sso_session_id) {
+    const existing = await getSsoSessionById(sessionData.sso_session_id);
+    ssoSession = existing && await touchSsoSession(existing, sessionData.client_id);
+  }
+
+  if (!ssoSession) {
+    ssoSession = await createSsoSession(sessionData);
+  }
+
+  return buildSsoCookie(ssoSession);
+}
+
+/**
+ * End a single SSO session
+ * @param {object} ssoSession - SSO session from getSsoSession
+ */
+async function deleteSsoSession(ssoSession) {
+  await docClient.send(new DeleteCommand({
+    TableName: SSO_SESSIONS_TABLE,
+    Key: { sso_session_id: ssoSession.sso_session_id }
+  }));
+}
+
+/**
+ * End every SSO session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} [keepSsoSessionId] - Session to leave alone, e.g. the browser making the change
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+async function deleteUserSsoSessions(userId, keepSsoSessionId = null) {
+  const result = await docClient.send(new QueryCommand({
+    TableName: SSO_SESSIONS_TABLE,
+    IndexName: 'user-index',
+    KeyConditionExpression: 'user_id = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  }));
+
+  const ssoSessions = (result.Items || [])
+    .filter(ssoSession => ssoSession.sso_session_id !== keepSsoSessionId);
+  for (const ssoSession of ssoSessions) {
+    await docClient.send(new DeleteCommand({
+      TableName: SSO_SESSIONS_TABLE,
+      Key: { sso_session_id: ssoSession.sso_session_id }
+    }));
+  }
+
+  return ssoSessions.length;
+}
+
+// Set-Cookie value for an SSO session; the browser drops it at the absolute lifetime
+function buildSsoCookie(ssoSession) {
+  const maxAge = Math.max(ssoSession.absolute_expires_at - Math.floor(Date.now() / 1000), 0);
+  return `${SSO_COOKIE_NAME}=${ssoSession.sso_session_id}; Path=/; Max-Age=${maxAge}; Secure; HttpOnly; SameSite=Lax`;
+}
+
+// Set-Cookie value that removes the SSO cookie
+function clearSsoCookie() {
+  return `${SSO_COOKIE_NAME}=; Path=/; Max-Age=0; Secure; HttpOnly; SameSite=Lax`;
+}
+
+module.exports = {
+  getSsoSession,
+  getSsoSessionById,
+  touchSsoSession,
+  establishSsoSession,
+  deleteSsoSession,
+  deleteUserSsoSessions,
+  clearSsoCookie
+};
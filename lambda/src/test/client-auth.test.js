@@ -0,0 +1,190 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { putItem, silenceLogs, formEvent, basicAuth, ISSUER_URL } = require('./helpers');
+const { hashClientSecret } = require('../utils');
+const { authenticateClient, CLIENT_ASSERTION_TYPE } = require('../client-auth');
+
+const TOKEN_ENDPOINT = `${ISSUER_URL}/token`;
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+// Authenticate a token request made with the given form parameters and headers
+function authenticate(params, headers) {
+  return authenticateClient(formEvent(params, { headers }), params, '/token');
+}
+
+function signAssertion(clientId, { key = privateKey, algorithm = 'RS256', expiresIn = 60, jti = crypto.randomUUID(), audience = TOKEN_ENDPOINT } = {}) {
+  return jwt.sign({ jti }, key, {
+    algorithm,
+    keyid: 'client-key',
+    issuer: clientId,
+    subject: clientId,
+    audience,
+    expiresIn
+  });
+}
+
+function assertionParams(clientAssertion) {
+  return { client_assertion_type: CLIENT_ASSERTION_TYPE, client_assertion: clientAssertion };
+}
+
+before(() => {
+  silenceLogs();
+
+  putItem('CLIENTS_TABLE', {
+    client_id: 'basic-client',
+    client_secret_hash: hashClientSecret('basic-secret'),
+    token_endpoint_auth_method: 'client_secret_basic',
+    redirect_uris: []
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'post-client',
+    client_secret_hash: hashClientSecret('post-secret'),
+    token_endpoint_auth_method: 'client_secret_post',
+    redirect_uris: []
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'legacy-client',
+    client_secret_hash: hashClientSecret('legacy-secret'),
+    redirect_uris: []
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'jwt-client',
+    token_endpoint_auth_method: 'private_key_jwt',
+    jwks: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'client-key', use: 'sig', alg: 'RS256' }] },
+    redirect_uris: []
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'shared-jwt-client',
+    client_secret: 'a-shared-secret-that-is-long-enough-for-hs256',
+    token_endpoint_auth_method: 'client_secret_jwt',
+    redirect_uris: []
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'public-client',
+    token_endpoint_auth_method: 'none',
+    redirect_uris: []
+  });
+});
+
+describe('client secrets', () => {
+  it('accepts client_secret_basic', async () => {
+    const result = await authenticate({}, { Authorization: basicAuth('basic-client', 'basic-secret') });
+
+    assert.equal(result.client.client_id, 'basic-client');
+    assert.equal(result.method, 'client_secret_basic');
+  });
+
+  it('accepts client_secret_post', async () => {
+    const result = await authenticate({ client_id: 'post-client', client_secret: 'post-secret' });
+
+    assert.equal(result.client.client_id, 'post-client');
+    assert.equal(result.method, 'client_secret_post');
+  });
+
+  it('rejects a wrong secret', async () => {
+    assert.equal(await authenticate({}, { Authorization: basicAuth('basic-client', 'wrong') }), null);
+    assert.equal(await authenticate({ client_id: 'post-client', client_secret: 'wrong' }), null);
+  });
+
+  it('rejects a method other than the registered one', async () => {
+    assert.equal(await authenticate({ client_id: 'basic-client', client_secret: 'basic-secret' }), null);
+    assert.equal(await authenticate({}, { Authorization: basicAuth('post-client', 'post-secret') }), null);
+  });
+
+  it('lets clients without a registered method use either secret method', async () => {
+    const basic = await authenticate({}, { Authorization: basicAuth('legacy-client', 'legacy-secret') });
+    const post = await authenticate({ client_id: 'legacy-client', client_secret: 'legacy-secret' });
+
+    assert.equal(basic.method, 'client_secret_basic');
+    assert.equal(post.method, 'client_secret_post');
+  });
+
+  it('rejects unknown clients', async () => {
+    assert.equal(await authenticate({ client_id: 'nobody', client_secret: 'basic-secret' }), null);
+  });
+
+  it('does not let a confidential client skip authentication', async () => {
+    assert.equal(await authenticate({ client_id: 'basic-client' }), null);
+  });
+});
+
+describe('public clients', () => {
+  it('authenticate with only their client_id', async () => {
+    const result = await authenticate({ client_id: 'public-client' });
+
+    assert.equal(result.client.client_id, 'public-client');
+    assert.equal(result.method, 'none');
+  });
+
+  it('cannot present a secret instead', async () => {
+    assert.equal(await authenticate({ client_id: 'public-client', client_secret: 'anything' }), null);
+  });
+});
+
+describe('private_key_jwt', () => {
+  it('accepts an assertion signed with a key from the client JWKS', async () => {
+    const result = await authenticate(assertionParams(signAssertion('jwt-client')));
+
+    assert.equal(result.client.client_id, 'jwt-client');
+    assert.equal(result.method, 'private_key_jwt');
+  });
+
+  it('accepts the issuer as the audience', async () => {
+    const result = await authenticate(assertionParams(signAssertion('jwt-client', { audience: ISSUER_URL })));
+
+    assert.equal(result.method, 'private_key_jwt');
+  });
+
+  it('rejects a replayed assertion', async () => {
+    const assertion = signAssertion('jwt-client');
+
+    assert.ok(await authenticate(assertionParams(assertion)));
+    assert.equal(await authenticate(assertionParams(assertion)), null);
+  });
+
+  it('rejects an assertion signed with another key', async () => {
+    assert.equal(await authenticate(assertionParams(signAssertion('jwt-client', { key: otherKey }))), null);
+  });
+
+  it('rejects an assertion for another audience', async () => {
+    const assertion = signAssertion('jwt-client', { audience: 'https://other.example.com/token' });
+
+    assert.equal(await authenticate(assertionParams(assertion)), null);
+  });
+
+  it('rejects a long-lived assertion', async () => {
+    assert.equal(await authenticate(assertionParams(signAssertion('jwt-client', { expiresIn: 3600 }))), null);
+  });
+
+  it('rejects a client_id that does not match the assertion', async () => {
+    const params = { ...assertionParams(signAssertion('jwt-client')), client_id: 'basic-client' };
+
+    assert.equal(await authenticate(params), null);
+  });
+
+  it('cannot be replaced by a secret', async () => {
+    assert.equal(await authenticate({ client_id: 'jwt-client', client_secret: 'anything' }), null);
+  });
+});
+
+describe('client_secret_jwt', () => {
+  it('accepts an assertion signed with the shared secret', async () => {
+    const assertion = signAssertion('shared-jwt-client', {
+      key: 'a-shared-secret-that-is-long-enough-for-hs256',
+      algorithm: 'HS256'
+    });
+
+    const result = await authenticate(assertionParams(assertion));
+
+    assert.equal(result.method, 'client_secret_jwt');
+  });
+
+  it('does not accept an HMAC assertion from a private_key_jwt client', async () => {
+    const assertion = signAssertion('jwt-client', { key: 'guessed-secret', algorithm: 'HS256' });
+
+    assert.equal(await authenticate(assertionParams(assertion)), null);
+  });
+});
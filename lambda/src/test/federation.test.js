@@ -0,0 +1,270 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { parameters, putItem, listItems, silenceLogs, requestContext, formEvent, parseBody } = require('./helpers');
+
+process.env.UPSTREAM_PROVIDERS_PARAM_NAME = '/test/upstream-identity-providers';
+
+const { hashClientSecret } = require('../utils');
+const federation = require('../federation');
+const completeAuth = require('../complete-auth');
+const token = require('../token');
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+const AUTHORIZATION_REQUEST = {
+  client_id: 'web',
+  redirect_uri: REDIRECT_URI,
+  response_type: 'code',
+  scope: 'openid profile email',
+  state: 'rp-state',
+  nonce: 'rp-nonce'
+};
+
+/**
+ * A stand-in upstream OpenID Connect provider on localhost
+ * Serves discovery, JWKS and a token endpoint that redeems codes handed out by
+ * authorize(), checking the PKCE verifier like a real provider would.
+ */
+function createUpstream() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'upstream-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+  const upstream = { issuer: null, tokenRequests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, json) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      };
+      const { pathname } = new URL(req.url, upstream.issuer);
+
+      if (pathname === '/.well-known/openid-configuration') {
+        return send(200, {
+          issuer: upstream.issuer,
+          authorization_endpoint: `${upstream.issuer}/authorize`,
+          token_endpoint: `${upstream.issuer}/token`,
+          jwks_uri: `${upstream.issuer}/jwks`
+        });
+      }
+      if (pathname === '/jwks') {
+        return send(200, { keys: [jwk] });
+      }
+      if (pathname === '/token') {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        upstream.tokenRequests.push({ authorization: req.headers.authorization, params });
+        const grant = codes.get(params.code);
+        codes.delete(params.code);
+        const challenge = params.code_verifier &&
+          crypto.createHash('sha256').update(params.code_verifier).digest('base64url');
+        if (!grant || challenge !== grant.codeChallenge) {
+          return send(400, { error: 'invalid_grant' });
+        }
+        const idToken = jwt.sign({ sub: grant.subject, nonce: grant.nonce, ...grant.claims }, privateKey, {
+          algorithm: 'RS256',
+          keyid: 'upstream-key',
+          issuer: upstream.issuer,
+          audience: 'upstream-client',
+          expiresIn: 300
+        });
+        return send(200, { access_token: 'upstream-access-token', token_type: 'Bearer', id_token: idToken });
+      }
+      send(404, { error: 'not_found' });
+    });
+  });
+
+  // Sign the user in at the upstream and return the code it would redirect back with
+  upstream.authorize = (authorizationUrl, subject, claims = {}, nonce = null) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      subject,
+      claims,
+      nonce: nonce || authorizationUrl.searchParams.get('nonce'),
+      codeChallenge: authorizationUrl.searchParams.get('code_challenge')
+    });
+    return code;
+  };
+
+  upstream.start = () => new Promise(resolve => {
+    server.listen(0, 'localhost', () => {
+      upstream.issuer = `http://localhost:${server.address().port}`;
+      resolve();
+    });
+  });
+  upstream.stop = () => new Promise(resolve => server.close(resolve));
+
+  return upstream;
+}
+
+const upstream = createUpstream();
+
+function federationRequest(resource, queryStringParameters, headers = {}) {
+  return federation.handler({ httpMethod: 'GET', resource, requestContext: requestContext(), headers, queryStringParameters });
+}
+
+/**
+ * Start a federated sign-in and come back from the upstream
+ * @returns {Promise<object>} - The callback response, and the upstream authorization URL
+ */
+async function signInWithUpstream(subject, claims, { state, cookie, nonce, error } = {}) {
+  const start = await federationRequest('/federation/start', { ...AUTHORIZATION_REQUEST, provider: 'corp' });
+  assert.equal(start.statusCode, 302);
+  const authorizationUrl = new URL(start.headers.Location);
+  assert.ok(start.headers.Location.startsWith(`${upstream.issuer}/authorize?`));
+
+  const code = upstream.authorize(authorizationUrl, subject, claims, nonce);
+  const callback = await federationRequest('/federation/callback', error
+    ? { error, state: authorizationUrl.searchParams.get('state') }
+    : { code, state: state || authorizationUrl.searchParams.get('state') },
+  { Cookie: cookie ?? start.headers['Set-Cookie'].split(';')[0] });
+
+  return { callback, authorizationUrl };
+}
+
+function loginPageError(response) {
+  assert.equal(response.statusCode, 302);
+  const location = new URL(response.headers.Location);
+  assert.equal(location.pathname, '/login.html');
+  return location.searchParams.get('error');
+}
+
+before(async () => {
+  silenceLogs();
+  await upstream.start();
+
+  parameters.set(process.env.UPSTREAM_PROVIDERS_PARAM_NAME, JSON.stringify([{
+    id: 'corp',
+    name: 'Corp SSO',
+    issuer: upstream.issuer,
+    client_id: 'upstream-client',
+    client_secret: 'upstream-secret'
+  }]));
+  putItem('CLIENTS_TABLE', {
+    client_id: 'web',
+    first_party: true,
+    client_secret_hash: hashClientSecret('web-secret'),
+    redirect_uris: [REDIRECT_URI]
+  });
+});
+
+after(() => upstream.stop());
+
+describe('federated sign-in', () => {
+  it('lists the configured providers for the login page', async () => {
+    const response = await federationRequest('/federation/providers');
+
+    assert.deepEqual(parseBody(response), { providers: [{ id: 'corp', name: 'Corp SSO' }] });
+  });
+
+  it('sends the browser to the upstream with PKCE, state and nonce', async () => {
+    const start = await federationRequest('/federation/start', { ...AUTHORIZATION_REQUEST, provider: 'corp' });
+    const url = new URL(start.headers.Location);
+
+    assert.equal(url.searchParams.get('client_id'), 'upstream-client');
+    assert.equal(url.searchParams.get('redirect_uri'), 'https://api.example.com/test/federation/callback');
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.ok(url.searchParams.get('state'));
+    assert.ok(url.searchParams.get('nonce'));
+    assert.match(start.headers['Set-Cookie'], /^__Host-oidc_federation=[^;]+; .*HttpOnly/);
+  });
+
+  it('provisions and links a user on first sign-in, then issues tokens for them', async () => {
+    const { callback } = await signInWithUpstream('upstream-alice', {
+      preferred_username: 'alice',
+      email: 'alice@corp.example.com',
+      email_verified: true,
+      given_name: 'Alice'
+    });
+
+    assert.equal(callback.statusCode, 302);
+    const landing = new URL(callback.headers.Location);
+    assert.equal(landing.pathname, '/landing.html');
+
+    // The upstream code was redeemed with client_secret_basic and the PKCE verifier
+    const tokenRequest = upstream.tokenRequests.at(-1);
+    assert.equal(tokenRequest.authorization, `Basic ${Buffer.from('upstream-client:upstream-secret').toString('base64')}`);
+    assert.ok(tokenRequest.params.code_verifier);
+
+    const user = listItems('USERS_TABLE').find(item => item.username === 'alice');
+    assert.equal(user.email, 'alice@corp.example.com');
+    assert.equal(user.email_verified, true);
+    assert.equal(user.password_hash, undefined);
+    assert.deepEqual(user.profile, { given_name: 'Alice' });
+    const link = listItems('FEDERATED_IDENTITIES_TABLE').find(item => item.subject === 'upstream-alice');
+    assert.equal(link.issuer, upstream.issuer);
+    assert.equal(link.user_id, user.user_id);
+
+    // The login session continues like a password sign-in
+    const session = new URLSearchParams(landing.hash.slice(1)).get('session');
+    const completed = await completeAuth.handler(formEvent({ session }));
+    assert.equal(completed.statusCode, 302);
+    const code = new URL(completed.headers.Location).searchParams.get('code');
+    const tokens = parseBody(await token.handler(formEvent({
+      grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'web', client_secret: 'web-secret'
+    })));
+    const idToken = jwt.decode(tokens.id_token);
+    assert.equal(idToken.sub, user.user_id);
+    assert.equal(idToken.nonce, 'rp-nonce');
+    assert.deepEqual(idToken.amr, ['fed']);
+  });
+
+  it('signs a linked user in again without provisioning another', async () => {
+    const users = listItems('USERS_TABLE').length;
+
+    const { callback } = await signInWithUpstream('upstream-alice', {});
+
+    assert.equal(new URL(callback.headers.Location).pathname, '/landing.html');
+    assert.equal(listItems('USERS_TABLE').length, users);
+  });
+
+  it('gives a new upstream account a free username', async () => {
+    await signInWithUpstream('upstream-other-alice', { preferred_username: 'alice' });
+
+    const link = listItems('FEDERATED_IDENTITIES_TABLE').find(item => item.subject === 'upstream-other-alice');
+    const user = listItems('USERS_TABLE').find(item => item.user_id === link.user_id);
+    assert.match(user.username, /^alice-[0-9a-f]+$/);
+  });
+
+  it('rejects a callback whose state does not match the browser session', async () => {
+    const { callback } = await signInWithUpstream('upstream-alice', {}, { state: 'forged-state' });
+
+    assert.equal(loginPageError(callback), 'session_expired');
+  });
+
+  it('rejects a callback without the federation cookie', async () => {
+    const { callback } = await signInWithUpstream('upstream-alice', {}, { cookie: '' });
+
+    assert.equal(callback.statusCode, 400);
+    assert.equal(parseBody(callback).error, 'session_expired');
+  });
+
+  it('rejects an upstream ID token with the wrong nonce', async () => {
+    const { callback } = await signInWithUpstream('upstream-alice', {}, { nonce: 'replayed-nonce' });
+
+    assert.equal(loginPageError(callback), 'upstream_error');
+  });
+
+  it('returns to the login page when the user cancels at the upstream', async () => {
+    const { callback } = await signInWithUpstream('upstream-alice', {}, { error: 'access_denied' });
+
+    assert.equal(loginPageError(callback), 'access_denied');
+  });
+
+  it('requires MFA at the upstream when the client asks for it', async () => {
+    const start = await federationRequest('/federation/start', {
+      ...AUTHORIZATION_REQUEST, provider: 'corp', acr_values: 'urn:oidc-provider:acr:mfa'
+    });
+    const authorizationUrl = new URL(start.headers.Location);
+    const code = upstream.authorize(authorizationUrl, 'upstream-alice', { amr: ['pwd'] });
+
+    const callback = await federationRequest('/federation/callback',
+      { code, state: authorizationUrl.searchParams.get('state') },
+      { Cookie: start.headers['Set-Cookie'].split(';')[0] });
+
+    assert.equal(loginPageError(callback), 'unmet_authentication_requirements');
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Shared setup for the Lambda tests
+ *
+ * Replaces the DynamoDB document client and SSM with in-memory stand-ins, so the
+ * handlers run unchanged without AWS. Require this before any module under test:
+ * the modules read their table and parameter names from the environment on load.
+ *
+ * The DynamoDB stand-in understands the expressions the handlers use: comparisons
+ * joined with AND, attribute_exists, attribute_not_exists, begins_with and contains
+ * in conditions and filters, and SET, REMOVE, ADD and DELETE in updates. Queries on
+ * an index filter every item by the key condition.
+ */
+
+const { mock } = require('node:test');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { SSMClient } = require('@aws-sdk/client-ssm');
+
+// Environment variable, table name and key attributes, as in dynamodb.tf
+const TABLES = {
+  USERS_TABLE: ['users', ['user_id']],
+  CLIENTS_TABLE: ['clients', ['client_id']],
+  AUTH_CODES_TABLE: ['auth-codes', ['code']],
+  REFRESH_TOKENS_TABLE: ['refresh-tokens', ['token_id']],
+  APPLICATIONS_TABLE: ['applications', ['application_id']],
+  USER_APPLICATIONS_TABLE: ['user-applications', ['user_id', 'application_id']],
+  SESSIONS_TABLE: ['sessions', ['session_id']],
+  SSO_SESSIONS_TABLE: ['sso-sessions', ['sso_session_id']],
+  REVOKED_TOKENS_TABLE: ['revoked-tokens', ['jti']],
+  LOGIN_ATTEMPTS_TABLE: ['login-attempts', ['attempt_key']],
+  WEBAUTHN_CREDENTIALS_TABLE: ['webauthn-credentials', ['user_id', 'credential_id']],
+  GRANTS_TABLE: ['grants', ['user_id', 'client_id']],
+  PASSWORD_RESETS_TABLE: ['password-resets', ['token_hash']],
+  GROUPS_TABLE: ['groups', ['group_id']],
+  GROUP_MEMBERS_TABLE: ['group-members', ['user_id', 'group_id']],
+  AUDIT_TABLE: ['audit-events', ['event_id']],
+  FEDERATED_IDENTITIES_TABLE: ['federated-identities', ['issuer', 'subject']]
+};
+
+const ISSUER_URL = 'https://issuer.example.com/test';
+
+const keySchemas = {};
+for (const [variable, [tableName, keys]] of Object.entries(TABLES)) {
+  process.env[variable] = tableName;
+  keySchemas[tableName] = keys;
+}
+process.env.ISSUER_URL_PARAM_NAME = '/test/issuer-url';
+process.env.JWT_KEYS_PARAM_NAME = '/test/jwt-key-ring';
+process.env.JWT_LEGACY_KEYS_PARAM_NAME = '/test/jwt-keys';
+process.env.LOGIN_PAGE_URL = 'https://assets.example.com/login.html';
+process.env.LANDING_PAGE_URL = 'https://assets.example.com/landing.html';
+
+const tables = new Map();
+const parameters = new Map([[process.env.ISSUER_URL_PARAM_NAME, ISSUER_URL]]);
+
+function getTable(tableName) {
+  if (!tables.has(tableName)) {
+    tables.set(tableName, new Map());
+  }
+  return tables.get(tableName);
+}
+
+function keyOf(tableName, item) {
+  return JSON.stringify(keySchemas[tableName].map(name => item[name]));
+}
+
+function awsError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Evaluate a condition, filter or key condition against an item
+function matches(expression, item, values = {}, names = {}) {
+  const attribute = token => item[names[token] || token];
+
+  return expression.split(/\s+AND\s+/i).every(part => {
+    let match = part.trim().match(/^(attribute_exists|attribute_not_exists)\((#?\w+)\)$/);
+    if (match) {
+      return (attribute(match[2]) !== undefined) === (match[1] === 'attribute_exists');
+    }
+
+    match = part.trim().match(/^(begins_with|contains)\((#?\w+),\s*(:\w+)\)$/);
+    if (match) {
+      const current = attribute(match[2]);
+      if (match[1] === 'begins_with') {
+        return typeof current === 'string' && current.startsWith(values[match[3]]);
+      }
+      return current instanceof Set ? current.has(values[match[3]]) : Boolean(current?.includes?.(values[match[3]]));
+    }
+
+    match = part.trim().match(/^(#?\w+)\s*(=|<>|<=|>=|<|>)\s*(:\w+)$/);
+    if (!match) {
+      throw new Error(`Expression not supported by the test stand-in: ${part}`);
+    }
+    const current = attribute(match[1]);
+    const value = values[match[3]];
+    switch (match[2]) {
+      case '=': return current === value;
+      case '<>': return current !== value;
+      case '<': return current < value;
+      case '>': return current > value;
+      case '<=': return current <= value;
+      default: return current >= value;
+    }
+  });
+}
+
+// Split an update expression into its SET, REMOVE, ADD and DELETE clauses
+function updateClauses(expression) {
+  const clauses = {};
+  const pattern = /\b(SET|REMOVE|ADD|DELETE)\s+([\s\S]*?)(?=\s+\b(?:SET|REMOVE|ADD|DELETE)\s|$)/g;
+  for (const [, action, body] of expression.matchAll(pattern)) {
+    clauses[action] = body.split(/,(?![^(]*\))/).map(part => part.trim()).filter(Boolean);
+  }
+  return clauses;
+}
+
+function applyUpdate(item, expression, values = {}, names = {}) {
+  const name = token => names[token] || token;
+  const operand = token => (token.startsWith(':') ? values[token] : item[name(token)]);
+  const clauses = updateClauses(expression);
+
+  for (const assignment of clauses.SET || []) {
+    const [target, source] = assignment.split(/\s*=\s*/);
+    let match;
+    if ((match = source.match(/^if_not_exists\((#?\w+),\s*(:\w+)\)(?:\s*\+\s*(:\w+))?$/))) {
+      const current = item[name(match[1])] ?? values[match[2]];
+      item[name(target)] = match[3] ? current + values[match[3]] : current;
+    } else if ((match = source.match(/^list_append\((#?\w+),\s*(:\w+)\)$/))) {
+      item[name(target)] = (item[name(match[1])] || []).concat(values[match[2]]);
+    } else if ((match = source.match(/^(#?:?\w+)\s*([+-])\s*(#?:?\w+)$/))) {
+      const sign = match[2] === '+' ? 1 : -1;
+      item[name(target)] = (operand(match[1]) || 0) + sign * operand(match[3]);
+    } else {
+      item[name(target)] = operand(source);
+    }
+  }
+
+  for (const target of clauses.REMOVE || []) {
+    delete item[name(target)];
+  }
+
+  for (const addition of clauses.ADD || []) {
+    const [target, token] = addition.split(/\s+/);
+    const value = values[token];
+    const current = item[name(target)];
+    item[name(target)] = value instanceof Set ? new Set([...(current || []), ...value]) : (current || 0) + value;
+  }
+
+  for (const removal of clauses.DELETE || []) {
+    const [target, token] = removal.split(/\s+/);
+    const current = item[name(target)];
+    if (current instanceof Set) {
+      values[token].forEach(value => current.delete(value));
+      if (current.size === 0) {
+        delete item[name(target)];
+      }
+    }
+  }
+}
+
+function checkCondition(input, item) {
+  if (input.ConditionExpression &&
+      !matches(input.ConditionExpression, item || {}, input.ExpressionAttributeValues, input.ExpressionAttributeNames)) {
+    throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+  }
+}
+
+function sendDocumentCommand(command) {
+  const input = structuredClone(command.input);
+  const table = input.TableName && getTable(input.TableName);
+
+  switch (command.constructor.name) {
+    case 'GetCommand':
+      return { Item: structuredClone(table.get(keyOf(input.TableName, input.Key))) };
+
+    case 'PutCommand': {
+      const key = keyOf(input.TableName, input.Item);
+      checkCondition(input, table.get(key));
+      table.set(key, input.Item);
+      return {};
+    }
+
+    case 'UpdateCommand': {
+      const key = keyOf(input.TableName, input.Key);
+      const existing = table.get(key);
+      checkCondition(input, existing);
+      const item = existing ? structuredClone(existing) : { ...input.Key };
+      applyUpdate(item, input.UpdateExpression, input.ExpressionAttributeValues, input.ExpressionAttributeNames);
+      table.set(key, item);
+      return { Attributes: input.ReturnValues ? structuredClone(item) : undefined };
+    }
+
+    case 'DeleteCommand': {
+      const key = keyOf(input.TableName, input.Key);
+      const existing = table.get(key);
+      checkCondition(input, existing);
+      table.delete(key);
+      return { Attributes: input.ReturnValues === 'ALL_OLD' ? existing : undefined };
+    }
+
+    case 'QueryCommand': {
+      let items = [...table.values()].filter(item =>
+        matches(input.KeyConditionExpression, item, input.ExpressionAttributeValues, input.ExpressionAttributeNames));
+      if (input.FilterExpression) {
+        items = items.filter(item =>
+          matches(input.FilterExpression, item, input.ExpressionAttributeValues, input.ExpressionAttributeNames));
+      }
+      if (input.ScanIndexForward === false) {
+        items.reverse();
+      }
+      return { Items: structuredClone(input.Limit ? items.slice(0, input.Limit) : items) };
+    }
+
+    case 'ScanCommand': {
+      let items = [...table.values()];
+      if (input.FilterExpression) {
+        items = items.filter(item =>
+          matches(input.FilterExpression, item, input.ExpressionAttributeValues, input.ExpressionAttributeNames));
+      }
+      return { Items: structuredClone(items) };
+    }
+
+    default:
+      throw new Error(`${command.constructor.name} not supported by the test stand-in`);
+  }
+}
+
+function sendSsmCommand(command) {
+  const { Name, Value, Overwrite } = command.input;
+
+  switch (command.constructor.name) {
+    case 'GetParameterCommand':
+      if (!parameters.has(Name)) {
+        throw awsError('ParameterNotFound', `Parameter ${Name} not found`);
+      }
+      return { Parameter: { Name, Value: parameters.get(Name) } };
+
+    case 'PutParameterCommand':
+      if (!Overwrite && parameters.has(Name)) {
+        throw awsError('ParameterAlreadyExists', `Parameter ${Name} already exists`);
+      }
+      parameters.set(Name, Value);
+      return { Version: 1 };
+
+    default:
+      throw new Error(`${command.constructor.name} not supported by the test stand-in`);
+  }
+}
+
+mock.method(DynamoDBDocumentClient.prototype, 'send', async command => sendDocumentCommand(command));
+mock.method(SSMClient.prototype, 'send', async command => sendSsmCommand(command));
+
+/**
+ * Store an item directly, bypassing the handlers
+ * @param {string} variable - Table environment variable, e.g. 'CLIENTS_TABLE'
+ * @param {object} item
+ */
+function putItem(variable, item) {
+  const tableName = process.env[variable];
+  getTable(tableName).set(keyOf(tableName, item), structuredClone(item));
+}
+
+/**
+ * Items currently stored in a table
+ * @param {string} variable - Table environment variable, e.g. 'USERS_TABLE'
+ * @returns {Array<object>}
+ */
+function listItems(variable) {
+  return [...getTable(process.env[variable]).values()];
+}
+
+// Silence handler logging for the rest of the test file
+function silenceLogs() {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
+
+// API Gateway request context for a request from a browser or client
+function requestContext(sourceIp = '192.0.2.1') {
+  return { domainName: 'api.example.com', stage: 'test', identity: { sourceIp } };
+}
+
+// Form-encoded API Gateway POST event
+function formEvent(params, { headers = {}, ...extra } = {}) {
+  return {
+    httpMethod: 'POST',
+    requestContext: requestContext(),
+    ...extra,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+    body: new URLSearchParams(params).toString()
+  };
+}
+
+function basicAuth(clientId, clientSecret) {
+  return `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+}
+
+function parseBody(response) {
+  return response.body ? JSON.parse(response.body) : null;
+}
+
+module.exports = {
+  ISSUER_URL,
+  parameters,
+  putItem,
+  listItems,
+  silenceLogs,
+  requestContext,
+  formEvent,
+  basicAuth,
+  parseBody
+};
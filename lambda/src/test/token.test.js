@@ -0,0 +1,215 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { putItem, listItems, silenceLogs, formEvent, basicAuth, parseBody, ISSUER_URL } = require('./helpers');
+const { createAuthCode, hashClientSecret, verifyAccessToken } = require('../utils');
+const token = require('../token');
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+const USER_ID = 'user-1';
+
+function pkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+async function requestToken(params, headers) {
+  const response = await token.handler(formEvent(params, { headers }));
+  return { status: response.statusCode, body: parseBody(response) };
+}
+
+before(() => {
+  silenceLogs();
+
+  putItem('USERS_TABLE', { user_id: USER_ID, username: 'alice', email: 'alice@example.com', email_verified: true });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'spa',
+    redirect_uris: [REDIRECT_URI],
+    token_endpoint_auth_method: 'none',
+    grant_types: ['authorization_code', 'refresh_token']
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'web',
+    client_secret_hash: hashClientSecret('web-secret'),
+    redirect_uris: [REDIRECT_URI],
+    grant_types: ['authorization_code', 'refresh_token']
+  });
+  putItem('CLIENTS_TABLE', {
+    client_id: 'reporting',
+    client_secret_hash: hashClientSecret('reporting-secret'),
+    redirect_uris: [],
+    grant_types: ['client_credentials'],
+    allowed_scopes: ['reports:read', 'reports:write'],
+    allowed_audiences: ['https://reports.example.com']
+  });
+});
+
+describe('authorization_code grant', () => {
+  it('issues access, ID and refresh tokens for a code redeemed with its PKCE verifier', async () => {
+    const { verifier, challenge } = pkcePair();
+    const code = await createAuthCode(USER_ID, 'spa', REDIRECT_URI, 'openid email', challenge, 'S256', null, null,
+      { nonce: 'n-123', authTime: 1700000000, amr: ['pwd'] });
+
+    const { status, body } = await requestToken({
+      grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'spa', code_verifier: verifier
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.token_type, 'Bearer');
+    assert.equal(body.scope, 'openid email');
+    assert.ok(body.refresh_token);
+
+    const access = await verifyAccessToken(body.access_token);
+    assert.equal(access.sub, USER_ID);
+    assert.equal(access.aud, 'spa');
+    assert.equal(access.iss, ISSUER_URL);
+
+    const idToken = jwt.decode(body.id_token);
+    assert.equal(idToken.sub, USER_ID);
+    assert.equal(idToken.aud, 'spa');
+    assert.equal(idToken.nonce, 'n-123');
+    assert.equal(idToken.auth_time, 1700000000);
+    assert.equal(idToken.email, 'alice@example.com');
+    const hash = crypto.createHash('sha256').update(body.access_token).digest();
+    assert.equal(idToken.at_hash, hash.subarray(0, hash.length / 2).toString('base64url'));
+  });
+
+  it('rejects a wrong code_verifier', async () => {
+    const { challenge } = pkcePair();
+    const code = await createAuthCode(USER_ID, 'spa', REDIRECT_URI, 'openid', challenge, 'S256');
+
+    const { status, body } = await requestToken({
+      grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'spa', code_verifier: pkcePair().verifier
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_grant');
+  });
+
+  it('requires PKCE from public clients', async () => {
+    const code = await createAuthCode(USER_ID, 'spa', REDIRECT_URI, 'openid');
+
+    const { body } = await requestToken({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, client_id: 'spa' });
+
+    assert.equal(body.error, 'invalid_grant');
+  });
+
+  it('redeems a code only once', async () => {
+    const code = await createAuthCode(USER_ID, 'web', REDIRECT_URI, 'openid');
+    const params = { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI };
+
+    assert.equal((await requestToken(params, { Authorization: basicAuth('web', 'web-secret') })).status, 200);
+    const replay = await requestToken(params, { Authorization: basicAuth('web', 'web-secret') });
+    assert.equal(replay.status, 400);
+    assert.equal(replay.body.error, 'invalid_grant');
+  });
+
+  it('rejects a code issued to another client or redirect URI', async () => {
+    const code = await createAuthCode(USER_ID, 'spa', REDIRECT_URI, 'openid');
+
+    const otherClient = await requestToken({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI },
+      { Authorization: basicAuth('web', 'web-secret') });
+    assert.equal(otherClient.body.error, 'invalid_grant');
+
+    const otherRedirect = await requestToken({
+      grant_type: 'authorization_code', code, redirect_uri: 'https://evil.example.com/callback', client_id: 'spa'
+    });
+    assert.equal(otherRedirect.body.error, 'invalid_grant');
+  });
+});
+
+describe('refresh_token grant', () => {
+  async function issueRefreshToken() {
+    const code = await createAuthCode(USER_ID, 'web', REDIRECT_URI, 'openid', null, null, null, null, { amr: ['pwd'] });
+    const { body } = await requestToken({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI },
+      { Authorization: basicAuth('web', 'web-secret') });
+    return body.refresh_token;
+  }
+
+  const refresh = refreshToken => requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken },
+    { Authorization: basicAuth('web', 'web-secret') });
+
+  it('rotates the refresh token and keeps the original authentication', async () => {
+    const first = await issueRefreshToken();
+
+    const { status, body } = await refresh(first);
+
+    assert.equal(status, 200);
+    assert.notEqual(body.refresh_token, first);
+    assert.deepEqual(jwt.decode(body.id_token).amr, ['pwd']);
+    assert.equal((await refresh(body.refresh_token)).status, 200);
+  });
+
+  it('revokes the whole family when a rotated token is used again', async () => {
+    const first = await issueRefreshToken();
+    const second = (await refresh(first)).body.refresh_token;
+
+    const reuse = await refresh(first);
+    assert.equal(reuse.status, 400);
+    assert.equal(reuse.body.error, 'invalid_grant');
+
+    const afterReuse = await refresh(second);
+    assert.equal(afterReuse.status, 400);
+    assert.equal(afterReuse.body.error, 'invalid_grant');
+  });
+
+  it('rejects a refresh token presented by another client', async () => {
+    const refreshToken = await issueRefreshToken();
+    putItem('CLIENTS_TABLE', {
+      client_id: 'other-web',
+      client_secret_hash: hashClientSecret('other-secret'),
+      redirect_uris: [REDIRECT_URI]
+    });
+
+    const { body } = await requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken },
+      { Authorization: basicAuth('other-web', 'other-secret') });
+
+    assert.equal(body.error, 'invalid_grant');
+  });
+});
+
+describe('client_credentials grant', () => {
+  const credentials = { Authorization: basicAuth('reporting', 'reporting-secret') };
+
+  it('issues an access token for the client itself, without a refresh or ID token', async () => {
+    const { status, body } = await requestToken({ grant_type: 'client_credentials', scope: 'reports:read' }, credentials);
+
+    assert.equal(status, 200);
+    assert.equal(body.scope, 'reports:read');
+    assert.equal(body.refresh_token, undefined);
+    assert.equal(body.id_token, undefined);
+
+    const access = await verifyAccessToken(body.access_token, { audience: 'https://reports.example.com' });
+    assert.equal(access.sub, 'reporting');
+    assert.equal(access.client_id, 'reporting');
+  });
+
+  it('grants every allowed scope when none is requested', async () => {
+    const { body } = await requestToken({ grant_type: 'client_credentials' }, credentials);
+
+    assert.equal(body.scope, 'reports:read reports:write');
+  });
+
+  it('refuses scopes and audiences the client is not allowed', async () => {
+    const scope = await requestToken({ grant_type: 'client_credentials', scope: 'reports:delete' }, credentials);
+    assert.equal(scope.body.error, 'invalid_scope');
+
+    const audience = await requestToken({ grant_type: 'client_credentials', audience: 'https://other.example.com' }, credentials);
+    assert.equal(audience.body.error, 'invalid_target');
+  });
+
+  it('refuses clients that are not allowed the grant', async () => {
+    const { body } = await requestToken({ grant_type: 'client_credentials' }, { Authorization: basicAuth('web', 'web-secret') });
+
+    assert.equal(body.error, 'unauthorized_client');
+  });
+
+  it('records token issuance in the audit log', async () => {
+    await requestToken({ grant_type: 'client_credentials', scope: 'reports:read' }, credentials);
+
+    const events = listItems('AUDIT_TABLE').filter(event => event.client_id === 'reporting' && event.outcome === 'success');
+    assert.ok(events.some(event => event.event_type === 'token.issue' && event.details.grant_type === 'client_credentials'));
+  });
+});
@@ -1,84 +1,124 @@
 const {
-  validateClient,
+  isGrantTypeAllowed,
+  getPkcePolicy,
   getAuthCode,
   deleteAuthCode,
   getUserById,
+  isUserDisabled,
+  buildApplicationClaims,
+  buildGroupClaims,
   createJWT,
+  createAccessToken,
+  computeTokenHash,
   createRefreshToken,
   getRefreshToken,
   deleteRefreshToken,
+  markRefreshTokenRotated,
+  revokeRefreshTokenFamily,
+  parseRequestBody,
   createResponse,
   createErrorResponse
 } = require('./utils');
+const { ENDPOINTS, GRANT_TYPES } = require('./capabilities');
+const { authenticateClient } = require('./client-auth');
+const { recordAuditEvent, getResponseOutcome } = require('./audit');
 const crypto = require('crypto');
 
-// Parse Basic Auth header
-function parseBasicAuth(authHeader) {
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    return null;
-  }
+// Verify PKCE code verifier against the stored challenge and the client's policy
+function verifyCodeChallenge(client, codeVerifier, codeChallenge, method) {
+  const policy = getPkcePolicy(client);
+  
+  if (!codeChallenge) return !policy.required;
   
-  const base64Credentials = authHeader.substring(6);
-  const credentials = Buffer.from(base64Credentials, 'base64').toString('utf-8');
-  const [clientId, clientSecret] = credentials.split(':');
+  if (!codeVerifier || !policy.methods.includes(method)) return false;
   
-  return { clientId, clientSecret };
+  const expected = method === 'S256'
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : codeVerifier;
+  
+  return expected.length === codeChallenge.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(codeChallenge));
 }
 
-// Parse form data from request body
-function parseFormData(body) {
-  const params = new URLSearchParams(body);
-  const result = {};
-  for (const [key, value] of params) {
-    result[key] = value;
-  }
-  return result;
+// Build the application context claims for an auth code or refresh token
+// Returns an empty object when no application was selected and null when
+// the user is no longer assigned to the selected application
+async function getApplicationClaims(userId, grant) {
+  if (!grant.application_id) return {};
+  
+  return await buildApplicationClaims(userId, grant.application_id, grant.account);
 }
 
-// Verify PKCE code challenge
-function verifyCodeChallenge(codeVerifier, codeChallenge, method) {
-  if (!codeChallenge) return true; // PKCE not used
+// Revoke every token in the family of a reused refresh token
+async function handleRefreshTokenReuse(storedToken, audit) {
+  const familyId = storedToken.family_id || storedToken.token_id;
+  audit.details.refresh_token_reuse = true;
   
-  if (!codeVerifier) return false;
+  console.warn('Refresh token reuse detected, revoking token family:', JSON.stringify({
+    family_id: familyId,
+    client_id: storedToken.client_id,
+    user_id: storedToken.user_id
+  }));
   
-  if (method === 'plain') {
-    return codeVerifier === codeChallenge;
-  } else if (method === 'S256') {
-    const hash = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
-    return hash === codeChallenge;
-  }
+  await revokeRefreshTokenFamily(familyId);
   
-  return false;
+  return createErrorResponse('invalid_grant', 'Refresh token has already been used');
 }
 
 exports.handler = async (event) => {
+  const audit = { details: {} };
+  const response = await handleTokenRequest(event, audit);
+  
+  await recordAuditEvent(event, {
+    type: audit.details.grant_type === 'refresh_token' ? 'token.refresh' : 'token.issue',
+    ...getResponseOutcome(response),
+    actor: audit.clientId && `client:${audit.clientId}`,
+    userId: audit.userId,
+    clientId: audit.clientId,
+    details: audit.details
+  });
+  
+  return response;
+};
+
+/**
+ * Handle a token request
+ * @param {object} event - Lambda event
+ * @param {object} audit - Filled in with the user, client and details for the audit log
+ */
+async function handleTokenRequest(event, audit) {
   try {
-    const body = event.body;
-    const isBase64 = event.isBase64Encoded;
-    const decodedBody = isBase64 ? Buffer.from(body, 'base64').toString('utf-8') : body;
-    const params = parseFormData(decodedBody);
+    const params = parseRequestBody(event);
     
     const {
       grant_type,
       code,
       redirect_uri,
-      client_id: bodyClientId,
-      client_secret: bodyClientSecret,
       code_verifier,
-      refresh_token
+      refresh_token,
+      scope,
+      audience
     } = params;
     
-    // Extract client credentials from Authorization header or body
-    const authHeader = event.headers?.Authorization || event.headers?.authorization;
-    const basicAuth = parseBasicAuth(authHeader);
-    
-    const clientId = basicAuth?.clientId || bodyClientId;
-    const clientSecret = basicAuth?.clientSecret || bodyClientSecret;
-    
     // Validate required parameters
-    if (!grant_type || !clientId) {
+    if (!grant_type) {
       return createErrorResponse('invalid_request', 'Missing required parameters');
     }
+    audit.details.grant_type = grant_type;
+    
+    // Only grant types in the capability registry are supported
+    if (!GRANT_TYPES.includes(grant_type)) {
+      return createErrorResponse('unsupported_grant_type', 'Grant type not supported');
+    }
+    
+    // Authenticate the client with its registered token_endpoint_auth_method
+    const authenticated = await authenticateClient(event, params, ENDPOINTS.token_endpoint);
+    if (!authenticated) {
+      return createErrorResponse('invalid_client', 'Invalid client credentials', 401);
+    }
+    const { client, method: authMethod } = authenticated;
+    const clientId = client.client_id;
+    audit.clientId = clientId;
     
     // Handle authorization code grant
     if (grant_type === 'authorization_code') {
@@ -86,10 +126,12 @@ exports.handler = async (event) => {
         return createErrorResponse('invalid_request', 'Missing code or redirect_uri');
       }
       
-      // Validate client
-      const client = await validateClient(clientId, clientSecret, redirect_uri);
-      if (!client) {
-        return createErrorResponse('invalid_client', 'Invalid client credentials');
+      if (!client.redirect_uris.includes(redirect_uri)) {
+        return createErrorResponse('invalid_grant', 'Invalid redirect_uri');
+      }
+      
+      if (!isGrantTypeAllowed(client, grant_type)) {
+        return createErrorResponse('unauthorized_client', 'Client is not allowed to use this grant type');
       }
       
       // Get and validate authorization code
@@ -102,6 +144,7 @@ exports.handler = async (event) => {
       if (authCode.client_id !== clientId || authCode.redirect_uri !== redirect_uri) {
         return createErrorResponse('invalid_grant', 'Authorization code mismatch');
       }
+      audit.userId = authCode.user_id;
       
       // Check if code is expired
       if (authCode.expires_at < Math.floor(Date.now() / 1000)) {
@@ -109,11 +152,9 @@ exports.handler = async (event) => {
         return createErrorResponse('invalid_grant', 'Authorization code expired');
       }
       
-      // Verify PKCE if used
-      if (authCode.code_challenge) {
-        if (!verifyCodeChallenge(code_verifier, authCode.code_challenge, authCode.code_challenge_method)) {
-          return createErrorResponse('invalid_grant', 'Invalid code_verifier');
-        }
+      // Verify PKCE, which the client's policy may require
+      if (!verifyCodeChallenge(client, code_verifier, authCode.code_challenge, authCode.code_challenge_method)) {
+        return createErrorResponse('invalid_grant', 'Invalid code_verifier');
       }
       
       // Delete used authorization code
@@ -124,29 +165,69 @@ exports.handler = async (event) => {
       if (!user) {
         return createErrorResponse('invalid_grant', 'User not found');
       }
+      if (isUserDisabled(user)) {
+        return createErrorResponse('invalid_grant', 'User is disabled');
+      }
+      
+      // Selected application, account and IAM role mapping
+      const applicationClaims = await getApplicationClaims(user.user_id, authCode);
+      if (!applicationClaims) {
+        return createErrorResponse('invalid_grant', 'User is not assigned to the selected application');
+      }
+      
+      // Group memberships, when the groups scope was granted
+      const groupClaims = await buildGroupClaims(user.user_id, client, authCode.scope);
       
       // Create access token
       const accessTokenPayload = {
+        ...applicationClaims,
+        ...groupClaims,
         sub: user.user_id,
         aud: clientId,
         scope: authCode.scope,
+        jti: crypto.randomUUID(),
+        application_id: authCode.application_id,
+        account: authCode.account,
+        amr: authCode.amr,
+        acr: authCode.acr,
         iat: Math.floor(Date.now() / 1000)
       };
-      const accessToken = await createJWT(accessTokenPayload, '1h');
+      const accessToken = await createAccessToken(accessTokenPayload);
+      audit.details.jti = accessTokenPayload.jti;
+      audit.details.scope = accessTokenPayload.scope;
       
       // Create ID token
       const idTokenPayload = {
+        ...applicationClaims,
+        ...groupClaims,
         sub: user.user_id,
         aud: clientId,
         name: user.profile?.name || user.username,
         email: user.email,
         email_verified: user.email_verified || false,
+        nonce: authCode.nonce,
+        auth_time: authCode.auth_time,
+        amr: authCode.amr,
+        acr: authCode.acr,
+        at_hash: computeTokenHash(accessToken),
         iat: Math.floor(Date.now() / 1000)
       };
       const idToken = await createJWT(idTokenPayload, '1h');
       
       // Create refresh token
-      const refreshTokenId = await createRefreshToken(user.user_id, clientId, authCode.scope);
+      const refreshTokenId = await createRefreshToken(
+        user.user_id,
+        clientId,
+        authCode.scope,
+        authCode.application_id,
+        authCode.account,
+        {
+          client,
+          authTime: authCode.auth_time,
+          amr: authCode.amr,
+          acr: authCode.acr
+        }
+      );
       
       return createResponse(200, {
         access_token: accessToken,
@@ -162,10 +243,8 @@ exports.handler = async (event) => {
         return createErrorResponse('invalid_request', 'Missing refresh_token');
       }
       
-      // Validate client
-      const client = await validateClient(clientId, clientSecret);
-      if (!client) {
-        return createErrorResponse('invalid_client', 'Invalid client credentials');
+      if (!isGrantTypeAllowed(client, grant_type)) {
+        return createErrorResponse('unauthorized_client', 'Client is not allowed to use this grant type');
       }
       
       // Get refresh token
@@ -178,6 +257,12 @@ exports.handler = async (event) => {
       if (storedToken.client_id !== clientId) {
         return createErrorResponse('invalid_grant', 'Refresh token mismatch');
       }
+      audit.userId = storedToken.user_id;
+      
+      // A rotated token presented again means it leaked: revoke the whole family
+      if (storedToken.rotated_at) {
+        return await handleRefreshTokenReuse(storedToken, audit);
+      }
       
       // Check if token is expired
       if (storedToken.expires_at < Math.floor(Date.now() / 1000)) {
@@ -190,35 +275,129 @@ exports.handler = async (event) => {
       if (!user) {
         return createErrorResponse('invalid_grant', 'User not found');
       }
+      if (isUserDisabled(user)) {
+        return createErrorResponse('invalid_grant', 'User is disabled');
+      }
+      
+      // Re-read the application mapping and groups so role changes apply on refresh
+      const applicationClaims = await getApplicationClaims(user.user_id, storedToken);
+      if (!applicationClaims) {
+        return createErrorResponse('invalid_grant', 'User is not assigned to the selected application');
+      }
+      const groupClaims = await buildGroupClaims(user.user_id, client, storedToken.scope);
       
       // Create new access token
       const accessTokenPayload = {
+        ...applicationClaims,
+        ...groupClaims,
         sub: user.user_id,
         aud: clientId,
         scope: storedToken.scope,
+        jti: crypto.randomUUID(),
+        application_id: storedToken.application_id,
+        account: storedToken.account,
+        amr: storedToken.amr,
+        acr: storedToken.acr,
         iat: Math.floor(Date.now() / 1000)
       };
-      const accessToken = await createJWT(accessTokenPayload, '1h');
+      const accessToken = await createAccessToken(accessTokenPayload);
+      audit.details.jti = accessTokenPayload.jti;
+      audit.details.scope = accessTokenPayload.scope;
       
       // Create new ID token
+      // auth_time, amr and acr stay those of the original authentication (OIDC Core 12.2)
       const idTokenPayload = {
+        ...applicationClaims,
+        ...groupClaims,
         sub: user.user_id,
         aud: clientId,
         name: user.profile?.name || user.username,
         email: user.email,
         email_verified: user.email_verified || false,
+        auth_time: storedToken.auth_time,
+        amr: storedToken.amr,
+        acr: storedToken.acr,
+        at_hash: computeTokenHash(accessToken),
         iat: Math.floor(Date.now() / 1000)
       };
       const idToken = await createJWT(idTokenPayload, '1h');
       
+      // Rotate the refresh token; losing the race to a concurrent refresh is treated as reuse
+      if (!await markRefreshTokenRotated(storedToken)) {
+        return await handleRefreshTokenReuse(storedToken, audit);
+      }
+      
+      const newRefreshTokenId = await createRefreshToken(
+        storedToken.user_id,
+        clientId,
+        storedToken.scope,
+        storedToken.application_id,
+        storedToken.account,
+        {
+          client,
+          familyId: storedToken.family_id || storedToken.token_id,
+          familyExpiresAt: storedToken.family_expires_at || storedToken.expires_at,
+          authTime: storedToken.auth_time,
+          amr: storedToken.amr,
+          acr: storedToken.acr
+        }
+      );
+      
       return createResponse(200, {
         access_token: accessToken,
         token_type: 'Bearer',
         expires_in: 3600,
+        refresh_token: newRefreshTokenId,
         id_token: idToken,
         scope: storedToken.scope
       });
       
+    } else if (grant_type === 'client_credentials') {
+      // Only confidential clients may use the client credentials grant
+      if (authMethod === 'none') {
+        return createErrorResponse('invalid_client', 'Client authentication required', 401);
+      }
+      
+      if (!isGrantTypeAllowed(client, grant_type)) {
+        return createErrorResponse('unauthorized_client', 'Client is not allowed to use this grant type');
+      }
+      
+      // Requested scopes must be on the client's allow-list; default to all of them
+      const allowedScopes = client.allowed_scopes || [];
+      const requestedScopes = scope ? scope.split(' ').filter(Boolean) : allowedScopes;
+      if (requestedScopes.some(requested => !allowedScopes.includes(requested))) {
+        return createErrorResponse('invalid_scope', 'Requested scope is not allowed for this client');
+      }
+      
+      // Requested audience must be on the client's allow-list; default to the first one
+      const allowedAudiences = client.allowed_audiences || [];
+      const tokenAudience = audience || allowedAudiences[0];
+      if (!tokenAudience || !allowedAudiences.includes(tokenAudience)) {
+        return createErrorResponse('invalid_target', 'Requested audience is not allowed for this client');
+      }
+      
+      const grantedScope = requestedScopes.join(' ');
+      
+      // Create access token for the client itself - no ID token or refresh token
+      const accessTokenPayload = {
+        sub: clientId,
+        aud: tokenAudience,
+        client_id: clientId,
+        scope: grantedScope,
+        jti: crypto.randomUUID(),
+        iat: Math.floor(Date.now() / 1000)
+      };
+      const accessToken = await createAccessToken(accessTokenPayload);
+      audit.details.jti = accessTokenPayload.jti;
+      audit.details.scope = accessTokenPayload.scope;
+      
+      return createResponse(200, {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: 3600,
+        scope: grantedScope
+      });
+      
     } else {
       return createErrorResponse('unsupported_grant_type', 'Grant type not supported');
     }
@@ -227,4 +406,4 @@ exports.handler = async (event) => {
     console.error('Error in token handler:', error);
     return createErrorResponse('server_error', 'Internal server error', 500);
   }
-};
+}
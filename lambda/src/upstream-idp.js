@@ -0,0 +1,308 @@
+const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+/**
+ * Upstream OpenID Connect identity providers
+ *
+ * Providers are configured as a JSON array in the UPSTREAM_PROVIDERS_PARAM_NAME
+ * SecureString parameter, one object per provider:
+ *   id                         - short name used in URLs and audit events, e.g. "google"
+ *   name                       - button label on the login page
+ *   issuer                     - upstream issuer; endpoints come from its discovery document
+ *   client_id, client_secret   - this provider's registration at the upstream
+ *   scope                      - requested scopes (default "openid profile email")
+ *   token_endpoint_auth_method - client_secret_basic (default) or client_secret_post
+ *   authorization_endpoint, token_endpoint, jwks_uri
+ *                              - optional, used instead of the discovered endpoints
+ *   jit_provisioning           - "false" to only sign in users that are already linked
+ *
+ * Endpoints must use https, except on localhost, so a local stand-in for the
+ * upstream can take its place in tests.
+ */
+
+const ssmClient = new SSMClient({});
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+const DEFAULT_SCOPE = 'openid profile email';
+const UPSTREAM_AUTH_METHODS = ['client_secret_basic', 'client_secret_post'];
+
+// Algorithms accepted for upstream ID tokens; never none or HMAC
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+const UPSTREAM_TIMEOUT_MS = 5000;
+const PROVIDERS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const JWKS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+let cachedProviders = null;
+let providersFetchedAt = 0;
+const metadataCache = {};
+const jwksCache = {};
+
+// Upstream endpoints must use https; http is only allowed for a local stand-in
+function isAllowedEndpoint(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ||
+      (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check one configured provider and fill in defaults
+ * @param {object} config - Provider object from the parameter
+ * @returns {object|null} - Provider, or null if it is unusable
+ */
+function normalizeProvider(config) {
+  const problems = [];
+  if (!PROVIDER_ID_PATTERN.test(config.id || '')) problems.push('id must be 1-32 lowercase letters, digits or dashes');
+  if (!isAllowedEndpoint(config.issuer)) problems.push('issuer must be an https URL');
+  if (!config.client_id) problems.push('client_id is required');
+  if (!config.client_secret) problems.push('client_secret is required');
+
+  const authMethod = config.token_endpoint_auth_method || 'client_secret_basic';
+  if (!UPSTREAM_AUTH_METHODS.includes(authMethod)) {
+    problems.push(`token_endpoint_auth_method must be one of: ${UPSTREAM_AUTH_METHODS.join(', ')}`);
+  }
+  for (const endpoint of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (config[endpoint] && !isAllowedEndpoint(config[endpoint])) problems.push(`${endpoint} must be an https URL`);
+  }
+
+  if (problems.length) {
+    console.error('Ignoring upstream identity provider:', JSON.stringify({ id: config.id, problems }));
+    return null;
+  }
+
+  return {
+    ...config,
+    name: config.name || config.id,
+    scope: config.scope || DEFAULT_SCOPE,
+    token_endpoint_auth_method: authMethod,
+    jit_provisioning: String(config.jit_provisioning) !== 'false'
+  };
+}
+
+/**
+ * Load the configured upstream providers
+ * @returns {Promise<Array>} - Usable providers; empty if none are configured
+ */
+async function getUpstreamProviders() {
+  const now = Date.now();
+  if (cachedProviders && (now - providersFetchedAt) < PROVIDERS_CACHE_TTL_MS) {
+    return cachedProviders;
+  }
+
+  if (!process.env.UPSTREAM_PROVIDERS_PARAM_NAME) {
+    return [];
+  }
+
+  const response = await ssmClient.send(new GetParameterCommand({
+    Name: process.env.UPSTREAM_PROVIDERS_PARAM_NAME,
+    WithDecryption: true
+  }));
+
+  const configured = JSON.parse(response.Parameter.Value || '[]');
+  cachedProviders = (Array.isArray(configured) ? configured : [])
+    .map(normalizeProvider)
+    .filter(Boolean);
+  providersFetchedAt = now;
+  return cachedProviders;
+}
+
+async function getUpstreamProvider(providerId) {
+  const providers = await getUpstreamProviders();
+  return providers.find(provider => provider.id === providerId) || null;
+}
+
+// GET a JSON document from the upstream
+async function fetchJson(url) {
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`GET ${url} failed: HTTP ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Endpoints of an upstream provider, from configuration or OIDC discovery
+ * @param {object} provider - Upstream provider
+ * @returns {Promise<object>} - authorization_endpoint, token_endpoint and jwks_uri
+ */
+async function getProviderMetadata(provider) {
+  const configured = {
+    authorization_endpoint: provider.authorization_endpoint,
+    token_endpoint: provider.token_endpoint,
+    jwks_uri: provider.jwks_uri
+  };
+  if (Object.values(configured).every(Boolean)) {
+    return configured;
+  }
+
+  const now = Date.now();
+  const cached = metadataCache[provider.issuer];
+  let discovered = cached && (now - cached.fetchedAt) < METADATA_CACHE_TTL_MS ? cached.metadata : null;
+  if (!discovered) {
+    discovered = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+    // The discovery document must be the issuer's own (OpenID Connect Discovery section 4.3)
+    if (discovered.issuer !== provider.issuer) {
+      throw new Error(`Discovery document issuer ${discovered.issuer} does not match ${provider.issuer}`);
+    }
+    metadataCache[provider.issuer] = { metadata: discovered, fetchedAt: now };
+  }
+
+  const metadata = {};
+  for (const [name, value] of Object.entries(configured)) {
+    metadata[name] = value || discovered[name];
+    if (!isAllowedEndpoint(metadata[name])) {
+      throw new Error(`Upstream ${name} is missing or not an https URL`);
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Build the upstream authorization request URL
+ * @param {object} provider - Upstream provider
+ * @param {object} request - redirectUri, state, nonce, codeChallenge, and optionally prompt and maxAge
+ * @returns {Promise<string>}
+ */
+async function buildAuthorizationUrl(provider, request) {
+  const { authorization_endpoint } = await getProviderMetadata(provider);
+
+  const url = new URL(authorization_endpoint);
+  url.searchParams.append('response_type', 'code');
+  url.searchParams.append('client_id', provider.client_id);
+  url.searchParams.append('redirect_uri', request.redirectUri);
+  url.searchParams.append('scope', provider.scope);
+  url.searchParams.append('state', request.state);
+  url.searchParams.append('nonce', request.nonce);
+  url.searchParams.append('code_challenge', request.codeChallenge);
+  url.searchParams.append('code_challenge_method', 'S256');
+  if (request.prompt) url.searchParams.append('prompt', request.prompt);
+  if (request.maxAge !== undefined) url.searchParams.append('max_age', String(request.maxAge));
+  return url.toString();
+}
+
+/**
+ * Redeem an authorization code at the upstream token endpoint
+ * @param {object} provider - Upstream provider
+ * @param {string} code - Code from the callback
+ * @param {string} redirectUri - Redirect URI sent with the authorization request
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<object>} - Token response
+ */
+async function exchangeAuthorizationCode(provider, code, redirectUri, codeVerifier) {
+  const { token_endpoint } = await getProviderMetadata(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Accept': 'application/json'
+  };
+
+  // Basic credentials are form-encoded first (RFC 6749 section 2.3.1)
+  if (provider.token_endpoint_auth_method === 'client_secret_post') {
+    body.append('client_id', provider.client_id);
+    body.append('client_secret', provider.client_secret);
+  } else {
+    const credentials = `${encodeURIComponent(provider.client_id)}:${encodeURIComponent(provider.client_secret)}`;
+    headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const response = await fetch(token_endpoint, {
+    method: 'POST',
+    headers,
+    body: body.toString(),
+    signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+  });
+
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Upstream token endpoint returned HTTP ${response.status}: ${tokens.error || 'no error code'}`);
+  }
+  if (!tokens.id_token) {
+    throw new Error('Upstream token response has no id_token');
+  }
+  return tokens;
+}
+
+// Find the upstream signing key for a kid, fetching the JWKS again once when the
+// kid is unknown in case the upstream has rotated its keys
+async function getUpstreamSigningKey(jwksUri, kid) {
+  const findKey = (jwks) => {
+    const candidates = (jwks.keys || []).filter(key => key.use !== 'enc' && (!kid || key.kid === kid));
+    return candidates.length === 1 ? candidates[0] : null;
+  };
+
+  const now = Date.now();
+  const cached = jwksCache[jwksUri];
+  let key = cached && (now - cached.fetchedAt) < JWKS_CACHE_TTL_MS ? findKey(cached.jwks) : null;
+  if (!key) {
+    const jwks = await fetchJson(jwksUri);
+    jwksCache[jwksUri] = { jwks, fetchedAt: now };
+    key = findKey(jwks);
+  }
+  if (!key) {
+    throw new Error(`No upstream signing key matches kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Validate an upstream ID token (OpenID Connect Core section 3.1.3.7)
+ * @param {object} provider - Upstream provider
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} - The token's claims
+ */
+async function verifyUpstreamIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('Upstream ID token is malformed or uses an unsupported algorithm');
+  }
+
+  const { jwks_uri } = await getProviderMetadata(provider);
+  const key = await getUpstreamSigningKey(jwks_uri, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.client_id,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  // With several audiences, azp must name this provider's client
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.client_id) {
+    throw new Error('Upstream ID token azp does not match client_id');
+  }
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('Upstream ID token nonce does not match');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new Error('Upstream ID token has no sub');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  getUpstreamProviders,
+  getUpstreamProvider,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyUpstreamIdToken
+};
@@ -1,10 +1,67 @@
 const {
   getUserByUsername,
+  listUsers,
   createUser,
+  isUserDisabled,
+  updateUserAttributes,
+  deleteUserRecord,
   updateUserPassword,
+  checkPasswordStrength,
+  isValidEmail,
+  checkProfileField,
+  unlockLogin,
+  getIssuerUrl,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  regenerateRecoveryCodes,
+  listWebAuthnCredentials,
+  deleteWebAuthnCredential,
+  listGrants,
+  revokeGrant,
+  deleteUserGrants,
+  getApplicationById,
+  listUserApplications,
+  assignUserApplication,
+  unassignUserApplication,
+  deleteUserApplications,
+  groupPrincipalId,
+  getGroupById,
+  getUserById,
+  listGroups,
+  createGroup,
+  deleteGroup,
+  addGroupMember,
+  removeGroupMember,
+  listGroupMembers,
+  listUserGroups,
+  deleteUserGroupMemberships,
+  revokeUserRefreshTokens,
+  deletePasswordResets,
+  linkFederatedIdentity,
+  listUserFederatedIdentities,
+  unlinkFederatedIdentity,
+  deleteUserFederatedIdentities,
   createResponse,
   createErrorResponse
 } = require('./utils');
+const { buildOtpauthUri } = require('./totp');
+const { deleteUserSessions } = require('./auth-flow');
+const { deleteUserSsoSessions } = require('./sso-session');
+const { recordAuditEvent, getResponseOutcome, listAuditEvents } = require('./audit');
+const { getUpstreamProvider } = require('./upstream-idp');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,50}$/;
+const INVALID_USERNAME_MESSAGE = 'Invalid username format. Username must be 3-50 characters and contain only letters, numbers, dashes, and underscores';
+
+// Group IDs appear in the groups claim; no colon, which marks group principals
+const GROUP_ID_PATTERN = /^[a-zA-Z0-9_.-]{1,64}$/;
+
+// Most users or groups returned by one list call
+const MAX_LIST_LIMIT = 100;
+
+// Operations that change nothing, so are not written to the audit log
+const READ_OPERATIONS = ['listPasskeys', 'listGrants', 'getUser', 'listUsers', 'listGroups', 'getGroup', 'listAuditEvents'];
 
 /**
  * Validate password strength
@@ -12,26 +69,110 @@ const {
  * @returns {object|null} - Error response object if invalid, null if valid
  */
 function validatePassword(password) {
-  // Validate password strength
-  // Minimum 8 characters, at least one uppercase, one lowercase, one number, and one special character
-  if (password.length < 8) {
-    return createErrorResponse('invalid_request', 'Password must be at least 8 characters long');
-  }
-  if (!/[A-Z]/.test(password)) {
-    return createErrorResponse('invalid_request', 'Password must contain at least one uppercase letter');
+  const problem = checkPasswordStrength(password);
+  return problem ? createErrorResponse('invalid_request', problem) : null;
+}
+
+/**
+ * Apply profile changes to a user's profile claims
+ * @param {object} current - The user's current profile
+ * @param {object} changes - Profile fields to set; empty values remove a field
+ * @returns {object} - profile, or error with an error response
+ */
+function mergeProfile(current, changes) {
+  if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+    return { error: createErrorResponse('invalid_request', 'profile must be an object') };
   }
-  if (!/[a-z]/.test(password)) {
-    return createErrorResponse('invalid_request', 'Password must contain at least one lowercase letter');
+
+  const profile = { ...(current || {}) };
+  for (const [field, rawValue] of Object.entries(changes)) {
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    const problem = checkProfileField(field, value);
+    if (problem) {
+      return { error: createErrorResponse('invalid_request', problem) };
+    }
+
+    if (value) {
+      profile[field] = value;
+    } else {
+      delete profile[field];
+    }
   }
-  if (!/[0-9]/.test(password)) {
-    return createErrorResponse('invalid_request', 'Password must contain at least one number');
+  return { profile };
+}
+
+// User attributes that are safe to return; password hash and MFA secrets are left out
+function describeUser(user) {
+  const {
+    password_hash,
+    totp_secret,
+    totp_pending_secret,
+    totp_last_step,
+    recovery_code_hashes,
+    ...userResponse
+  } = user;
+  return {
+    ...userResponse,
+    enabled: !isUserDisabled(user)
+  };
+}
+
+// Application assignment as shown to operators
+function describeUserApplication(userApp) {
+  return {
+    application_id: userApp.application_id,
+    accounts: userApp.accounts || [],
+    created_at: userApp.created_at
+  };
+}
+
+// Upstream identity provider account link as shown to operators
+function describeFederatedIdentity(identity) {
+  return {
+    provider_id: identity.provider_id,
+    issuer: identity.issuer,
+    subject: identity.subject,
+    created_at: identity.created_at
+  };
+}
+
+/**
+ * Fetch one page from a paginated list helper
+ * @param {function} list - listUsers, listGroups or another (limit, nextToken) list function
+ * @param {number} limit - Page size requested by the operator
+ * @param {string} nextToken - Token from the previous page
+ * @returns {Promise<object>} - page, or error with an error response
+ */
+async function fetchPage(list, limit, nextToken) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return { error: createErrorResponse('invalid_request', `limit must be a whole number from 1 to ${MAX_LIST_LIMIT}`) };
   }
-  // Special characters: include common password special characters
-  // Using character class with properly escaped special characters
-  if (!/[!@#$%^&*(),.?":{}|<>\-_+=~\[\]\\]/.test(password)) {
-    return createErrorResponse('invalid_request', 'Password must contain at least one special character');
+  
+  try {
+    return { page: await list(limit, nextToken || null) };
+  } catch (error) {
+    // A malformed token fails to decode or is rejected by DynamoDB
+    if (nextToken && (error instanceof SyntaxError || error.name === 'ValidationException')) {
+      return { error: createErrorResponse('invalid_request', 'Invalid nextToken') };
+    }
+    throw error;
   }
-  return null;
+}
+
+/**
+ * End everything that keeps a user signed in: login and SSO sessions, refresh
+ * tokens and outstanding password reset links
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - Counts of what was removed
+ */
+async function endUserSessions(userId) {
+  const loginSessions = await deleteUserSessions(userId);
+  return {
+    login_sessions: loginSessions.length,
+    sso_sessions: await deleteUserSsoSessions(userId),
+    refresh_tokens: await revokeUserRefreshTokens(userId),
+    password_resets: await deletePasswordResets(userId)
+  };
 }
 
 /**
@@ -41,6 +182,36 @@ function validatePassword(password) {
  * Supported operations:
  * 1. createUser - Create a new user
  * 2. resetPassword - Reset a user's password
+ * 3. unlockUser - Clear a login lockout for a username (and optionally a source IP)
+ * 4. enrollTotp - Start TOTP enrollment; returns the secret and otpauth:// URI
+ * 5. confirmTotp - Finish TOTP enrollment with a code from the app; returns recovery codes
+ * 6. disableTotp - Remove a user's TOTP authenticator and recovery codes
+ * 7. regenerateRecoveryCodes - Replace a user's recovery codes
+ * 8. listPasskeys - List a user's registered passkeys
+ * 9. deletePasskey - Remove one of a user's passkeys, e.g. for a lost device
+ * 10. listGrants - List the clients a user has consented to
+ * 11. revokeGrant - Withdraw a user's consent for a client and revoke its refresh tokens
+ * 12. getUser - Show a user, their groups, application assignments and upstream account links
+ * 13. listUsers - List users a page at a time (limit, nextToken)
+ * 14. updateUser - Change a user's email, email_verified flag or profile claims
+ * 15. disableUser - Block sign-in and end the user's sessions and refresh tokens
+ * 16. enableUser - Allow a disabled user to sign in again
+ * 17. deleteUser - Delete a user with their sessions, tokens, passkeys, grants, group memberships, application assignments and upstream account links
+ * 18. renameUser - Change a user's username
+ * 19. createGroup - Create a group (groupId, optional description)
+ * 20. deleteGroup - Delete a group with its memberships and application assignments
+ * 21. listGroups - List groups a page at a time (limit, nextToken)
+ * 22. getGroup - Show a group, its members and its application assignments
+ * 23. addGroupMember - Add a user to a group
+ * 24. removeGroupMember - Remove a user from a group
+ * 25. assignGroupApplication - Give every member of a group access to an application
+ * 26. unassignGroupApplication - Withdraw a group's access to an application
+ * 27. listAuditEvents - List a user's audit events, newest first (limit, nextToken)
+ * 28. linkFederatedIdentity - Let a user sign in with an upstream identity provider account (providerId, subject)
+ * 29. unlinkFederatedIdentity - Remove a user's upstream identity provider account link
+ * 
+ * Every operation that changes something is written to the audit log as
+ * admin.<operation>, with the operator as actor.
  * 
  * Password Requirements:
  * - Minimum 8 characters
@@ -51,12 +222,16 @@ function validatePassword(password) {
  * 
  * Example test payloads:
  * 
- * Create User:
+ * Create User (profile and applications are optional):
  * {
  *   "operation": "createUser",
  *   "username": "newuser",
  *   "password": "SecurePassword123!",
- *   "email": "newuser@example.com"
+ *   "email": "newuser@example.com",
+ *   "profile": { "given_name": "New", "family_name": "User" },
+ *   "applications": [
+ *     { "applicationId": "aws-console", "accounts": ["123456789012"] }
+ *   ]
  * }
  * 
  * Reset Password:
@@ -65,39 +240,252 @@ function validatePassword(password) {
  *   "username": "existinguser",
  *   "newPassword": "NewSecurePassword123!"
  * }
+ * 
+ * Unlock User:
+ * {
+ *   "operation": "unlockUser",
+ *   "username": "existinguser",
+ *   "sourceIp": "203.0.113.10"
+ * }
+ * 
+ * Enroll TOTP (then confirm with a code from the authenticator app):
+ * {
+ *   "operation": "enrollTotp",
+ *   "username": "existinguser"
+ * }
+ * {
+ *   "operation": "confirmTotp",
+ *   "username": "existinguser",
+ *   "code": "123456"
+ * }
+ * 
+ * Delete Passkey (credentialId from listPasskeys):
+ * {
+ *   "operation": "deletePasskey",
+ *   "username": "existinguser",
+ *   "credentialId": "k-9I0hOQkvKIgLnIc9oMdw"
+ * }
+ * 
+ * Revoke Grant:
+ * {
+ *   "operation": "revokeGrant",
+ *   "username": "existinguser",
+ *   "clientId": "partner-app"
+ * }
+ * 
+ * List Users (pass nextToken from the previous response for the next page):
+ * {
+ *   "operation": "listUsers",
+ *   "limit": 50
+ * }
+ * 
+ * Update User (empty profile values remove the field):
+ * {
+ *   "operation": "updateUser",
+ *   "username": "existinguser",
+ *   "email": "new.address@example.com",
+ *   "emailVerified": true,
+ *   "profile": { "nickname": "Sam", "website": "" }
+ * }
+ * 
+ * Disable User:
+ * {
+ *   "operation": "disableUser",
+ *   "username": "existinguser"
+ * }
+ * 
+ * Rename User:
+ * {
+ *   "operation": "renameUser",
+ *   "username": "existinguser",
+ *   "newUsername": "renameduser"
+ * }
+ * 
+ * Create Group, add a member and give the group an application:
+ * {
+ *   "operation": "createGroup",
+ *   "groupId": "admins",
+ *   "description": "Administrators"
+ * }
+ * {
+ *   "operation": "addGroupMember",
+ *   "groupId": "admins",
+ *   "username": "existinguser"
+ * }
+ * {
+ *   "operation": "assignGroupApplication",
+ *   "groupId": "admins",
+ *   "applicationId": "aws-console",
+ *   "accounts": ["123456789012"]
+ * }
+ * 
+ * List Audit Events:
+ * {
+ *   "operation": "listAuditEvents",
+ *   "username": "existinguser",
+ *   "limit": 20
+ * }
+ * 
+ * Link Federated Identity (subject is the sub claim of the user's account at the provider):
+ * {
+ *   "operation": "linkFederatedIdentity",
+ *   "username": "existinguser",
+ *   "providerId": "corporate",
+ *   "subject": "248289761001"
+ * }
  */
 exports.handler = async (event) => {
   try {
-    console.log('User management operation requested:', JSON.stringify(event, null, 2));
-    
     const { operation } = event;
     
+    // Only the operation: payloads carry passwords and TOTP codes
+    console.log('User management operation requested:', JSON.stringify({ operation }));
+    
     if (!operation) {
-      return createErrorResponse('invalid_request', 'Missing operation parameter. Valid operations: createUser, resetPassword');
+      return createErrorResponse('invalid_request', 'Missing operation parameter. Valid operations: createUser, resetPassword, unlockUser, enrollTotp, confirmTotp, disableTotp, regenerateRecoveryCodes, listPasskeys, deletePasskey, listGrants, revokeGrant, getUser, listUsers, updateUser, disableUser, enableUser, deleteUser, renameUser, createGroup, deleteGroup, listGroups, getGroup, addGroupMember, removeGroupMember, assignGroupApplication, unassignGroupApplication, listAuditEvents, linkFederatedIdentity, unlinkFederatedIdentity');
     }
     
-    switch (operation) {
-      case 'createUser':
-        return await handleCreateUser(event);
-      
-      case 'resetPassword':
-        return await handleResetPassword(event);
-      
-      default:
-        return createErrorResponse('invalid_request', `Unknown operation: ${operation}. Valid operations: createUser, resetPassword`);
+    if (READ_OPERATIONS.includes(operation)) {
+      return await runOperation(event);
     }
     
+    // Look the user up first, since deleteUser and renameUser change what the username finds
+    const target = event.username ? await getUserByUsername(event.username) : null;
+    const response = await runOperation(event).catch(serverError);
+    const user = target || (operation === 'createUser' && response.statusCode < 400
+      ? await getUserByUsername(event.username)
+      : null);
+    
+    // Passwords and codes in the payload are redacted by recordAuditEvent
+    const details = { ...event };
+    delete details.operation;
+    delete details.username;
+    await recordAuditEvent(null, {
+      type: `admin.${operation}`,
+      ...getResponseOutcome(response),
+      actor: 'operator',
+      userId: user?.user_id,
+      username: event.username,
+      details
+    });
+    
+    return response;
+    
   } catch (error) {
-    console.error('Error in user management handler:', error);
-    return createErrorResponse('server_error', `Internal server error: ${error.message}`, 500);
+    return serverError(error);
   }
 };
 
+// Log an unexpected error and turn it into a server_error response
+function serverError(error) {
+  console.error('Error in user management handler:', error);
+  return createErrorResponse('server_error', `Internal server error: ${error.message}`, 500);
+}
+
+/**
+ * Run the requested operation
+ */
+async function runOperation(event) {
+  const { operation } = event;
+  
+  switch (operation) {
+    case 'createUser':
+      return await handleCreateUser(event);
+    
+    case 'resetPassword':
+      return await handleResetPassword(event);
+    
+    case 'unlockUser':
+      return await handleUnlockUser(event);
+    
+    case 'enrollTotp':
+      return await handleEnrollTotp(event);
+    
+    case 'confirmTotp':
+      return await handleConfirmTotp(event);
+    
+    case 'disableTotp':
+      return await handleDisableTotp(event);
+    
+    case 'regenerateRecoveryCodes':
+      return await handleRegenerateRecoveryCodes(event);
+    
+    case 'listPasskeys':
+      return await handleListPasskeys(event);
+    
+    case 'deletePasskey':
+      return await handleDeletePasskey(event);
+    
+    case 'listGrants':
+      return await handleListGrants(event);
+    
+    case 'revokeGrant':
+      return await handleRevokeGrant(event);
+    
+    case 'getUser':
+      return await handleGetUser(event);
+    
+    case 'listUsers':
+      return await handleListUsers(event);
+    
+    case 'updateUser':
+      return await handleUpdateUser(event);
+    
+    case 'disableUser':
+      return await handleDisableUser(event);
+    
+    case 'enableUser':
+      return await handleEnableUser(event);
+    
+    case 'deleteUser':
+      return await handleDeleteUser(event);
+    
+    case 'renameUser':
+      return await handleRenameUser(event);
+    
+    case 'createGroup':
+      return await handleCreateGroup(event);
+    
+    case 'deleteGroup':
+      return await handleDeleteGroup(event);
+    
+    case 'listGroups':
+      return await handleListGroups(event);
+    
+    case 'getGroup':
+      return await handleGetGroup(event);
+    
+    case 'addGroupMember':
+      return await handleAddGroupMember(event);
+    
+    case 'removeGroupMember':
+      return await handleRemoveGroupMember(event);
+    
+    case 'assignGroupApplication':
+      return await handleAssignGroupApplication(event);
+    
+    case 'unassignGroupApplication':
+      return await handleUnassignGroupApplication(event);
+    
+    case 'listAuditEvents':
+      return await handleListAuditEvents(event);
+    
+    case 'linkFederatedIdentity':
+      return await handleLinkFederatedIdentity(event);
+    
+    case 'unlinkFederatedIdentity':
+      return await handleUnlinkFederatedIdentity(event);
+    
+    default:
+      return createErrorResponse('invalid_request', `Unknown operation: ${operation}. Valid operations: createUser, resetPassword, unlockUser, enrollTotp, confirmTotp, disableTotp, regenerateRecoveryCodes, listPasskeys, deletePasskey, listGrants, revokeGrant, getUser, listUsers, updateUser, disableUser, enableUser, deleteUser, renameUser, createGroup, deleteGroup, listGroups, getGroup, addGroupMember, removeGroupMember, assignGroupApplication, unassignGroupApplication, listAuditEvents, linkFederatedIdentity, unlinkFederatedIdentity`);
+  }
+}
+
 /**
  * Handle createUser operation
  */
 async function handleCreateUser(event) {
-  const { username, password, email } = event;
+  const { username, password, email, applications = [] } = event;
   
   // Validate required parameters
   if (!username || !password || !email) {
@@ -105,13 +493,12 @@ async function handleCreateUser(event) {
   }
   
   // Validate username format (alphanumeric, dash, underscore only)
-  if (!/^[a-zA-Z0-9_-]{3,50}$/.test(username)) {
-    return createErrorResponse('invalid_request', 'Invalid username format. Username must be 3-50 characters and contain only letters, numbers, dashes, and underscores');
+  if (!USERNAME_PATTERN.test(username)) {
+    return createErrorResponse('invalid_request', INVALID_USERNAME_MESSAGE);
   }
   
-  // Validate email format - simple but effective pattern
-  // Checks for: local-part @ domain . tld
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+  // Validate email format
+  if (!isValidEmail(email)) {
     return createErrorResponse('invalid_request', 'Invalid email format');
   }
   
@@ -121,21 +508,45 @@ async function handleCreateUser(event) {
     return passwordError;
   }
   
+  // Validate initial profile claims
+  const { error: profileError, profile } = mergeProfile({}, event.profile || {});
+  if (profileError) {
+    return profileError;
+  }
+  
+  // Validate application assignments before anything is written
+  if (!Array.isArray(applications)) {
+    return createErrorResponse('invalid_request', 'applications must be an array of { applicationId, accounts }');
+  }
+  for (const assignment of applications) {
+    if (!assignment?.applicationId) {
+      return createErrorResponse('invalid_request', 'Each application needs an applicationId');
+    }
+    if (assignment.accounts !== undefined && !Array.isArray(assignment.accounts)) {
+      return createErrorResponse('invalid_request', `accounts for ${assignment.applicationId} must be an array`);
+    }
+    if (!await getApplicationById(assignment.applicationId)) {
+      return createErrorResponse('invalid_request', `Application not found: ${assignment.applicationId}`);
+    }
+  }
+  
   // Check if username already exists
   const existingUser = await getUserByUsername(username);
   if (existingUser) {
     return createErrorResponse('invalid_request', 'Username already exists');
   }
   
-  // Create the user
-  const user = await createUser(username, password, email);
-  
-  // Return success response (exclude password_hash)
-  const { password_hash, ...userResponse } = user;
+  // Create the user and assign the applications
+  const user = await createUser(username, password, email, profile);
+  const userApps = [];
+  for (const assignment of applications) {
+    userApps.push(await assignUserApplication(user.user_id, assignment.applicationId, assignment.accounts || []));
+  }
   
   return createResponse(200, {
     message: 'User created successfully',
-    user: userResponse
+    user: describeUser(user),
+    applications: userApps.map(describeUserApplication)
   });
 }
 
@@ -170,3 +581,762 @@ async function handleResetPassword(event) {
     username: username
   });
 }
+
+/**
+ * Handle unlockUser operation
+ */
+async function handleUnlockUser(event) {
+  const { username, sourceIp } = event;
+  
+  // Validate required parameters
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  // Lockouts are tracked by username whether or not the user exists
+  await unlockLogin(username, sourceIp || null);
+  
+  return createResponse(200, {
+    message: 'User unlocked successfully',
+    username: username,
+    ...(sourceIp && { sourceIp: sourceIp })
+  });
+}
+
+/**
+ * Handle enrollTotp operation
+ */
+async function handleEnrollTotp(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const secret = await startTotpEnrollment(user.user_id);
+  const issuer = new URL(await getIssuerUrl()).hostname;
+  
+  return createResponse(200, {
+    message: 'Add the secret to an authenticator app, then call confirmTotp with a code from the app',
+    username: username,
+    secret: secret,
+    otpauth_uri: buildOtpauthUri(secret, username, issuer)
+  });
+}
+
+/**
+ * Handle confirmTotp operation
+ */
+async function handleConfirmTotp(event) {
+  const { username, code } = event;
+  
+  if (!username || !code) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: username and code are required');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const recoveryCodes = await confirmTotpEnrollment(user.user_id, code);
+  if (!recoveryCodes) {
+    return createErrorResponse('invalid_request', 'Invalid code or no enrollment in progress');
+  }
+  
+  return createResponse(200, {
+    message: 'TOTP enabled. Give the recovery codes to the user; they are not shown again',
+    username: username,
+    recovery_codes: recoveryCodes
+  });
+}
+
+/**
+ * Handle disableTotp operation
+ */
+async function handleDisableTotp(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  await disableTotp(user.user_id);
+  
+  return createResponse(200, {
+    message: 'TOTP disabled successfully',
+    username: username
+  });
+}
+
+/**
+ * Handle regenerateRecoveryCodes operation
+ */
+async function handleRegenerateRecoveryCodes(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  if (!user.totp_enabled) {
+    return createErrorResponse('invalid_request', 'User has no TOTP authenticator enrolled');
+  }
+  
+  const recoveryCodes = await regenerateRecoveryCodes(user.user_id);
+  
+  return createResponse(200, {
+    message: 'Recovery codes replaced. Give them to the user; they are not shown again',
+    username: username,
+    recovery_codes: recoveryCodes
+  });
+}
+
+/**
+ * Handle listPasskeys operation
+ */
+async function handleListPasskeys(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const credentials = await listWebAuthnCredentials(user.user_id);
+  
+  return createResponse(200, {
+    username: username,
+    passkeys: credentials.map(credential => ({
+      credential_id: credential.credential_id,
+      name: credential.name,
+      device_type: credential.device_type,
+      backed_up: credential.backed_up,
+      created_at: credential.created_at,
+      last_used_at: credential.last_used_at
+    }))
+  });
+}
+
+/**
+ * Handle deletePasskey operation
+ */
+async function handleDeletePasskey(event) {
+  const { username, credentialId } = event;
+  
+  if (!username || !credentialId) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: username, credentialId');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  await deleteWebAuthnCredential(user.user_id, credentialId);
+  
+  return createResponse(200, {
+    message: 'Passkey deleted successfully',
+    username: username,
+    credential_id: credentialId
+  });
+}
+
+/**
+ * Handle listGrants operation
+ */
+async function handleListGrants(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const grants = await listGrants(user.user_id);
+  
+  return createResponse(200, {
+    username: username,
+    grants: grants.map(grant => ({
+      client_id: grant.client_id,
+      scope: grant.scope,
+      granted_at: grant.granted_at,
+      updated_at: grant.updated_at
+    }))
+  });
+}
+
+/**
+ * Handle revokeGrant operation
+ */
+async function handleRevokeGrant(event) {
+  const { username, clientId } = event;
+  
+  if (!username || !clientId) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: username, clientId');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const revokedTokens = await revokeGrant(user.user_id, clientId);
+  
+  return createResponse(200, {
+    message: 'Grant revoked successfully',
+    username: username,
+    client_id: clientId,
+    refresh_tokens_revoked: revokedTokens
+  });
+}
+
+/**
+ * Handle getUser operation
+ */
+async function handleGetUser(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const userApps = await listUserApplications(user.user_id);
+  const memberships = await listUserGroups(user.user_id);
+  const identities = await listUserFederatedIdentities(user.user_id);
+  
+  return createResponse(200, {
+    user: describeUser(user),
+    groups: memberships.map(membership => membership.group_id),
+    applications: userApps.map(describeUserApplication),
+    federated_identities: identities.map(describeFederatedIdentity)
+  });
+}
+
+/**
+ * Handle listUsers operation
+ */
+async function handleListUsers(event) {
+  const { limit = 50, nextToken } = event;
+  
+  const { error, page } = await fetchPage(listUsers, limit, nextToken);
+  if (error) {
+    return error;
+  }
+  
+  return createResponse(200, {
+    users: page.users.map(user => ({
+      username: user.username,
+      email: user.email,
+      email_verified: user.email_verified || false,
+      enabled: !isUserDisabled(user),
+      created_at: user.created_at
+    })),
+    ...(page.nextToken && { nextToken: page.nextToken })
+  });
+}
+
+/**
+ * Handle updateUser operation
+ */
+async function handleUpdateUser(event) {
+  const { username, email, emailVerified, profile: profileChanges } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  if (email === undefined && emailVerified === undefined && profileChanges === undefined) {
+    return createErrorResponse('invalid_request', 'Nothing to update: pass email, emailVerified or profile');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const attributes = {};
+  
+  if (email !== undefined) {
+    if (!isValidEmail(email)) {
+      return createErrorResponse('invalid_request', 'Invalid email format');
+    }
+    if (email !== user.email) {
+      // A new address starts unverified unless emailVerified says otherwise
+      attributes.email = email;
+      attributes.email_verified = false;
+    }
+  }
+  
+  if (emailVerified !== undefined) {
+    if (typeof emailVerified !== 'boolean') {
+      return createErrorResponse('invalid_request', 'emailVerified must be true or false');
+    }
+    attributes.email_verified = emailVerified;
+  }
+  
+  if (profileChanges !== undefined) {
+    const { error, profile } = mergeProfile(user.profile, profileChanges);
+    if (error) {
+      return error;
+    }
+    attributes.profile = profile;
+  }
+  
+  const updated = await updateUserAttributes(user.user_id, attributes);
+  
+  return createResponse(200, {
+    message: 'User updated successfully',
+    user: describeUser(updated)
+  });
+}
+
+/**
+ * Handle disableUser operation
+ */
+async function handleDisableUser(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  await updateUserAttributes(user.user_id, { enabled: false });
+  
+  // Signed-in sessions and refresh tokens would otherwise outlive the change
+  const ended = await endUserSessions(user.user_id);
+  console.log('User disabled:', JSON.stringify({ user_id: user.user_id, ...ended }));
+  
+  return createResponse(200, {
+    message: 'User disabled successfully',
+    username: username,
+    ...ended
+  });
+}
+
+/**
+ * Handle enableUser operation
+ */
+async function handleEnableUser(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  await updateUserAttributes(user.user_id, { enabled: true });
+  
+  return createResponse(200, {
+    message: 'User enabled successfully',
+    username: username
+  });
+}
+
+/**
+ * Handle deleteUser operation
+ */
+async function handleDeleteUser(event) {
+  const { username } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  // Disable first so the user cannot sign in while the cleanup runs
+  await updateUserAttributes(user.user_id, { enabled: false });
+  
+  const ended = await endUserSessions(user.user_id);
+  const credentials = await listWebAuthnCredentials(user.user_id);
+  for (const credential of credentials) {
+    await deleteWebAuthnCredential(user.user_id, credential.credential_id);
+  }
+  const removed = {
+    ...ended,
+    passkeys: credentials.length,
+    grants: await deleteUserGrants(user.user_id),
+    applications: await deleteUserApplications(user.user_id),
+    groups: await deleteUserGroupMemberships(user.user_id),
+    federated_identities: await deleteUserFederatedIdentities(user.user_id)
+  };
+  
+  await deleteUserRecord(user.user_id);
+  console.log('User deleted:', JSON.stringify({ user_id: user.user_id, ...removed }));
+  
+  return createResponse(200, {
+    message: 'User deleted successfully',
+    username: username,
+    ...removed
+  });
+}
+
+/**
+ * Handle renameUser operation
+ */
+async function handleRenameUser(event) {
+  const { username, newUsername } = event;
+  
+  if (!username || !newUsername) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: username and newUsername are required');
+  }
+  
+  if (!USERNAME_PATTERN.test(newUsername)) {
+    return createErrorResponse('invalid_request', INVALID_USERNAME_MESSAGE);
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  if (newUsername !== username && await getUserByUsername(newUsername)) {
+    return createErrorResponse('invalid_request', 'Username already exists');
+  }
+  
+  // Tokens and sessions refer to the user_id, so they stay valid under the new name
+  await updateUserAttributes(user.user_id, { username: newUsername });
+  
+  return createResponse(200, {
+    message: 'User renamed successfully',
+    username: newUsername,
+    previous_username: username
+  });
+}
+
+/**
+ * Handle createGroup operation
+ */
+async function handleCreateGroup(event) {
+  const { groupId, description } = event;
+  
+  if (!groupId) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: groupId');
+  }
+  
+  if (!GROUP_ID_PATTERN.test(groupId)) {
+    return createErrorResponse('invalid_request', 'Invalid groupId format. Group IDs must be 1-64 characters and contain only letters, numbers, dots, dashes, and underscores');
+  }
+  
+  if (description !== undefined && typeof description !== 'string') {
+    return createErrorResponse('invalid_request', 'description must be a string');
+  }
+  
+  const group = await createGroup(groupId, description);
+  if (!group) {
+    return createErrorResponse('invalid_request', 'Group already exists');
+  }
+  
+  return createResponse(200, {
+    message: 'Group created successfully',
+    group: group
+  });
+}
+
+/**
+ * Handle deleteGroup operation
+ */
+async function handleDeleteGroup(event) {
+  const { groupId } = event;
+  
+  if (!groupId) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: groupId');
+  }
+  
+  if (!await getGroupById(groupId)) {
+    return createErrorResponse('invalid_request', 'Group not found');
+  }
+  
+  const removed = await deleteGroup(groupId);
+  
+  return createResponse(200, {
+    message: 'Group deleted successfully',
+    group_id: groupId,
+    ...removed
+  });
+}
+
+/**
+ * Handle listGroups operation
+ */
+async function handleListGroups(event) {
+  const { limit = 50, nextToken } = event;
+  
+  const { error, page } = await fetchPage(listGroups, limit, nextToken);
+  if (error) {
+    return error;
+  }
+  
+  return createResponse(200, {
+    groups: page.groups,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  });
+}
+
+/**
+ * Handle getGroup operation
+ */
+async function handleGetGroup(event) {
+  const { groupId } = event;
+  
+  if (!groupId) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: groupId');
+  }
+  
+  const group = await getGroupById(groupId);
+  if (!group) {
+    return createErrorResponse('invalid_request', 'Group not found');
+  }
+  
+  const members = [];
+  for (const membership of await listGroupMembers(groupId)) {
+    const user = await getUserById(membership.user_id);
+    members.push({
+      username: user?.username,
+      user_id: membership.user_id,
+      added_at: membership.created_at
+    });
+  }
+  const groupApps = await listUserApplications(groupPrincipalId(groupId));
+  
+  return createResponse(200, {
+    group: group,
+    members: members,
+    applications: groupApps.map(describeUserApplication)
+  });
+}
+
+/**
+ * Handle addGroupMember operation
+ */
+async function handleAddGroupMember(event) {
+  const { groupId, username } = event;
+  
+  if (!groupId || !username) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: groupId and username are required');
+  }
+  
+  if (!await getGroupById(groupId)) {
+    return createErrorResponse('invalid_request', 'Group not found');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  await addGroupMember(groupId, user.user_id);
+  
+  return createResponse(200, {
+    message: 'User added to group successfully',
+    group_id: groupId,
+    username: username
+  });
+}
+
+/**
+ * Handle removeGroupMember operation
+ */
+async function handleRemoveGroupMember(event) {
+  const { groupId, username } = event;
+  
+  if (!groupId || !username) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: groupId and username are required');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  await removeGroupMember(groupId, user.user_id);
+  
+  return createResponse(200, {
+    message: 'User removed from group successfully',
+    group_id: groupId,
+    username: username
+  });
+}
+
+/**
+ * Handle assignGroupApplication operation
+ */
+async function handleAssignGroupApplication(event) {
+  const { groupId, applicationId, accounts = [] } = event;
+  
+  if (!groupId || !applicationId) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: groupId and applicationId are required');
+  }
+  
+  if (!Array.isArray(accounts)) {
+    return createErrorResponse('invalid_request', 'accounts must be an array');
+  }
+  
+  if (!await getGroupById(groupId)) {
+    return createErrorResponse('invalid_request', 'Group not found');
+  }
+  
+  if (!await getApplicationById(applicationId)) {
+    return createErrorResponse('invalid_request', `Application not found: ${applicationId}`);
+  }
+  
+  const groupApp = await assignUserApplication(groupPrincipalId(groupId), applicationId, accounts);
+  
+  return createResponse(200, {
+    message: 'Application assigned to group successfully',
+    group_id: groupId,
+    application: describeUserApplication(groupApp)
+  });
+}
+
+/**
+ * Handle unassignGroupApplication operation
+ */
+async function handleUnassignGroupApplication(event) {
+  const { groupId, applicationId } = event;
+  
+  if (!groupId || !applicationId) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: groupId and applicationId are required');
+  }
+  
+  await unassignUserApplication(groupPrincipalId(groupId), applicationId);
+  
+  return createResponse(200, {
+    message: 'Application unassigned from group successfully',
+    group_id: groupId,
+    application_id: applicationId
+  });
+}
+
+/**
+ * Handle listAuditEvents operation
+ */
+async function handleListAuditEvents(event) {
+  const { username, limit = 50, nextToken } = event;
+  
+  if (!username) {
+    return createErrorResponse('invalid_request', 'Missing required parameter: username');
+  }
+  
+  // Events of deleted users stay listed under their user_id until they expire
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  const { error, page } = await fetchPage(
+    (pageLimit, pageToken) => listAuditEvents(user.user_id, pageLimit, pageToken), limit, nextToken);
+  if (error) {
+    return error;
+  }
+  
+  return createResponse(200, {
+    events: page.events,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  });
+}
+
+/**
+ * Handle linkFederatedIdentity operation
+ */
+async function handleLinkFederatedIdentity(event) {
+  const { username, providerId, subject } = event;
+  
+  if (!username || !providerId || !subject) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: username, providerId, subject');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  // Links are keyed by the provider's issuer, so a renamed provider keeps its users
+  const provider = await getUpstreamProvider(providerId);
+  if (!provider) {
+    return createErrorResponse('invalid_request', `Unknown upstream identity provider: ${providerId}`);
+  }
+  
+  if (!await linkFederatedIdentity(provider.issuer, String(subject), user.user_id, provider.id)) {
+    return createErrorResponse('invalid_request', 'This upstream account is already linked to a user');
+  }
+  
+  return createResponse(200, {
+    message: 'Federated identity linked successfully',
+    username: username,
+    provider_id: provider.id,
+    subject: String(subject)
+  });
+}
+
+/**
+ * Handle unlinkFederatedIdentity operation
+ */
+async function handleUnlinkFederatedIdentity(event) {
+  const { username, providerId, subject } = event;
+  
+  if (!username || !providerId || !subject) {
+    return createErrorResponse('invalid_request', 'Missing required parameters: username, providerId, subject');
+  }
+  
+  const user = await getUserByUsername(username);
+  if (!user) {
+    return createErrorResponse('invalid_request', 'User not found');
+  }
+  
+  // Found among the user's own links, so this works after the provider is removed
+  const identities = await listUserFederatedIdentities(user.user_id);
+  const identity = identities.find(item => item.provider_id === providerId && item.subject === String(subject));
+  if (!identity) {
+    return createErrorResponse('invalid_request', 'Federated identity not found for this user');
+  }
+  
+  await unlinkFederatedIdentity(identity.issuer, identity.subject);
+  
+  return createResponse(200, {
+    message: 'Federated identity unlinked successfully',
+    username: username,
+    provider_id: providerId,
+    subject: identity.subject
+  });
+}
@@ -1,24 +1,19 @@
 const {
-  verifyJWT,
+  verifyAccessToken,
+  isAccessTokenRevoked,
   getUserById,
+  isUserDisabled,
+  getClientById,
+  buildGroupClaims,
+  parseBearerToken,
   createResponse,
   createErrorResponse
 } = require('./utils');
 
-// Parse Bearer token from Authorization header
-function parseBearerToken(authHeader) {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
-  
-  return authHeader.substring(7);
-}
-
 exports.handler = async (event) => {
   try {
     // Extract access token from Authorization header
-    const authHeader = event.headers?.Authorization || event.headers?.authorization;
-    const accessToken = parseBearerToken(authHeader);
+    const accessToken = parseBearerToken(event);
     
     if (!accessToken) {
       return createErrorResponse('invalid_request', 'Missing access token', 401);
@@ -27,17 +22,25 @@ exports.handler = async (event) => {
     // Verify and decode the access token
     let decoded;
     try {
-      decoded = await verifyJWT(accessToken);
+      decoded = await verifyAccessToken(accessToken);
     } catch (error) {
       console.error('Token verification failed:', error);
       return createErrorResponse('invalid_token', 'Invalid or expired access token', 401);
     }
     
+    // Reject access tokens revoked before their expiry
+    if (decoded.jti && await isAccessTokenRevoked(decoded.jti)) {
+      return createErrorResponse('invalid_token', 'Access token has been revoked', 401);
+    }
+    
     // Get user information
     const user = await getUserById(decoded.sub);
     if (!user) {
       return createErrorResponse('invalid_token', 'User not found', 401);
     }
+    if (isUserDisabled(user)) {
+      return createErrorResponse('invalid_token', 'User is disabled', 401);
+    }
     
     // Construct userinfo response based on scope
     const scopes = decoded.scope ? decoded.scope.split(' ') : ['openid'];
@@ -69,6 +72,12 @@ exports.handler = async (event) => {
       userInfo.email_verified = user.email_verified || false;
     }
     
+    // Add the groups claim, under the name the client asked for, if groups scope is present
+    if (scopes.includes('groups')) {
+      const client = await getClientById(decoded.aud);
+      Object.assign(userInfo, await buildGroupClaims(user.user_id, client, decoded.scope));
+    }
+    
     // Remove undefined values
     Object.keys(userInfo).forEach(key => {
       if (userInfo[key] === undefined) {
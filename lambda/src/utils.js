@@ -1,10 +1,21 @@
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, ScanCommand, DeleteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { SSMClient, GetParameterCommand, PutParameterCommand } = require('@aws-sdk/client-ssm');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcrypt');
+const { getCodeChallengeMethods } = require('./capabilities');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('./totp');
+const { installLogRedaction } = require('./log-redaction');
+
+// Every handler loads this module, so secrets are kept out of all log output
+installLogRedaction();
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
@@ -14,7 +25,17 @@ const TABLES = {
   users: process.env.USERS_TABLE,
   clients: process.env.CLIENTS_TABLE,
   authCodes: process.env.AUTH_CODES_TABLE,
-  refreshTokens: process.env.REFRESH_TOKENS_TABLE
+  refreshTokens: process.env.REFRESH_TOKENS_TABLE,
+  revokedTokens: process.env.REVOKED_TOKENS_TABLE,
+  applications: process.env.APPLICATIONS_TABLE,
+  userApplications: process.env.USER_APPLICATIONS_TABLE,
+  loginAttempts: process.env.LOGIN_ATTEMPTS_TABLE,
+  webauthnCredentials: process.env.WEBAUTHN_CREDENTIALS_TABLE,
+  grants: process.env.GRANTS_TABLE,
+  passwordResets: process.env.PASSWORD_RESETS_TABLE,
+  groups: process.env.GROUPS_TABLE,
+  groupMembers: process.env.GROUP_MEMBERS_TABLE,
+  federatedIdentities: process.env.FEDERATED_IDENTITIES_TABLE
 };
 
 // Cache for issuer URL to avoid repeated SSM calls
@@ -55,6 +76,14 @@ async function getIssuerUrl() {
   }
 }
 
+// Signing key ring configuration
+// Keys move through three states: 'next' (published in JWKS but not yet used for
+// signing), 'active' (signs new tokens) and 'retired' (published only until every
+// token it signed has expired).
+const KEY_PREPUBLISH_SECONDS = parseInt(process.env.JWT_KEY_PREPUBLISH_SECONDS || '86400', 10); // 24 hours
+const MAX_TOKEN_LIFETIME_SECONDS = parseInt(process.env.JWT_MAX_TOKEN_LIFETIME_SECONDS || '3600', 10); // 1 hour
+const SSM_ADVANCED_PARAMETER_MAX_BYTES = 8192;
+
 // Generate RSA key pair for JWT signing
 async function generateKeyPair() {
   return new Promise((resolve, reject) => {
@@ -75,55 +104,229 @@ async function generateKeyPair() {
   });
 }
 
-// Get or generate JWT signing keys
-async function getSigningKeys() {
+// Create a new key ring entry in the given state
+async function createRingKey(status) {
+  const { publicKey, privateKey } = await generateKeyPair();
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    kid: uuidv4(),
+    alg: 'RS256',
+    status: status,
+    private_key: privateKey,
+    public_key: publicKey,
+    created_at: now,
+    activated_at: status === 'active' ? now : null
+  };
+}
+
+// Each container caches the key ring briefly instead of reading SSM for every token.
+// Keys are pre-published before they sign anything, so a slightly stale ring still
+// verifies tokens signed by other containers.
+const KEY_RING_CACHE_TTL_MS = 60 * 1000; // 1 minute
+let cachedKeyRing = null;
+let keyRingFetchedAt = 0;
+
+// Persist the key ring to SSM
+// With overwrite false the put fails with ParameterAlreadyExists if the parameter exists
+async function saveKeyRing(ring, { overwrite = true } = {}) {
+  const ringJson = JSON.stringify(ring);
+
+  // Verify size is within SSM parameter limits (8KB for advanced parameters)
+  if (ringJson.length > SSM_ADVANCED_PARAMETER_MAX_BYTES) {
+    throw new Error(`JWT key ring too large for SSM parameter: ${ringJson.length} bytes (max ${SSM_ADVANCED_PARAMETER_MAX_BYTES})`);
+  }
+
+  await ssmClient.send(new PutParameterCommand({
+    Name: process.env.JWT_KEYS_PARAM_NAME,
+    Value: ringJson,
+    Type: 'SecureString',
+    Tier: 'Advanced',
+    Overwrite: overwrite
+  }));
+
+  cacheKeyRing(ring);
+}
+
+function cacheKeyRing(ring) {
+  cachedKeyRing = ring;
+  keyRingFetchedAt = Date.now();
+  return ring;
+}
+
+// Read a key ring parameter; null if it has not been created yet
+async function readKeyRing(name = process.env.JWT_KEYS_PARAM_NAME) {
   try {
     const response = await ssmClient.send(new GetParameterCommand({
-      Name: process.env.JWT_KEYS_PARAM_NAME,
+      Name: name,
       WithDecryption: true
     }));
-    
-    const keys = JSON.parse(response.Parameter.Value);
-    
-    // If keys are empty, generate new ones
-    if (!keys.private_key || !keys.public_key) {
-      console.log('Generating new RSA key pair...');
-      const { publicKey, privateKey } = await generateKeyPair();
-      const kid = uuidv4();
-      
-      const newKeys = {
-        private_key: privateKey,
-        public_key: publicKey,
-        kid: kid,
-        alg: 'RS256'
-      };
-      
-      const keysJson = JSON.stringify(newKeys);
-      
-      // Verify size is within SSM parameter limits (4KB for standard parameters)
-      if (keysJson.length > 4096) {
-        throw new Error(`JWT keys too large for SSM parameter: ${keysJson.length} bytes (max 4096)`);
+    return JSON.parse(response.Parameter.Value);
+  } catch (error) {
+    if (error.name === 'ParameterNotFound') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function hasActiveKey(stored) {
+  return Array.isArray(stored?.keys) && stored.keys.some(key => key.status === 'active');
+}
+
+/**
+ * Build the first key ring for a deployment
+ *
+ * Older deployments kept their keys in the JWT_LEGACY_KEYS_PARAM_NAME parameter,
+ * which Terraform created with an empty placeholder. A ring found there is carried
+ * over, and a single key ({ private_key, public_key, kid, alg }) becomes the active
+ * key of a new ring, so tokens already issued stay valid.
+ * @returns {Promise<object>} - The key ring ({ keys: [...] })
+ */
+async function buildKeyRing() {
+  const legacyName = process.env.JWT_LEGACY_KEYS_PARAM_NAME;
+  const legacy = legacyName ? await readKeyRing(legacyName) : null;
+  if (hasActiveKey(legacy)) {
+    console.log('Copying JWT key ring from the legacy parameter...');
+    return legacy;
+  }
+
+  if (legacy?.private_key && legacy?.public_key) {
+    console.log('Migrating single JWT signing key to key ring...');
+    const now = Math.floor(Date.now() / 1000);
+    return {
+      keys: [{
+        kid: legacy.kid,
+        alg: legacy.alg || 'RS256',
+        status: 'active',
+        private_key: legacy.private_key,
+        public_key: legacy.public_key,
+        created_at: now,
+        activated_at: now
+      }, await createRingKey('next')]
+    };
+  }
+
+  // Pre-publish the next key straight away so relying parties cache it early
+  console.log('Generating new RSA key ring...');
+  return { keys: [await createRingKey('active'), await createRingKey('next')] };
+}
+
+/**
+ * Get the JWT signing key ring, creating it when needed
+ *
+ * The ring parameter is only ever created with a conditional put, so concurrent
+ * cold starts agree on one ring even while migrating an older deployment.
+ * @param {object} options
+ * @param {boolean} options.refresh - Read SSM even if the cached ring is still fresh
+ * @returns {Promise<object>} - The key ring ({ keys: [...] })
+ */
+async function getKeyRing({ refresh = false } = {}) {
+  if (!refresh && cachedKeyRing && (Date.now() - keyRingFetchedAt) < KEY_RING_CACHE_TTL_MS) {
+    return cachedKeyRing;
+  }
+
+  try {
+    const stored = await readKeyRing();
+    if (stored) {
+      if (!hasActiveKey(stored)) {
+        throw new Error('JWT key ring has no active key');
       }
-      
-      await ssmClient.send(new PutParameterCommand({
-        Name: process.env.JWT_KEYS_PARAM_NAME,
-        Value: keysJson,
-        Type: 'SecureString',
-        Overwrite: true
-      }));
-      
-      return newKeys;
+      return cacheKeyRing(stored);
     }
-    
-    return keys;
+
+    // Concurrent cold starts may all get here; only the first put succeeds and the
+    // others use the ring it stored, so every container signs with the same key
+    const ring = await buildKeyRing();
+    try {
+      await saveKeyRing(ring, { overwrite: false });
+      return ring;
+    } catch (error) {
+      if (error.name !== 'ParameterAlreadyExists') {
+        throw error;
+      }
+    }
+
+    const winner = await readKeyRing();
+    if (!hasActiveKey(winner)) {
+      throw new Error('JWT key ring was created concurrently but has no active key');
+    }
+    return cacheKeyRing(winner);
   } catch (error) {
     console.error('Error getting signing keys:', error);
     throw error;
   }
 }
 
+// Get the active JWT signing key
+async function getSigningKeys() {
+  const ring = await getKeyRing();
+  return ring.keys.find(key => key.status === 'active');
+}
+
+/**
+ * Get the keys that must be published in the JWKS
+ * Includes the active key, the pre-published next key and retired keys
+ * that may still verify unexpired tokens.
+ * @returns {Promise<Array<object>>} - Key ring entries
+ */
+async function getPublishedKeys() {
+  const ring = await getKeyRing();
+  const now = Math.floor(Date.now() / 1000);
+
+  return ring.keys.filter(key => key.status !== 'retired' || key.expires_at > now);
+}
+
+/**
+ * Rotate the JWT signing keys
+ *
+ * Promotes the next key to active once it has been published for at least
+ * JWT_KEY_PREPUBLISH_SECONDS, retires the previous active key and generates a
+ * new next key. Retired keys are dropped once every token they signed has expired.
+ * @param {object} options
+ * @param {boolean} options.force - Promote the next key even if the pre-publish window has not elapsed
+ * @returns {Promise<object>} - { rotated, ring, eligible_at }
+ */
+async function rotateSigningKeys({ force = false } = {}) {
+  // Start from the stored ring, not a cached copy, so a rotation is never undone
+  const ring = await getKeyRing({ refresh: true });
+  const now = Math.floor(Date.now() / 1000);
+
+  const next = ring.keys.find(key => key.status === 'next');
+  if (!next) {
+    // Nothing to promote yet - publish a next key and wait for the window
+    ring.keys.push(await createRingKey('next'));
+    await saveKeyRing(ring);
+    return { rotated: false, ring, eligible_at: now + KEY_PREPUBLISH_SECONDS };
+  }
+
+  const eligibleAt = next.created_at + KEY_PREPUBLISH_SECONDS;
+  if (!force && eligibleAt > now) {
+    return { rotated: false, ring, eligible_at: eligibleAt };
+  }
+
+  const active = ring.keys.find(key => key.status === 'active');
+  if (active) {
+    // Retired keys only verify, so their private half is discarded
+    active.status = 'retired';
+    active.retired_at = now;
+    active.expires_at = now + MAX_TOKEN_LIFETIME_SECONDS;
+    delete active.private_key;
+  }
+
+  next.status = 'active';
+  next.activated_at = now;
+
+  ring.keys = ring.keys.filter(key => key.status !== 'retired' || key.expires_at > now);
+  ring.keys.push(await createRingKey('next'));
+
+  await saveKeyRing(ring);
+  return { rotated: true, ring };
+}
+
 // Create JWT token
-async function createJWT(payload, expiresIn = '1h') {
+// Extra header fields (e.g. typ) can be passed for tokens that are not ID or access tokens
+async function createJWT(payload, expiresIn = '1h', header = null) {
   const keys = await getSigningKeys();
   const issuerUrl = await getIssuerUrl();
   
@@ -131,21 +334,71 @@ async function createJWT(payload, expiresIn = '1h') {
     algorithm: 'RS256',
     expiresIn: expiresIn,
     keyid: keys.kid,
-    issuer: issuerUrl
+    issuer: issuerUrl,
+    ...(header ? { header } : {})
   });
 }
 
 // Verify JWT token
-async function verifyJWT(token) {
-  const keys = await getSigningKeys();
+// Options are passed to jwt.verify, e.g. ignoreExpiration for id_token_hint
+// The verification key is selected by the token's kid header so tokens signed
+// by a recently retired key stay valid until they expire
+async function verifyJWT(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const publishedKeys = await getPublishedKeys();
+  const key = decoded.header.kid
+    ? publishedKeys.find(candidate => candidate.kid === decoded.header.kid)
+    : publishedKeys.find(candidate => candidate.status === 'active');
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
   const issuerUrl = await getIssuerUrl();
   
-  return jwt.verify(token, keys.public_key, {
+  return jwt.verify(token, key.public_key, {
+    ...options,
     algorithms: ['RS256'],
     issuer: issuerUrl
   });
 }
 
+// JWT access tokens are typed (RFC 9068), so ID tokens, logout tokens and other
+// JWTs signed with the same keys are never accepted as access tokens
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+
+async function createAccessToken(payload, expiresIn = '1h') {
+  return await createJWT(payload, expiresIn, { typ: ACCESS_TOKEN_TYPE });
+}
+
+/**
+ * Verify an access token issued by /token
+ * @param {string} token - Bearer token
+ * @param {object} options - Options for jwt.verify, e.g. audience
+ * @returns {Promise<object>} - The token's claims; throws for any other token
+ */
+async function verifyAccessToken(token, options = {}) {
+  const { header, payload } = await verifyJWT(token, { ...options, complete: true });
+  if (header.typ !== ACCESS_TOKEN_TYPE) {
+    throw new jwt.JsonWebTokenError('jwt is not an access token');
+  }
+  return payload;
+}
+
+/**
+ * Compute an OIDC token hash (at_hash / c_hash) for RS256-signed ID tokens
+ * The left-most half of the SHA-256 digest, base64url encoded
+ * @param {string} token - Token to hash
+ * @returns {string}
+ */
+function computeTokenHash(token) {
+  const digest = crypto.createHash('sha256').update(token, 'ascii').digest();
+  return digest.subarray(0, digest.length / 2).toString('base64url');
+}
+
 // DynamoDB operations
 async function getItem(tableName, key) {
   const response = await docClient.send(new GetCommand({
@@ -179,6 +432,22 @@ async function deleteItem(tableName, key) {
   }));
 }
 
+// Put an item unless one with the same key exists; returns false if it does
+async function putNewItem(tableName, item, keyAttribute) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: tableName,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(#key)',
+      ExpressionAttributeNames: { '#key': keyAttribute }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+}
+
 // User operations
 async function getUserById(userId) {
   return await getItem(TABLES.users, { user_id: userId });
@@ -194,37 +463,114 @@ async function getUserByUsername(username) {
   return items.length > 0 ? items[0] : null;
 }
 
+/**
+ * List users a page at a time
+ * @param {number} limit - Maximum number of users to return
+ * @param {string|null} nextToken - Token from the previous page
+ * @returns {Promise<object>} - users, and nextToken when there are more
+ */
+async function listUsers(limit = 50, nextToken = null) {
+  const page = await scanPage(TABLES.users, limit, nextToken);
+  return {
+    users: page.items,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  };
+}
+
+// Scan one page of a table; the page token is the encoded LastEvaluatedKey
+async function scanPage(tableName, limit, nextToken) {
+  const result = await docClient.send(new ScanCommand({
+    TableName: tableName,
+    Limit: limit,
+    ...(nextToken && {
+      ExclusiveStartKey: JSON.parse(Buffer.from(nextToken, 'base64url').toString('utf8'))
+    })
+  }));
+
+  return {
+    items: result.Items || [],
+    nextToken: result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey), 'utf8').toString('base64url')
+      : null
+  };
+}
+
 /**
  * Create a new user with bcrypt password hashing
  * @param {string} username - The username for the new user
- * @param {string} password - The plain text password (will be hashed with bcrypt)
- * @param {string} email - The email address for the new user
+ * @param {string|null} password - The plain text password (will be hashed with bcrypt), or null
+ *   for a user who only signs in through an upstream identity provider
+ * @param {string|null} email - The email address for the new user, if there is one
+ * @param {object} profile - Initial profile claims (see PROFILE_FIELDS)
  * @returns {Promise<object>} - The created user object (includes password_hash)
  */
-async function createUser(username, password, email) {
+async function createUser(username, password, email, profile = null) {
   const userId = uuidv4();
   
-  // Use bcrypt for secure password hashing
-  // Salt rounds = 10 provides a good balance between security and performance
-  const passwordHash = await bcrypt.hash(password, 10);
-  
   const user = {
     user_id: userId,
     username: username,
-    password_hash: passwordHash,
-    email: email,
     email_verified: false,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
+  if (email) {
+    user.email = email;
+  }
+  if (password) {
+    // Use bcrypt for secure password hashing
+    // Salt rounds = 10 provides a good balance between security and performance
+    user.password_hash = await bcrypt.hash(password, 10);
+  }
+  if (profile && Object.keys(profile).length > 0) {
+    user.profile = profile;
+  }
   
   await putItem(TABLES.users, user);
   return user;
 }
 
+// Users whose enabled attribute is false cannot sign in, and their tokens are refused
+function isUserDisabled(user) {
+  return user.enabled === false;
+}
+
+/**
+ * Set attributes on an existing user
+ * @param {string} userId - User ID
+ * @param {object} attributes - Attribute names and their new values
+ * @returns {Promise<object>} - The updated user
+ */
+async function updateUserAttributes(userId, attributes) {
+  const names = {};
+  const values = { ':updatedAt': new Date().toISOString() };
+  const assignments = ['updated_at = :updatedAt'];
+  Object.entries(attributes).forEach(([name, value], index) => {
+    names[`#attr${index}`] = name;
+    values[`:value${index}`] = value;
+    assignments.push(`#attr${index} = :value${index}`);
+  });
+
+  const result = await docClient.send(new UpdateCommand({
+    TableName: TABLES.users,
+    Key: { user_id: userId },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ConditionExpression: 'attribute_exists(user_id)',
+    ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW'
+  }));
+  return result.Attributes;
+}
+
+async function deleteUserRecord(userId) {
+  await deleteItem(TABLES.users, { user_id: userId });
+}
+
 async function verifyUserPassword(username, password) {
   const user = await getUserByUsername(username);
-  if (!user) return null;
+  // Users provisioned from an upstream identity provider have no password
+  if (!user || !user.password_hash || !password) return null;
   
   // Use bcrypt for secure password comparison
   const isValid = await bcrypt.compare(password, user.password_hash);
@@ -247,84 +593,1620 @@ async function updateUserPassword(userId, newPassword) {
   return user;
 }
 
-// Client operations
-async function getClientById(clientId) {
-  return await getItem(TABLES.clients, { client_id: clientId });
+/**
+ * Check a password against the password policy
+ * Minimum 8 characters, at least one uppercase, one lowercase, one number and one special character
+ * @param {string} password - Password to check
+ * @returns {string|null} - What is wrong with the password, or null if it is acceptable
+ */
+function checkPasswordStrength(password) {
+  if (password.length < 8) {
+    return 'Password must be at least 8 characters long';
+  }
+  if (!/[A-Z]/.test(password)) {
+    return 'Password must contain at least one uppercase letter';
+  }
+  if (!/[a-z]/.test(password)) {
+    return 'Password must contain at least one lowercase letter';
+  }
+  if (!/[0-9]/.test(password)) {
+    return 'Password must contain at least one number';
+  }
+  // Special characters: include common password special characters
+  // Using character class with properly escaped special characters
+  if (!/[!@#$%^&*(),.?":{}|<>\-_+=~\[\]\\]/.test(password)) {
+    return 'Password must contain at least one special character';
+  }
+  return null;
 }
 
-async function validateClient(clientId, clientSecret = null, redirectUri = null) {
-  const client = await getClientById(clientId);
-  if (!client) return null;
+// Simple but effective email check: local-part @ domain . tld
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+}
+
+// Standard profile claims users and administrators may set; /userinfo releases
+// them for the profile scope (profile_url as the profile claim)
+const PROFILE_FIELDS = [
+  'name',
+  'given_name',
+  'family_name',
+  'middle_name',
+  'nickname',
+  'profile_url',
+  'picture',
+  'website',
+  'gender',
+  'birthdate',
+  'zoneinfo',
+  'locale'
+];
+const PROFILE_URL_FIELDS = ['profile_url', 'picture', 'website'];
+const MAX_PROFILE_FIELD_LENGTH = 256;
+
+/**
+ * Check a profile claim value
+ * @param {string} field - One of PROFILE_FIELDS
+ * @param {string} value - Value to store; empty values are always accepted
+ * @returns {string|null} - What is wrong with the value, or null if it is acceptable
+ */
+function checkProfileField(field, value) {
+  if (!PROFILE_FIELDS.includes(field)) {
+    return `Unknown profile field: ${field}`;
+  }
+  if (!value) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return `${field} must be a string`;
+  }
+  if (value.length > MAX_PROFILE_FIELD_LENGTH) {
+    return `${field} must be at most ${MAX_PROFILE_FIELD_LENGTH} characters`;
+  }
+  if (PROFILE_URL_FIELDS.includes(field)) {
+    try {
+      const url = new URL(value);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return `${field} must be an http or https URL`;
+      }
+    } catch (e) {
+      return `${field} must be an http or https URL`;
+    }
+  }
+  // OIDC birthdate: YYYY-MM-DD, or YYYY when the rest is withheld
+  if (field === 'birthdate' && !/^\d{4}(-\d{2}-\d{2})?$/.test(value)) {
+    return 'birthdate must be YYYY-MM-DD or YYYY';
+  }
+  if (field === 'locale' && !/^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/.test(value)) {
+    return 'locale must be a language tag such as en-US';
+  }
+  return null;
+}
+
+// Replace the user's standard profile claims (the profile attribute read by /userinfo)
+async function updateUserProfile(userId, profile) {
+  return await updateUserAttributes(userId, { profile });
+}
+
+// Change the user's email address; the new address starts unverified
+async function updateUserEmail(userId, email) {
+  return await updateUserAttributes(userId, { email, email_verified: false });
+}
+
+/**
+ * Mark the user's email address as verified
+ * @param {string} userId - User ID
+ * @param {string} email - Address the verification link was sent to
+ * @returns {Promise<boolean>} - False if the user has changed their address since
+ */
+async function markEmailVerified(userId, email) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.users,
+      Key: { user_id: userId },
+      UpdateExpression: 'SET email_verified = :verified, updated_at = :updatedAt',
+      ConditionExpression: 'email = :email',
+      ExpressionAttributeValues: {
+        ':email': email,
+        ':verified': true,
+        ':updatedAt': new Date().toISOString()
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Multi-factor authentication
+// TOTP state lives on the user record: totp_secret, totp_enabled, totp_last_step
+// (replay protection) and recovery_code_hashes (a string set of SHA-256 hashes).
+// Passkeys live in the WebAuthn credentials table, see below.
+
+/**
+ * Second factors a user has enrolled
+ * @param {object} user - User record
+ * @returns {Promise<Array<string>>} - Any of 'totp' and 'webauthn'
+ */
+async function getMfaMethods(user) {
+  const methods = [];
+  if (user.totp_enabled) {
+    methods.push('totp');
+  }
+  if (TABLES.webauthnCredentials && (await listWebAuthnCredentials(user.user_id)).length > 0) {
+    methods.push('webauthn');
+  }
+  return methods;
+}
+
+/**
+ * Start TOTP enrollment with a new secret; it is only used once confirmed
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - Base32 encoded secret for the authenticator app
+ */
+async function startTotpEnrollment(userId) {
+  const secret = generateTotpSecret();
   
-  if (clientSecret && client.client_secret !== clientSecret) return null;
-  if (redirectUri && !client.redirect_uris.includes(redirectUri)) return null;
+  await docClient.send(new UpdateCommand({
+    TableName: TABLES.users,
+    Key: { user_id: userId },
+    UpdateExpression: 'SET totp_pending_secret = :secret, updated_at = :updatedAt',
+    ConditionExpression: 'attribute_exists(user_id)',
+    ExpressionAttributeValues: {
+      ':secret': secret,
+      ':updatedAt': new Date().toISOString()
+    }
+  }));
   
-  return client;
+  return secret;
 }
 
-// Authorization code operations
-async function createAuthCode(userId, clientId, redirectUri, scope, codeChallenge = null, codeChallengeMethod = null, applicationId = null, account = null) {
-  const code = crypto.randomBytes(32).toString('base64url');
-  const expiresAt = Math.floor(Date.now() / 1000) + 600; // 10 minutes
+/**
+ * Finish TOTP enrollment by checking a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Array<string>|null>} - New recovery codes, or null if the code is wrong
+ */
+async function confirmTotpEnrollment(userId, code) {
+  const user = await getUserById(userId);
+  if (!user || !user.totp_pending_secret) return null;
   
-  const authCode = {
-    code: code,
-    user_id: userId,
-    client_id: clientId,
-    redirect_uri: redirectUri,
-    scope: scope,
-    expires_at: expiresAt,
-    created_at: new Date().toISOString(),
-    code_challenge: codeChallenge,
-    code_challenge_method: codeChallengeMethod
-  };
+  const step = verifyTotp(user.totp_pending_secret, code);
+  if (step === null) return null;
   
-  // Add optional fields
-  if (applicationId) {
-    authCode.application_id = applicationId;
-  }
-  if (account) {
-    authCode.account = account;
-  }
+  const recoveryCodes = generateRecoveryCodes();
+  const now = new Date().toISOString();
   
-  await putItem(TABLES.authCodes, authCode);
-  return code;
+  await docClient.send(new UpdateCommand({
+    TableName: TABLES.users,
+    Key: { user_id: userId },
+    UpdateExpression: 'SET totp_secret = :secret, totp_enabled = :enabled, totp_last_step = :step, ' +
+      'totp_enrolled_at = :now, recovery_code_hashes = :hashes, updated_at = :now REMOVE totp_pending_secret',
+    ExpressionAttributeValues: {
+      ':secret': user.totp_pending_secret,
+      ':enabled': true,
+      ':step': step,
+      ':now': now,
+      ':hashes': new Set(recoveryCodes.map(hashRecoveryCode))
+    }
+  }));
+  
+  return recoveryCodes;
 }
 
-async function getAuthCode(code) {
-  return await getItem(TABLES.authCodes, { code: code });
+async function disableTotp(userId) {
+  await docClient.send(new UpdateCommand({
+    TableName: TABLES.users,
+    Key: { user_id: userId },
+    UpdateExpression: 'SET updated_at = :updatedAt REMOVE totp_secret, totp_enabled, totp_last_step, ' +
+      'totp_enrolled_at, totp_pending_secret, recovery_code_hashes',
+    ConditionExpression: 'attribute_exists(user_id)',
+    ExpressionAttributeValues: {
+      ':updatedAt': new Date().toISOString()
+    }
+  }));
 }
 
-async function deleteAuthCode(code) {
-  await deleteItem(TABLES.authCodes, { code: code });
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - New recovery codes
+ */
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  
+  await docClient.send(new UpdateCommand({
+    TableName: TABLES.users,
+    Key: { user_id: userId },
+    UpdateExpression: 'SET recovery_code_hashes = :hashes, updated_at = :updatedAt',
+    ConditionExpression: 'totp_enabled = :enabled',
+    ExpressionAttributeValues: {
+      ':hashes': new Set(recoveryCodes.map(hashRecoveryCode)),
+      ':updatedAt': new Date().toISOString(),
+      ':enabled': true
+    }
+  }));
+  
+  return recoveryCodes;
 }
 
-// Refresh token operations
-async function createRefreshToken(userId, clientId, scope) {
-  const tokenId = uuidv4();
-  const expiresAt = Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60); // 30 days
+/**
+ * Check a TOTP code for a user; each time step can only be used once
+ * @param {object} user - User record
+ * @param {string} code - TOTP code
+ * @returns {Promise<boolean>}
+ */
+async function verifyUserTotp(user, code) {
+  if (!user.totp_enabled || !user.totp_secret) return false;
   
-  const refreshToken = {
-    token_id: tokenId,
-    user_id: userId,
-    client_id: clientId,
-    scope: scope,
-    expires_at: expiresAt,
-    created_at: new Date().toISOString()
-  };
+  const step = verifyTotp(user.totp_secret, code, user.totp_last_step ?? -1);
+  if (step === null) return false;
   
-  await putItem(TABLES.refreshTokens, refreshToken);
-  return tokenId;
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.users,
+      Key: { user_id: user.user_id },
+      UpdateExpression: 'SET totp_last_step = :step',
+      ConditionExpression: 'totp_last_step < :step',
+      ExpressionAttributeValues: { ':step': step }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
 }
 
-async function getRefreshToken(tokenId) {
-  return await getItem(TABLES.refreshTokens, { token_id: tokenId });
+/**
+ * Use up one of a user's recovery codes
+ * @param {object} user - User record
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} - False if the code is unknown or already used
+ */
+async function consumeRecoveryCode(user, code) {
+  if (!user.totp_enabled) return false;
+  
+  const hash = hashRecoveryCode(code);
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.users,
+      Key: { user_id: user.user_id },
+      UpdateExpression: 'DELETE recovery_code_hashes :used',
+      ConditionExpression: 'contains(recovery_code_hashes, :hash)',
+      ExpressionAttributeValues: {
+        ':used': new Set([hash]),
+        ':hash': hash
+      }
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+  
+  console.warn('Recovery code used:', user.user_id);
+  return true;
+}
+
+// WebAuthn credentials (passkeys)
+// One item per credential, keyed by user_id and the base64url credential ID.
+// public_key is the base64url COSE public key; counter is the authenticator's
+// signature counter, used to detect cloned authenticators.
+
+async function listWebAuthnCredentials(userId) {
+  return await queryItems(TABLES.webauthnCredentials, undefined, 'user_id = :userId', { ':userId': userId });
+}
+
+async function getWebAuthnCredential(userId, credentialId) {
+  return await getItem(TABLES.webauthnCredentials, { user_id: userId, credential_id: credentialId });
+}
+
+/**
+ * Store a newly registered credential
+ * @param {string} userId - User ID
+ * @param {object} credential - credential_id, public_key, counter, transports, device_type, backed_up and name
+ * @returns {Promise<boolean>} - False if the credential is already registered
+ */
+async function saveWebAuthnCredential(userId, credential) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: TABLES.webauthnCredentials,
+      Item: {
+        ...credential,
+        user_id: userId,
+        created_at: new Date().toISOString()
+      },
+      ConditionExpression: 'attribute_not_exists(credential_id)'
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a successful assertion
+ * The counter condition stops two concurrent assertions with the same counter from both succeeding.
+ * @param {object} credential - Stored credential
+ * @param {number} newCounter - Counter reported by the authenticator
+ * @param {boolean} backedUp - Current backup state reported by the authenticator
+ * @returns {Promise<boolean>}
+ */
+async function recordWebAuthnCredentialUse(credential, newCounter, backedUp) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.webauthnCredentials,
+      Key: { user_id: credential.user_id, credential_id: credential.credential_id },
+      UpdateExpression: 'SET #counter = :newCounter, backed_up = :backedUp, last_used_at = :now',
+      ConditionExpression: '#counter = :oldCounter',
+      ExpressionAttributeNames: { '#counter': 'counter' },
+      ExpressionAttributeValues: {
+        ':newCounter': newCounter,
+        ':oldCounter': credential.counter,
+        ':backedUp': backedUp,
+        ':now': new Date().toISOString()
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function deleteWebAuthnCredential(userId, credentialId) {
+  await deleteItem(TABLES.webauthnCredentials, { user_id: userId, credential_id: credentialId });
+}
+
+// Federated identities
+// Links an upstream identity provider account to a local user. Keyed by the
+// upstream issuer and subject, which together are stable for the account; the
+// user-index lists a user's links.
+
+async function getFederatedIdentity(issuer, subject) {
+  return await getItem(TABLES.federatedIdentities, { issuer, subject });
+}
+
+/**
+ * Link an upstream account to a local user
+ * @param {string} issuer - Upstream issuer (iss)
+ * @param {string} subject - Upstream subject (sub)
+ * @param {string} userId - Local user ID
+ * @param {string} providerId - Configured provider the link was made through
+ * @returns {Promise<boolean>} - False if the upstream account is already linked
+ */
+async function linkFederatedIdentity(issuer, subject, userId, providerId) {
+  return await putNewItem(TABLES.federatedIdentities, {
+    issuer,
+    subject,
+    user_id: userId,
+    provider_id: providerId,
+    created_at: new Date().toISOString()
+  }, 'subject');
+}
+
+async function listUserFederatedIdentities(userId) {
+  return await queryItems(TABLES.federatedIdentities, 'user-index', 'user_id = :userId', { ':userId': userId });
+}
+
+async function unlinkFederatedIdentity(issuer, subject) {
+  await deleteItem(TABLES.federatedIdentities, { issuer, subject });
+}
+
+async function deleteUserFederatedIdentities(userId) {
+  const identities = await listUserFederatedIdentities(userId);
+  for (const identity of identities) {
+    await unlinkFederatedIdentity(identity.issuer, identity.subject);
+  }
+  return identities.length;
+}
+
+// Login throttling
+// Failed logins are counted per username and per source IP. Each failure for a
+// username delays the next attempt a little longer, and reaching the threshold
+// locks the username (or blocks the IP) for LOGIN_LOCKOUT_SECONDS.
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const LOGIN_IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || '20', 10);
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS || '900', 10); // 15 minutes
+const MAX_LOGIN_DELAY_SECONDS = 30;
+
+function loginAttemptKey(type, value) {
+  return `${type}:${value}`;
+}
+
+// Delay before the next attempt: none after the first failure, then 1, 2, 4... seconds
+function getLoginDelaySeconds(failures) {
+  if (failures < 2) return 0;
+  return Math.min(2 ** (failures - 2), MAX_LOGIN_DELAY_SECONDS);
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {string} username - Username being tried
+ * @param {string} sourceIp - Client IP address
+ * @returns {Promise<object|null>} - null if allowed, otherwise { error, retryAfter } where
+ *   error is account_locked for a locked username and login_throttled otherwise
+ */
+async function checkLoginThrottle(username, sourceIp) {
+  const now = Math.floor(Date.now() / 1000);
+  
+  const userAttempts = await getItem(TABLES.loginAttempts, { attempt_key: loginAttemptKey('user', username) });
+  if (userAttempts?.locked_until > now) {
+    return { error: 'account_locked', retryAfter: userAttempts.locked_until - now };
+  }
+  if (userAttempts?.next_attempt_at > now) {
+    return { error: 'login_throttled', retryAfter: userAttempts.next_attempt_at - now };
+  }
+  
+  if (sourceIp) {
+    const ipAttempts = await getItem(TABLES.loginAttempts, { attempt_key: loginAttemptKey('ip', sourceIp) });
+    if (ipAttempts?.locked_until > now) {
+      return { error: 'login_throttled', retryAfter: ipAttempts.locked_until - now };
+    }
+  }
+  
+  return null;
+}
+
+// Count one failure against a key, starting a new count once the old one has lapsed
+async function incrementLoginFailures(attemptKey, now) {
+  try {
+    const response = await docClient.send(new UpdateCommand({
+      TableName: TABLES.loginAttempts,
+      Key: { attempt_key: attemptKey },
+      UpdateExpression: 'ADD failures :one SET last_failure_at = :now, expires_at = :expiresAt',
+      ConditionExpression: 'expires_at > :now',
+      ExpressionAttributeValues: {
+        ':one': 1,
+        ':now': now,
+        ':expiresAt': now + LOGIN_LOCKOUT_SECONDS
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return response.Attributes.failures;
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+  
+  // No record yet, or only one that has expired but not been removed by the TTL
+  await putItem(TABLES.loginAttempts, {
+    attempt_key: attemptKey,
+    failures: 1,
+    last_failure_at: now,
+    expires_at: now + LOGIN_LOCKOUT_SECONDS
+  });
+  return 1;
+}
+
+/**
+ * Record a failed login attempt
+ * @param {string} username - Username that was tried
+ * @param {string} sourceIp - Client IP address
+ * @returns {Promise<object|null>} - { error, retryAfter } if the username or IP is now locked, otherwise null
+ */
+async function recordLoginFailure(username, sourceIp) {
+  const now = Math.floor(Date.now() / 1000);
+  const lockedUntil = now + LOGIN_LOCKOUT_SECONDS;
+  let result = null;
+  
+  const userKey = loginAttemptKey('user', username);
+  const userFailures = await incrementLoginFailures(userKey, now);
+  if (userFailures >= LOGIN_LOCKOUT_THRESHOLD) {
+    console.warn('Locking username after repeated failed logins:', JSON.stringify({ username, source_ip: sourceIp }));
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.loginAttempts,
+      Key: { attempt_key: userKey },
+      UpdateExpression: 'SET locked_until = :lockedUntil, expires_at = :lockedUntil',
+      ExpressionAttributeValues: { ':lockedUntil': lockedUntil }
+    }));
+    result = { error: 'account_locked', retryAfter: LOGIN_LOCKOUT_SECONDS };
+  } else {
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.loginAttempts,
+      Key: { attempt_key: userKey },
+      UpdateExpression: 'SET next_attempt_at = :nextAttemptAt',
+      ExpressionAttributeValues: { ':nextAttemptAt': now + getLoginDelaySeconds(userFailures) }
+    }));
+  }
+  
+  if (sourceIp) {
+    const ipKey = loginAttemptKey('ip', sourceIp);
+    const ipFailures = await incrementLoginFailures(ipKey, now);
+    if (ipFailures >= LOGIN_IP_LOCKOUT_THRESHOLD) {
+      console.warn('Blocking source IP after repeated failed logins:', sourceIp);
+      await docClient.send(new UpdateCommand({
+        TableName: TABLES.loginAttempts,
+        Key: { attempt_key: ipKey },
+        UpdateExpression: 'SET locked_until = :lockedUntil, expires_at = :lockedUntil',
+        ExpressionAttributeValues: { ':lockedUntil': lockedUntil }
+      }));
+      result = result || { error: 'login_throttled', retryAfter: LOGIN_LOCKOUT_SECONDS };
+    }
+  }
+  
+  return result;
+}
+
+// Forget failed attempts for a username after a successful login.
+// The source IP count is kept so one valid account cannot reset it.
+async function clearLoginFailures(username) {
+  await deleteItem(TABLES.loginAttempts, { attempt_key: loginAttemptKey('user', username) });
+}
+
+/**
+ * Remove a lockout (admin operation)
+ * @param {string} username - Username to unlock
+ * @param {string} sourceIp - Optional source IP to unblock as well
+ */
+async function unlockLogin(username, sourceIp = null) {
+  await clearLoginFailures(username);
+  if (sourceIp) {
+    await deleteItem(TABLES.loginAttempts, { attempt_key: loginAttemptKey('ip', sourceIp) });
+  }
+}
+
+// Client operations
+async function getClientById(clientId) {
+  return await getItem(TABLES.clients, { client_id: clientId });
+}
+
+/**
+ * Hash a client secret for storage in the client_secret_hash attribute
+ * Client secrets are generated with high entropy, so a single SHA-256 is enough
+ * @param {string} secret - Plain text client secret
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+function hashClientSecret(secret) {
+  return crypto.createHash('sha256').update(secret, 'utf8').digest('hex');
+}
+
+/**
+ * Compare a presented secret with the client's stored secret in constant time
+ * Clients still holding a plain text client_secret are compared the same way
+ * @param {object} client - Client record
+ * @param {string} secret - Presented client secret
+ * @returns {boolean}
+ */
+function verifyClientSecret(client, secret) {
+  if (!secret) return false;
+  
+  const presented = Buffer.from(hashClientSecret(secret), 'hex');
+  let stored;
+  if (client.client_secret_hash) {
+    stored = Buffer.from(client.client_secret_hash, 'hex');
+  } else if (client.client_secret) {
+    stored = Buffer.from(hashClientSecret(client.client_secret), 'hex');
+  } else {
+    return false;
+  }
+  
+  return stored.length === presented.length && crypto.timingSafeEqual(stored, presented);
+}
+
+// Whether a client has a secret and so counts as confidential
+function isConfidentialClient(client) {
+  return !!(client.client_secret_hash || client.client_secret || client.jwks || client.jwks_uri);
+}
+
+/**
+ * Get the client authentication methods a client may use
+ * Clients without token_endpoint_auth_method keep the pre-existing behavior:
+ * client_secret_basic or client_secret_post if they have a secret, otherwise none.
+ * @param {object} client - Client record
+ * @returns {Array<string>}
+ */
+function getClientAuthMethods(client) {
+  if (client.token_endpoint_auth_method) {
+    return [client.token_endpoint_auth_method];
+  }
+  
+  if (client.client_secret_hash || client.client_secret) {
+    return ['client_secret_basic', 'client_secret_post'];
+  }
+  
+  return ['none'];
+}
+
+async function validateClient(clientId, clientSecret = null, redirectUri = null) {
+  const client = await getClientById(clientId);
+  if (!client) return null;
+  
+  if (clientSecret && !verifyClientSecret(client, clientSecret)) return null;
+  if (redirectUri && !client.redirect_uris.includes(redirectUri)) return null;
+  
+  return client;
+}
+
+/**
+ * List clients a page at a time
+ * @param {number} limit - Maximum number of clients to return
+ * @param {string|null} nextToken - Token from the previous page
+ * @returns {Promise<object>} - clients, and nextToken when there are more
+ */
+async function listClients(limit = 50, nextToken = null) {
+  const page = await scanPage(TABLES.clients, limit, nextToken);
+  return {
+    clients: page.items,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  };
+}
+
+// Store a new client; returns false if the client_id is taken
+async function createClientRecord(client) {
+  return await putNewItem(TABLES.clients, client, 'client_id');
+}
+
+// Replace an existing client record
+async function saveClientRecord(client) {
+  await putItem(TABLES.clients, client);
+}
+
+async function deleteClientRecord(clientId) {
+  await deleteItem(TABLES.clients, { client_id: clientId });
+}
+
+// Application operations
+async function getApplicationById(applicationId) {
+  return await getItem(TABLES.applications, { application_id: applicationId });
+}
+
+/**
+ * List applications a page at a time
+ * @param {number} limit - Maximum number of applications to return
+ * @param {string|null} nextToken - Token from the previous page
+ * @returns {Promise<object>} - applications, and nextToken when there are more
+ */
+async function listApplications(limit = 50, nextToken = null) {
+  const page = await scanPage(TABLES.applications, limit, nextToken);
+  return {
+    applications: page.items,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  };
+}
+
+// Store a new application; returns false if the application_id is taken
+async function createApplicationRecord(application) {
+  return await putNewItem(TABLES.applications, application, 'application_id');
+}
+
+// Replace an existing application record
+async function saveApplicationRecord(application) {
+  await putItem(TABLES.applications, application);
+}
+
+async function deleteApplicationRecord(applicationId) {
+  await deleteItem(TABLES.applications, { application_id: applicationId });
+}
+
+async function getUserApplication(userId, applicationId) {
+  return await getItem(TABLES.userApplications, { user_id: userId, application_id: applicationId });
+}
+
+async function listUserApplications(userId) {
+  return await queryItems(TABLES.userApplications, undefined, 'user_id = :userId', { ':userId': userId });
+}
+
+/**
+ * Give a user access to an application
+ * @param {string} userId - User ID
+ * @param {string} applicationId - Application ID
+ * @param {Array<string>} accounts - Accounts the user may select for the application
+ * @returns {Promise<object>} - The stored user-applications record
+ */
+async function assignUserApplication(userId, applicationId, accounts = []) {
+  const userApp = {
+    user_id: userId,
+    application_id: applicationId,
+    accounts: accounts,
+    created_at: new Date().toISOString()
+  };
+  await putItem(TABLES.userApplications, userApp);
+  return userApp;
+}
+
+/**
+ * Set the accounts of a user's application assignment, creating it if needed
+ * Other attributes of an existing assignment, such as role_arns, are kept.
+ * @param {string} userId - User ID
+ * @param {string} applicationId - Application ID
+ * @param {Array<string>} accounts - Accounts the user may select for the application
+ * @returns {Promise<object>} - The stored user-applications record
+ */
+async function setUserApplicationAccounts(userId, applicationId, accounts) {
+  const existing = await getUserApplication(userId, applicationId);
+  if (!existing) {
+    return await assignUserApplication(userId, applicationId, accounts);
+  }
+
+  const userApp = { ...existing, accounts, updated_at: new Date().toISOString() };
+  await putItem(TABLES.userApplications, userApp);
+  return userApp;
+}
+
+async function unassignUserApplication(userId, applicationId) {
+  await deleteItem(TABLES.userApplications, { user_id: userId, application_id: applicationId });
+}
+
+async function deleteUserApplications(userId) {
+  const userApps = await listUserApplications(userId);
+  for (const userApp of userApps) {
+    await deleteItem(TABLES.userApplications, { user_id: userId, application_id: userApp.application_id });
+  }
+  return userApps.length;
+}
+
+// Default claim names for the application context; an application can
+// override any of them with its claim_names attribute
+const DEFAULT_APPLICATION_CLAIM_NAMES = {
+  application: 'application_id',
+  account: 'account',
+  role: 'role_arn',
+  session_tags: 'https://aws.amazon.com/tags'
+};
+
+/**
+ * Build the application context claims for a user's selected application
+ *
+ * The IAM role comes from the user-applications record (role_arns keyed by
+ * account, or role_arn), falling back to the application's role_arn. Session
+ * tags come from the user-applications session_tags map and are emitted in
+ * the AWS principal tags format. Assignments made to the user's groups count
+ * too (see getEffectiveUserApplication).
+ * @param {string} userId - User the tokens are issued to
+ * @param {string} applicationId - Selected application
+ * @param {string|null} account - Selected account
+ * @returns {Promise<object|null>} - Claims to add to the tokens, or null if the user is no longer assigned
+ */
+async function buildApplicationClaims(userId, applicationId, account = null) {
+  const userApp = await getEffectiveUserApplication(userId, applicationId);
+  if (!userApp) return null;
+  
+  const application = await getApplicationById(applicationId);
+  if (!application) return null;
+  
+  const claimNames = { ...DEFAULT_APPLICATION_CLAIM_NAMES, ...(application.claim_names || {}) };
+  const claims = {
+    [claimNames.application]: applicationId
+  };
+  
+  if (account) {
+    claims[claimNames.account] = account;
+  }
+  
+  const roleArn = (account && userApp.role_arns?.[account]) || userApp.role_arn || application.role_arn;
+  if (roleArn) {
+    claims[claimNames.role] = roleArn;
+  }
+  
+  if (userApp.session_tags && Object.keys(userApp.session_tags).length > 0) {
+    const principalTags = {};
+    for (const [key, value] of Object.entries(userApp.session_tags)) {
+      principalTags[key] = Array.isArray(value) ? value : [String(value)];
+    }
+    claims[claimNames.session_tags] = {
+      principal_tags: principalTags,
+      transitive_tag_keys: userApp.transitive_tag_keys || []
+    };
+  }
+  
+  return claims;
+}
+
+// Groups
+//
+// A group (groups table) is named by its group_id and is what relying parties
+// see in the groups claim. Memberships live in the group-members table, keyed
+// by user_id and group_id with a group-index for listing members. Applications
+// are granted to a group with a user-applications record whose user_id is the
+// group's principal ID, so they have the same accounts, role_arns and
+// session_tags attributes as a user's own assignments.
+
+const GROUP_PRINCIPAL_PREFIX = 'group:';
+
+// user_id under which a group's application assignments are stored
+function groupPrincipalId(groupId) {
+  return `${GROUP_PRINCIPAL_PREFIX}${groupId}`;
+}
+
+async function getGroupById(groupId) {
+  return await getItem(TABLES.groups, { group_id: groupId });
+}
+
+/**
+ * List groups a page at a time
+ * @param {number} limit - Maximum number of groups to return
+ * @param {string|null} nextToken - Token from the previous page
+ * @returns {Promise<object>} - groups, and nextToken when there are more
+ */
+async function listGroups(limit = 50, nextToken = null) {
+  const page = await scanPage(TABLES.groups, limit, nextToken);
+  return {
+    groups: page.items,
+    ...(page.nextToken && { nextToken: page.nextToken })
+  };
+}
+
+/**
+ * Create a group
+ * @param {string} groupId - Group name, as it appears in the groups claim
+ * @param {string} description - Optional description for operators
+ * @returns {Promise<object|null>} - The group, or null if one with this ID exists
+ */
+async function createGroup(groupId, description = null) {
+  const now = new Date().toISOString();
+  const group = {
+    group_id: groupId,
+    ...(description && { description }),
+    created_at: now,
+    updated_at: now
+  };
+
+  return await putNewItem(TABLES.groups, group, 'group_id') ? group : null;
+}
+
+/**
+ * Delete a group with its memberships and application assignments
+ * @param {string} groupId - Group ID
+ * @returns {Promise<object>} - Number of members and applications removed
+ */
+async function deleteGroup(groupId) {
+  const members = await listGroupMembers(groupId);
+  for (const member of members) {
+    await deleteItem(TABLES.groupMembers, { user_id: member.user_id, group_id: groupId });
+  }
+  const applications = await deleteUserApplications(groupPrincipalId(groupId));
+  await deleteItem(TABLES.groups, { group_id: groupId });
+
+  return { members: members.length, applications };
+}
+
+async function addGroupMember(groupId, userId) {
+  const membership = {
+    user_id: userId,
+    group_id: groupId,
+    created_at: new Date().toISOString()
+  };
+  await putItem(TABLES.groupMembers, membership);
+  return membership;
+}
+
+async function removeGroupMember(groupId, userId) {
+  await deleteItem(TABLES.groupMembers, { user_id: userId, group_id: groupId });
+}
+
+// Memberships of a group, from the group-index
+async function listGroupMembers(groupId) {
+  return await queryItems(TABLES.groupMembers, 'group-index', 'group_id = :groupId', { ':groupId': groupId });
+}
+
+// Memberships of a user
+async function listUserGroups(userId) {
+  return await queryItems(TABLES.groupMembers, undefined, 'user_id = :userId', { ':userId': userId });
+}
+
+async function deleteUserGroupMemberships(userId) {
+  const memberships = await listUserGroups(userId);
+  for (const membership of memberships) {
+    await deleteItem(TABLES.groupMembers, { user_id: userId, group_id: membership.group_id });
+  }
+  return memberships.length;
+}
+
+// Combine a user's assignments to one application, their own first: accounts,
+// role_arns and session_tags are merged and the first role_arn wins
+function mergeApplicationAssignments(userId, assignments) {
+  const merged = {
+    user_id: userId,
+    application_id: assignments[0].application_id,
+    accounts: [...new Set(assignments.flatMap(assignment => assignment.accounts || []))]
+  };
+
+  const roleArn = assignments.find(assignment => assignment.role_arn)?.role_arn;
+  if (roleArn) merged.role_arn = roleArn;
+
+  // Spread in reverse so earlier assignments override later ones
+  const reversed = [...assignments].reverse();
+  const roleArns = Object.assign({}, ...reversed.map(assignment => assignment.role_arns || {}));
+  if (Object.keys(roleArns).length > 0) merged.role_arns = roleArns;
+
+  const sessionTags = Object.assign({}, ...reversed.map(assignment => assignment.session_tags || {}));
+  if (Object.keys(sessionTags).length > 0) {
+    merged.session_tags = sessionTags;
+    merged.transitive_tag_keys = [...new Set(assignments.flatMap(assignment => assignment.transitive_tag_keys || []))];
+  }
+
+  return merged;
+}
+
+/**
+ * Get a user's access to an application, directly or through their groups
+ * @param {string} userId - User ID
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<object|null>} - Merged user-applications record, or null if not assigned
+ */
+async function getEffectiveUserApplication(userId, applicationId) {
+  const assignments = [];
+  const direct = await getUserApplication(userId, applicationId);
+  if (direct) assignments.push(direct);
+
+  for (const membership of await listUserGroups(userId)) {
+    const groupApp = await getUserApplication(groupPrincipalId(membership.group_id), applicationId);
+    if (groupApp) assignments.push(groupApp);
+  }
+
+  return assignments.length > 0 ? mergeApplicationAssignments(userId, assignments) : null;
+}
+
+/**
+ * List the applications a user can use, directly or through their groups
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - One merged user-applications record per application
+ */
+async function listEffectiveUserApplications(userId) {
+  const assignments = [...await listUserApplications(userId)];
+  for (const membership of await listUserGroups(userId)) {
+    assignments.push(...await listUserApplications(groupPrincipalId(membership.group_id)));
+  }
+
+  const byApplication = new Map();
+  for (const assignment of assignments) {
+    const list = byApplication.get(assignment.application_id) || [];
+    list.push(assignment);
+    byApplication.set(assignment.application_id, list);
+  }
+  return [...byApplication.values()].map(list => mergeApplicationAssignments(userId, list));
+}
+
+// Default names for claims a client can rename with its claim_names attribute
+const DEFAULT_CLIENT_CLAIM_NAMES = {
+  groups: 'groups'
+};
+
+/**
+ * Build the groups claim for a token or /userinfo response
+ * @param {string} userId - User ID
+ * @param {object|null} client - Client the claim is released to
+ * @param {string} scope - Space-separated granted scopes
+ * @returns {Promise<object>} - The claim keyed by the client's name for it, or {} without the groups scope
+ */
+async function buildGroupClaims(userId, client, scope) {
+  if (!(scope || '').split(' ').includes('groups')) return {};
+
+  const claimName = client?.claim_names?.groups || DEFAULT_CLIENT_CLAIM_NAMES.groups;
+  const groups = (await listUserGroups(userId)).map(membership => membership.group_id).sort();
+  return { [claimName]: groups };
+}
+
+// Grant types allowed for clients that do not list their own grant_types
+const DEFAULT_CLIENT_GRANT_TYPES = ['authorization_code', 'refresh_token'];
+
+/**
+ * Check whether a client may use a grant type
+ * @param {object} client - Client record
+ * @param {string} grantType - Requested grant type
+ * @returns {boolean}
+ */
+function isGrantTypeAllowed(client, grantType) {
+  const grantTypes = client.grant_types || DEFAULT_CLIENT_GRANT_TYPES;
+  return grantTypes.includes(grantType);
+}
+
+// RFC 7636 section 4.1: 43-128 characters from the unreserved set
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Get a client's PKCE policy
+ * PKCE is required for public clients unless require_pkce is false, and
+ * confidential clients can opt in with require_pkce. code_challenge_methods
+ * narrows the provider-wide methods, e.g. ["S256"] to refuse plain for one client.
+ * @param {object} client - Client record
+ * @returns {object} - { required, methods }
+ */
+function getPkcePolicy(client) {
+  const supported = getCodeChallengeMethods();
+  const methods = client.code_challenge_methods
+    ? supported.filter(method => client.code_challenge_methods.includes(method))
+    : supported;
+  
+  return {
+    required: client.require_pkce ?? !isConfidentialClient(client),
+    methods
+  };
+}
+
+/**
+ * Check the PKCE parameters of an authorization request against the client's policy
+ * @param {object} client - Client record
+ * @param {string} codeChallenge - code_challenge parameter
+ * @param {string} codeChallengeMethod - code_challenge_method parameter
+ * @returns {object} - { method } with the effective method, or { error } with a description
+ */
+function checkCodeChallenge(client, codeChallenge, codeChallengeMethod) {
+  const policy = getPkcePolicy(client);
+  
+  if (!codeChallenge) {
+    if (codeChallengeMethod) {
+      return { error: 'code_challenge_method without code_challenge' };
+    }
+    if (policy.required) {
+      return { error: 'PKCE code_challenge is required for this client' };
+    }
+    return { method: null };
+  }
+  
+  // The method defaults to plain when omitted (RFC 7636 section 4.3)
+  const method = codeChallengeMethod || 'plain';
+  if (!policy.methods.includes(method)) {
+    return { error: `Unsupported code_challenge_method, supported: ${policy.methods.join(', ')}` };
+  }
+  
+  if (!CODE_CHALLENGE_PATTERN.test(codeChallenge)) {
+    return { error: 'Invalid code_challenge' };
+  }
+  
+  return { method };
+}
+
+// Authorization code operations
+/**
+ * Create an authorization code
+ * @param {object} authContext - Authentication context carried into the ID token
+ * @param {string} authContext.nonce - OIDC nonce from the authorization request
+ * @param {number} authContext.authTime - When the user authenticated (seconds since epoch)
+ * @param {Array<string>} authContext.amr - Authentication methods used
+ * @param {string} authContext.acr - Authentication context class reached
+ */
+async function createAuthCode(userId, clientId, redirectUri, scope, codeChallenge = null, codeChallengeMethod = null, applicationId = null, account = null, authContext = {}) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Math.floor(Date.now() / 1000) + 600; // 10 minutes
+  
+  const authCode = {
+    code: code,
+    user_id: userId,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scope,
+    expires_at: expiresAt,
+    created_at: new Date().toISOString(),
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod
+  };
+  
+  // Add optional fields
+  if (applicationId) {
+    authCode.application_id = applicationId;
+  }
+  if (account) {
+    authCode.account = account;
+  }
+  if (authContext.nonce) {
+    authCode.nonce = authContext.nonce;
+  }
+  if (authContext.authTime) {
+    authCode.auth_time = authContext.authTime;
+  }
+  if (authContext.amr) {
+    authCode.amr = authContext.amr;
+  }
+  if (authContext.acr) {
+    authCode.acr = authContext.acr;
+  }
+  
+  await putItem(TABLES.authCodes, authCode);
+  return code;
+}
+
+async function getAuthCode(code) {
+  return await getItem(TABLES.authCodes, { code: code });
+}
+
+async function deleteAuthCode(code) {
+  await deleteItem(TABLES.authCodes, { code: code });
+}
+
+// Refresh token operations
+// Default refresh token lifetimes, overridable per client with the
+// refresh_token_absolute_lifetime and refresh_token_idle_lifetime attributes (seconds)
+const DEFAULT_REFRESH_TOKEN_ABSOLUTE_LIFETIME = 30 * 24 * 60 * 60; // 30 days
+const DEFAULT_REFRESH_TOKEN_IDLE_LIFETIME = 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Get the refresh token lifetimes configured for a client
+ * @param {object} client - Client record
+ * @returns {object} - { absoluteLifetime, idleLifetime } in seconds
+ */
+function getRefreshTokenLifetimes(client) {
+  const absoluteLifetime = Number(client?.refresh_token_absolute_lifetime) || DEFAULT_REFRESH_TOKEN_ABSOLUTE_LIFETIME;
+  const idleLifetime = Number(client?.refresh_token_idle_lifetime) || DEFAULT_REFRESH_TOKEN_IDLE_LIFETIME;
+  
+  return {
+    absoluteLifetime,
+    idleLifetime: Math.min(idleLifetime, absoluteLifetime)
+  };
+}
+
+/**
+ * Create a refresh token
+ *
+ * Every token belongs to a family: the first token issued for a grant starts
+ * a new family and each rotation adds a token to it. The family shares one
+ * absolute expiry; each token also expires after the idle lifetime.
+ * @param {string} userId - User the token is issued to
+ * @param {string} clientId - Client the token is issued to
+ * @param {string} scope - Granted scope
+ * @param {string|null} applicationId - Selected application
+ * @param {string|null} account - Selected account
+ * @param {object} options
+ * @param {object} options.client - Client record, used for lifetimes
+ * @param {string} options.familyId - Existing family when rotating
+ * @param {number} options.familyExpiresAt - Absolute expiry of the existing family
+ * @param {number} options.authTime - When the user authenticated, repeated in refreshed ID tokens
+ * @param {Array<string>} options.amr - Authentication methods, repeated in refreshed tokens
+ * @param {string} options.acr - Authentication context class, repeated in refreshed tokens
+ * @returns {Promise<string>} - The refresh token
+ */
+async function createRefreshToken(userId, clientId, scope, applicationId = null, account = null, options = {}) {
+  const tokenId = uuidv4();
+  const now = Math.floor(Date.now() / 1000);
+  const { absoluteLifetime, idleLifetime } = getRefreshTokenLifetimes(options.client);
+  
+  const familyExpiresAt = options.familyExpiresAt || (now + absoluteLifetime);
+  const expiresAt = Math.min(now + idleLifetime, familyExpiresAt);
+  
+  const refreshToken = {
+    token_id: tokenId,
+    family_id: options.familyId || uuidv4(),
+    user_id: userId,
+    client_id: clientId,
+    scope: scope,
+    expires_at: expiresAt,
+    family_expires_at: familyExpiresAt,
+    created_at: new Date().toISOString()
+  };
+  
+  // Add optional fields
+  if (applicationId) {
+    refreshToken.application_id = applicationId;
+  }
+  if (account) {
+    refreshToken.account = account;
+  }
+  if (options.authTime) {
+    refreshToken.auth_time = options.authTime;
+  }
+  if (options.amr) {
+    refreshToken.amr = options.amr;
+  }
+  if (options.acr) {
+    refreshToken.acr = options.acr;
+  }
+  
+  await putItem(TABLES.refreshTokens, refreshToken);
+  return tokenId;
+}
+
+async function getRefreshToken(tokenId) {
+  return await getItem(TABLES.refreshTokens, { token_id: tokenId });
 }
 
 async function deleteRefreshToken(tokenId) {
   await deleteItem(TABLES.refreshTokens, { token_id: tokenId });
 }
 
+/**
+ * Mark a refresh token as used by a rotation
+ *
+ * The rotated token is kept until its family expires so a later reuse can be
+ * detected. The update is conditional, so two concurrent refreshes with the
+ * same token cannot both succeed.
+ * @param {object} storedToken - Refresh token record
+ * @returns {Promise<boolean>} - false if the token had already been rotated
+ */
+async function markRefreshTokenRotated(storedToken) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: TABLES.refreshTokens,
+      Key: { token_id: storedToken.token_id },
+      UpdateExpression: 'SET rotated_at = :rotatedAt, family_id = :familyId, expires_at = :keepUntil',
+      ConditionExpression: 'attribute_not_exists(rotated_at)',
+      ExpressionAttributeValues: {
+        ':rotatedAt': new Date().toISOString(),
+        ':familyId': storedToken.family_id || storedToken.token_id,
+        ':keepUntil': storedToken.family_expires_at || storedToken.expires_at
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List a user's refresh tokens, including rotated tokens kept for reuse detection
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Refresh token records
+ */
+async function listUserRefreshTokens(userId) {
+  return await queryItems(
+    TABLES.refreshTokens,
+    'user-index',
+    'user_id = :userId',
+    { ':userId': userId }
+  );
+}
+
+/**
+ * Delete a user's refresh tokens
+ * @param {string} userId - User ID
+ * @param {string} [clientId] - Only delete tokens issued to this client
+ * @returns {Promise<number>} - Number of tokens deleted
+ */
+async function revokeUserRefreshTokens(userId, clientId = null) {
+  const tokens = (await listUserRefreshTokens(userId))
+    .filter(token => !clientId || token.client_id === clientId);
+  
+  for (const token of tokens) {
+    await deleteRefreshToken(token.token_id);
+  }
+  
+  return tokens.length;
+}
+
+/**
+ * Delete every refresh token in a family
+ * @param {string} familyId - Token family to revoke
+ * @returns {Promise<number>} - Number of tokens deleted
+ */
+async function revokeRefreshTokenFamily(familyId) {
+  const tokens = await queryItems(
+    TABLES.refreshTokens,
+    'family-index',
+    'family_id = :familyId',
+    { ':familyId': familyId }
+  );
+  
+  for (const token of tokens) {
+    await deleteRefreshToken(token.token_id);
+  }
+  
+  // Tokens issued before families existed use their own id as family id
+  await deleteRefreshToken(familyId);
+  
+  return tokens.length;
+}
+
+// Consent grants
+// One item per user and client holding every scope the user has approved for that client
+
+async function getGrant(userId, clientId) {
+  return await getItem(TABLES.grants, { user_id: userId, client_id: clientId });
+}
+
+async function listGrants(userId) {
+  return await queryItems(TABLES.grants, undefined, 'user_id = :userId', { ':userId': userId });
+}
+
+/**
+ * Record a user's approval, adding the scopes to any earlier grant for the client
+ * @param {string} userId - User ID
+ * @param {string} clientId - Client ID
+ * @param {string} scope - Space-separated approved scopes
+ * @returns {Promise<object>} - The stored grant
+ */
+async function saveGrant(userId, clientId, scope) {
+  const existing = await getGrant(userId, clientId);
+  const scopes = new Set([
+    ...(existing?.scope || '').split(' '),
+    ...(scope || '').split(' ')
+  ]);
+  scopes.delete('');
+  
+  const now = new Date().toISOString();
+  const grant = {
+    user_id: userId,
+    client_id: clientId,
+    scope: [...scopes].join(' '),
+    granted_at: existing?.granted_at || now,
+    updated_at: now
+  };
+  
+  await putItem(TABLES.grants, grant);
+  return grant;
+}
+
+/**
+ * Withdraw a user's consent for a client
+ * Also deletes the user's refresh tokens for the client. Access tokens already
+ * issued stay valid until they expire.
+ * @param {string} userId - User ID
+ * @param {string} clientId - Client ID
+ * @returns {Promise<number>} - Number of refresh tokens deleted
+ */
+async function revokeGrant(userId, clientId) {
+  await deleteItem(TABLES.grants, { user_id: userId, client_id: clientId });
+  
+  return await revokeUserRefreshTokens(userId, clientId);
+}
+
+async function deleteUserGrants(userId) {
+  const grants = await listGrants(userId);
+  for (const grant of grants) {
+    await deleteItem(TABLES.grants, { user_id: userId, client_id: grant.client_id });
+  }
+  return grants.length;
+}
+
+/**
+ * Decide whether the user must be asked to approve a client's scopes
+ * First-party clients are trusted unless the request says prompt=consent.
+ * @param {object} client - Client record
+ * @param {string} userId - User ID
+ * @param {string} scope - Space-separated requested scopes
+ * @param {string} prompt - OIDC prompt parameter from the authorization request
+ * @returns {Promise<boolean>}
+ */
+async function isConsentRequired(client, userId, scope, prompt) {
+  if ((prompt || '').split(' ').includes('consent')) {
+    return true;
+  }
+  
+  if (client.first_party === true) {
+    return false;
+  }
+  
+  // An earlier grant covers the same or a smaller set of scopes
+  const grant = await getGrant(userId, client.client_id);
+  const granted = (grant?.scope || '').split(' ');
+  return !(scope || '').split(' ').filter(Boolean).every(requested => granted.includes(requested));
+}
+
+// Password reset tokens
+// Only a SHA-256 hash of each token is stored, so a leaked table cannot be used to
+// reset passwords. Items expire through DynamoDB TTL on expires_at.
+const PASSWORD_RESET_LIFETIME_SECONDS = parseInt(process.env.PASSWORD_RESET_LIFETIME_SECONDS || '3600', 10);
+
+function hashPasswordResetToken(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+async function listPasswordResets(userId) {
+  return await queryItems(TABLES.passwordResets, 'user-index', 'user_id = :userId', { ':userId': userId });
+}
+
+async function deletePasswordResets(userId) {
+  const resets = await listPasswordResets(userId);
+  for (const reset of resets) {
+    await deleteItem(TABLES.passwordResets, { token_hash: reset.token_hash });
+  }
+  return resets.length;
+}
+
+/**
+ * Issue a password reset token, replacing any the user already has
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} - The token to send to the user; only its hash is stored
+ */
+async function createPasswordReset(userId) {
+  await deletePasswordResets(userId);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await putItem(TABLES.passwordResets, {
+    token_hash: hashPasswordResetToken(token),
+    user_id: userId,
+    created_at: new Date().toISOString(),
+    expires_at: Math.floor(Date.now() / 1000) + PASSWORD_RESET_LIFETIME_SECONDS
+  });
+
+  return token;
+}
+
+/**
+ * Use a password reset token
+ * The item is deleted as it is read, so a token works once even under concurrent requests.
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<string|null>} - The user ID, or null if the token is unknown, used or expired
+ */
+async function consumePasswordReset(token) {
+  let reset;
+  try {
+    const result = await docClient.send(new DeleteCommand({
+      TableName: TABLES.passwordResets,
+      Key: { token_hash: hashPasswordResetToken(token) },
+      ConditionExpression: 'attribute_exists(token_hash)',
+      ReturnValues: 'ALL_OLD'
+    }));
+    reset = result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+
+  // TTL deletion can lag behind expiry, so check it here too
+  if (reset.expires_at < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return reset.user_id;
+}
+
+// Access token revocation operations
+// Access tokens are stateless JWTs, so revocation is recorded by jti and kept
+// until the token would have expired anyway
+async function revokeAccessToken(jti, expiresAt, clientId, userId) {
+  await putItem(TABLES.revokedTokens, {
+    jti: jti,
+    client_id: clientId,
+    user_id: userId,
+    expires_at: expiresAt,
+    revoked_at: new Date().toISOString()
+  });
+}
+
+async function isAccessTokenRevoked(jti) {
+  const revoked = await getItem(TABLES.revokedTokens, { jti: jti });
+  return !!revoked;
+}
+
+// Record a single-use token in the revoked tokens table, which expires entries
+// through its TTL. Returns false if the token was already recorded.
+async function recordTokenUse(item) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: TABLES.revokedTokens,
+      Item: {
+        ...item,
+        revoked_at: new Date().toISOString()
+      },
+      ConditionExpression: 'attribute_not_exists(jti)'
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a client assertion jti so the assertion cannot be replayed
+ * @param {string} clientId - Client that signed the assertion
+ * @param {string} jti - Assertion identifier
+ * @param {number} expiresAt - Assertion expiry (epoch seconds)
+ * @returns {Promise<boolean>} - False if the assertion was already used
+ */
+async function consumeClientAssertion(clientId, jti, expiresAt) {
+  return await recordTokenUse({
+    jti: `client_assertion:${clientId}:${jti}`,
+    client_id: clientId,
+    expires_at: expiresAt
+  });
+}
+
+/**
+ * Record an email verification link's jti so the link only works once
+ * @param {string} userId - User the link was sent to
+ * @param {string} jti - Link token identifier
+ * @param {number} expiresAt - Link expiry (epoch seconds)
+ * @returns {Promise<boolean>} - False if the link was already used
+ */
+async function consumeEmailVerification(userId, jti, expiresAt) {
+  return await recordTokenUse({
+    jti: `email_verification:${jti}`,
+    user_id: userId,
+    expires_at: expiresAt
+  });
+}
+
+// Request parsing helpers
+// Parse form data from request body
+function parseFormData(body) {
+  const params = new URLSearchParams(body);
+  const result = {};
+  for (const [key, value] of params) {
+    result[key] = value;
+  }
+  return result;
+}
+
+// Parse the (possibly base64 encoded) form body of an API Gateway event
+function parseRequestBody(event) {
+  const body = event.body || '';
+  const decodedBody = event.isBase64Encoded ? Buffer.from(body, 'base64').toString('utf-8') : body;
+  return parseFormData(decodedBody);
+}
+
+// Parse the (possibly base64 encoded) JSON object body of an API Gateway event
+// Returns null if the body is not a JSON object
+function parseJsonBody(event) {
+  const body = event.body || '{}';
+  const decodedBody = event.isBase64Encoded ? Buffer.from(body, 'base64').toString('utf-8') : body;
+  try {
+    const parsed = JSON.parse(decodedBody);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Parse Bearer token from Authorization header
+function parseBearerToken(event) {
+  const authHeader = event.headers?.Authorization || event.headers?.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  
+  return authHeader.substring(7);
+}
+
+// Parse Basic Auth header
+function parseBasicAuth(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Basic ')) {
+    return null;
+  }
+  
+  const base64Credentials = authHeader.substring(6);
+  const credentials = Buffer.from(base64Credentials, 'base64').toString('utf-8');
+  
+  // Split on the first colon only; both parts are form-urlencoded (RFC 6749 section 2.3.1)
+  const separator = credentials.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+  
+  try {
+    return {
+      clientId: decodeURIComponent(credentials.substring(0, separator).replace(/\+/g, ' ')),
+      clientSecret: decodeURIComponent(credentials.substring(separator + 1).replace(/\+/g, ' '))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract client credentials from the Authorization header or the form body
+ * @param {object} event - API Gateway event
+ * @param {object} params - Parsed form parameters
+ * @returns {object} - { clientId, clientSecret, method }
+ */
+function getClientCredentials(event, params) {
+  const authHeader = event.headers?.Authorization || event.headers?.authorization;
+  const basicAuth = parseBasicAuth(authHeader);
+  
+  if (basicAuth) {
+    return {
+      clientId: basicAuth.clientId,
+      clientSecret: basicAuth.clientSecret,
+      method: 'client_secret_basic'
+    };
+  }
+  
+  return {
+    clientId: params.client_id,
+    clientSecret: params.client_secret,
+    method: params.client_secret ? 'client_secret_post' : 'none'
+  };
+}
+
 // Response helpers
 function createResponse(statusCode, body, headers = {}) {
   return {
@@ -360,22 +2242,121 @@ function createHTMLResponse(html, statusCode = 200) {
 
 module.exports = {
   getIssuerUrl,
+  getKeyRing,
   getSigningKeys,
+  getPublishedKeys,
+  rotateSigningKeys,
   createJWT,
   verifyJWT,
+  createAccessToken,
+  verifyAccessToken,
+  computeTokenHash,
   getUserById,
   getUserByUsername,
+  listUsers,
   createUser,
+  isUserDisabled,
+  updateUserAttributes,
+  deleteUserRecord,
   verifyUserPassword,
+  getMfaMethods,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  regenerateRecoveryCodes,
+  verifyUserTotp,
+  consumeRecoveryCode,
+  listWebAuthnCredentials,
+  getWebAuthnCredential,
+  saveWebAuthnCredential,
+  recordWebAuthnCredentialUse,
+  deleteWebAuthnCredential,
+  getFederatedIdentity,
+  linkFederatedIdentity,
+  listUserFederatedIdentities,
+  unlinkFederatedIdentity,
+  deleteUserFederatedIdentities,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockLogin,
   updateUserPassword,
+  checkPasswordStrength,
+  isValidEmail,
+  PROFILE_FIELDS,
+  checkProfileField,
+  updateUserProfile,
+  updateUserEmail,
+  markEmailVerified,
   getClientById,
+  hashClientSecret,
+  verifyClientSecret,
+  isConfidentialClient,
+  getClientAuthMethods,
   validateClient,
+  listClients,
+  createClientRecord,
+  saveClientRecord,
+  deleteClientRecord,
+  getApplicationById,
+  listApplications,
+  createApplicationRecord,
+  saveApplicationRecord,
+  deleteApplicationRecord,
+  getUserApplication,
+  listUserApplications,
+  assignUserApplication,
+  setUserApplicationAccounts,
+  unassignUserApplication,
+  deleteUserApplications,
+  buildApplicationClaims,
+  groupPrincipalId,
+  getGroupById,
+  listGroups,
+  createGroup,
+  deleteGroup,
+  addGroupMember,
+  removeGroupMember,
+  listGroupMembers,
+  listUserGroups,
+  deleteUserGroupMemberships,
+  getEffectiveUserApplication,
+  listEffectiveUserApplications,
+  buildGroupClaims,
+  DEFAULT_CLIENT_GRANT_TYPES,
+  isGrantTypeAllowed,
+  getPkcePolicy,
+  checkCodeChallenge,
   createAuthCode,
   getAuthCode,
   deleteAuthCode,
   createRefreshToken,
   getRefreshToken,
   deleteRefreshToken,
+  getRefreshTokenLifetimes,
+  markRefreshTokenRotated,
+  listUserRefreshTokens,
+  revokeUserRefreshTokens,
+  revokeRefreshTokenFamily,
+  getGrant,
+  listGrants,
+  saveGrant,
+  revokeGrant,
+  deleteUserGrants,
+  isConsentRequired,
+  listPasswordResets,
+  deletePasswordResets,
+  createPasswordReset,
+  consumePasswordReset,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  consumeClientAssertion,
+  consumeEmailVerification,
+  parseFormData,
+  parseRequestBody,
+  parseJsonBody,
+  parseBearerToken,
+  getClientCredentials,
   createResponse,
   createErrorResponse,
   createHTMLResponse,
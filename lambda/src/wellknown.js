@@ -1,50 +1,53 @@
 const { createResponse, getIssuerUrl } = require('./utils');
+const {
+  ENDPOINTS,
+  RESPONSE_TYPES,
+  GRANT_TYPES,
+  TOKEN_ENDPOINT_AUTH_METHODS,
+  REVOCATION_ENDPOINT_AUTH_METHODS,
+  INTROSPECTION_ENDPOINT_AUTH_METHODS,
+  CLIENT_ASSERTION_SIGNING_ALGORITHMS,
+  BACKCHANNEL_LOGOUT_SUPPORTED,
+  BACKCHANNEL_LOGOUT_SESSION_SUPPORTED,
+  SIGNING_ALGORITHMS,
+  SUBJECT_TYPES,
+  ACR_VALUES,
+  getSupportedScopes,
+  getSupportedClaims,
+  getCodeChallengeMethods
+} = require('./capabilities');
 
 exports.handler = async (event) => {
   try {
     const issuerUrl = await getIssuerUrl();
     
+    // Endpoint URLs
+    const endpoints = {};
+    for (const [name, path] of Object.entries(ENDPOINTS)) {
+      endpoints[name] = `${issuerUrl}${path}`;
+    }
+    
+    // Everything below comes from the capability registry
     const configuration = {
       issuer: issuerUrl,
-      authorization_endpoint: `${issuerUrl}/auth`,
-      token_endpoint: `${issuerUrl}/token`,
-      userinfo_endpoint: `${issuerUrl}/userinfo`,
-      jwks_uri: `${issuerUrl}/jwks`,
-      response_types_supported: [
-        "code",
-        "token",
-        "id_token",
-        "code token",
-        "code id_token",
-        "token id_token",
-        "code token id_token"
-      ],
-      subject_types_supported: ["public"],
-      id_token_signing_alg_values_supported: ["RS256"],
-      scopes_supported: ["openid", "profile", "email"],
-      token_endpoint_auth_methods_supported: [
-        "client_secret_basic",
-        "client_secret_post",
-        "none"
-      ],
-      claims_supported: [
-        "sub",
-        "iss",
-        "aud",
-        "exp",
-        "iat",
-        "name",
-        "email",
-        "email_verified",
-        "profile",
-        "picture"
-      ],
-      code_challenge_methods_supported: ["S256", "plain"],
-      grant_types_supported: [
-        "authorization_code",
-        "refresh_token",
-        "implicit"
-      ]
+      ...endpoints,
+      response_types_supported: RESPONSE_TYPES,
+      response_modes_supported: ['query'],
+      grant_types_supported: GRANT_TYPES,
+      subject_types_supported: SUBJECT_TYPES,
+      id_token_signing_alg_values_supported: SIGNING_ALGORITHMS,
+      scopes_supported: getSupportedScopes(),
+      claims_supported: getSupportedClaims(),
+      acr_values_supported: ACR_VALUES,
+      token_endpoint_auth_methods_supported: TOKEN_ENDPOINT_AUTH_METHODS,
+      token_endpoint_auth_signing_alg_values_supported: CLIENT_ASSERTION_SIGNING_ALGORITHMS,
+      revocation_endpoint_auth_methods_supported: REVOCATION_ENDPOINT_AUTH_METHODS,
+      revocation_endpoint_auth_signing_alg_values_supported: CLIENT_ASSERTION_SIGNING_ALGORITHMS,
+      introspection_endpoint_auth_methods_supported: INTROSPECTION_ENDPOINT_AUTH_METHODS,
+      introspection_endpoint_auth_signing_alg_values_supported: CLIENT_ASSERTION_SIGNING_ALGORITHMS,
+      code_challenge_methods_supported: getCodeChallengeMethods(),
+      backchannel_logout_supported: BACKCHANNEL_LOGOUT_SUPPORTED,
+      backchannel_logout_session_supported: BACKCHANNEL_LOGOUT_SESSION_SUPPORTED
     };
     
     return createResponse(200, configuration);
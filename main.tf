@@ -17,7 +17,7 @@ terraform {
       version = "~> 3.2"
     }
   }
-  required_version = ">= 1.0"
+  required_version = ">= 1.7"
 }
 
 provider "aws" {
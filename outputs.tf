@@ -13,6 +13,11 @@ output "wellknown_configuration_url" {
   value       = "${local.issuer_url}/.well-known/openid-configuration"
 }
 
+output "federation_callback_url" {
+  description = "Redirect URI to register at upstream identity providers"
+  value       = "https://${aws_api_gateway_rest_api.oidc.id}.execute-api.${local.aws_region}.amazonaws.com/${local.environment}/federation/callback"
+}
+
 output "dynamodb_users_table" {
   description = "DynamoDB table name for users"
   value       = aws_dynamodb_table.users.name
@@ -28,10 +33,34 @@ output "dynamodb_auth_codes_table" {
   value       = aws_dynamodb_table.auth_codes.name
 }
 
+output "dynamodb_revoked_tokens_table" {
+  description = "DynamoDB table name for revoked access tokens"
+  value       = aws_dynamodb_table.revoked_tokens.name
+}
+
+output "dynamodb_login_attempts_table" {
+  description = "Name of the login attempts DynamoDB table"
+  value       = aws_dynamodb_table.login_attempts.name
+}
+
+output "dynamodb_webauthn_credentials_table" {
+  description = "Name of the WebAuthn credentials (passkeys) DynamoDB table"
+  value       = aws_dynamodb_table.webauthn_credentials.name
+}
+
+output "dynamodb_grants_table" {
+  description = "DynamoDB table name for consent grants"
+  value       = aws_dynamodb_table.grants.name
+}
 
 output "jwt_signing_key_parameter_name" {
   description = "SSM Parameter name containing JWT signing keys (encrypted)"
-  value       = aws_ssm_parameter.jwt_keys.name
+  value       = local.jwt_keys_parameter
+}
+
+output "legacy_jwt_signing_key_parameter_name" {
+  description = "SSM Parameter name that held JWT signing keys before the key ring parameter (only read to migrate)"
+  value       = local.legacy_jwt_keys_parameter
 }
 
 output "issuer_url_ssm_parameter" {
@@ -49,6 +78,11 @@ output "user_management_lambda_name" {
   value       = aws_lambda_function.user_management.function_name
 }
 
+output "key_management_lambda_name" {
+  description = "Name of the JWT signing key management Lambda function"
+  value       = aws_lambda_function.key_management.function_name
+}
+
 output "s3_assets_bucket_name" {
   description = "S3 bucket name for static assets (login and landing pages)"
   value       = aws_s3_bucket.assets.bucket
@@ -64,6 +98,21 @@ output "landing_page_url" {
   value       = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/landing.html"
 }
 
+output "consent_page_url" {
+  description = "URL of the consent page"
+  value       = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/consent.html"
+}
+
+output "account_page_url" {
+  description = "URL of the self-service account page"
+  value       = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/account.html"
+}
+
+output "reset_password_page_url" {
+  description = "URL of the password reset page"
+  value       = "https://${aws_s3_bucket.assets.bucket_regional_domain_name}/reset-password.html"
+}
+
 output "dynamodb_applications_table" {
   description = "DynamoDB table name for applications"
   value       = aws_dynamodb_table.applications.name
@@ -78,3 +127,33 @@ output "dynamodb_sessions_table" {
   description = "DynamoDB table name for sessions"
   value       = aws_dynamodb_table.sessions.name
 }
+
+output "dynamodb_sso_sessions_table" {
+  description = "DynamoDB table name for single sign-on sessions"
+  value       = aws_dynamodb_table.sso_sessions.name
+}
+
+output "dynamodb_password_resets_table" {
+  description = "DynamoDB table name for password reset tokens"
+  value       = aws_dynamodb_table.password_resets.name
+}
+
+output "dynamodb_groups_table" {
+  description = "DynamoDB table name for groups"
+  value       = aws_dynamodb_table.groups.name
+}
+
+output "dynamodb_group_members_table" {
+  description = "DynamoDB table name for group memberships"
+  value       = aws_dynamodb_table.group_members.name
+}
+
+output "dynamodb_audit_events_table" {
+  description = "DynamoDB table name for the audit log"
+  value       = aws_dynamodb_table.audit_events.name
+}
+
+output "dynamodb_federated_identities_table" {
+  description = "DynamoDB table for upstream identity provider account links"
+  value       = aws_dynamodb_table.federated_identities.name
+}
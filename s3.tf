@@ -84,3 +84,45 @@ resource "aws_s3_object" "landing_page" {
     Name = "landing-page"
   }
 }
+
+# Upload consent page HTML
+resource "aws_s3_object" "consent_page" {
+  bucket       = aws_s3_bucket.assets.id
+  key          = "consent.html"
+  content_type = "text/html"
+  source       = "${path.module}/static/consent.html"
+
+  etag = filemd5("${path.module}/static/consent.html")
+
+  tags = {
+    Name = "consent-page"
+  }
+}
+
+# Upload account page HTML
+resource "aws_s3_object" "account_page" {
+  bucket       = aws_s3_bucket.assets.id
+  key          = "account.html"
+  content_type = "text/html"
+  source       = "${path.module}/static/account.html"
+
+  etag = filemd5("${path.module}/static/account.html")
+
+  tags = {
+    Name = "account-page"
+  }
+}
+
+# Upload password reset page HTML
+resource "aws_s3_object" "reset_password_page" {
+  bucket       = aws_s3_bucket.assets.id
+  key          = "reset-password.html"
+  content_type = "text/html"
+  source       = "${path.module}/static/reset-password.html"
+
+  etag = filemd5("${path.module}/static/reset-password.html")
+
+  tags = {
+    Name = "reset-password-page"
+  }
+}
@@ -14,28 +14,29 @@ resource "aws_ssm_parameter" "issuer_url" {
   }
 }
 
-# SSM Parameter (encrypted) for JWT signing keys
-# Using SecureString type for encryption at rest with AWS managed KMS key
-# Note: For enhanced security and audit capabilities, consider using a 
-# customer-managed KMS key by adding: key_id = aws_kms_key.example.id
-resource "aws_ssm_parameter" "jwt_keys" {
-  name        = "/${local.project_name}/${local.environment}/jwt-keys"
-  description = "RSA key pair for JWT signing (encrypted)"
-  type        = "SecureString"
-
-  # Store initial placeholder - keys will be generated by Lambda on first run
-  value = jsonencode({
-    private_key = ""
-    public_key  = ""
-    kid         = "default-key-1"
-    alg         = "RS256"
-  })
+# The JWT signing key ring lives in the SSM parameter local.jwt_keys_parameter
+# (SecureString, Advanced tier). It is not managed here: the first Lambda to need
+# a key creates it with a conditional put, so concurrent cold starts agree on one
+# key. Older deployments kept their keys in local.legacy_jwt_keys_parameter, which
+# was created here; Terraform now forgets it without deleting it, and the Lambdas
+# carry its keys over into the new parameter.
+removed {
+  from = aws_ssm_parameter.jwt_keys
 
   lifecycle {
-    ignore_changes = [value]
+    destroy = false
   }
+}
+
+# SSM Parameter (encrypted) for the upstream identity providers
+# Holds each provider's client secret, so it is a SecureString like the key ring
+resource "aws_ssm_parameter" "upstream_providers" {
+  name        = "/${local.project_name}/${local.environment}/upstream-identity-providers"
+  description = "Upstream OpenID Connect identity providers (encrypted)"
+  type        = "SecureString"
+  value       = jsonencode(var.upstream_identity_providers)
 
   tags = {
-    Name = "/${local.project_name}/${local.environment}/jwt-keys"
+    Name = "/${local.project_name}/${local.environment}/upstream-identity-providers"
   }
 }
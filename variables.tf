@@ -15,3 +15,117 @@ variable "issuer_url" {
   type        = string
   default     = ""
 }
+
+variable "jwt_key_prepublish_hours" {
+  description = "Hours a new signing key is published in the JWKS before it may start signing tokens"
+  type        = number
+  default     = 24
+}
+
+variable "jwt_key_rotation_schedule" {
+  description = "EventBridge schedule expression for automatic signing key rotation (e.g. rate(30 days)); empty disables it"
+  type        = string
+  default     = ""
+}
+
+variable "custom_scopes" {
+  description = "Additional scopes advertised in scopes_supported and accepted in authorization requests"
+  type        = list(string)
+  default     = []
+}
+
+variable "pkce_allow_plain" {
+  description = "Accept the PKCE plain code challenge method in addition to S256"
+  type        = bool
+  default     = false
+}
+
+variable "login_lockout_threshold" {
+  description = "Failed login attempts for one username before it is temporarily locked"
+  type        = number
+  default     = 5
+}
+
+variable "login_ip_lockout_threshold" {
+  description = "Failed login attempts from one source IP before it is temporarily blocked"
+  type        = number
+  default     = 20
+}
+
+variable "login_lockout_minutes" {
+  description = "How long a lockout lasts, and how long failed attempts are remembered"
+  type        = number
+  default     = 15
+}
+
+variable "sso_session_idle_timeout_minutes" {
+  description = "How long an SSO session lasts without use before the user has to sign in again"
+  type        = number
+  default     = 60
+}
+
+variable "sso_session_max_lifetime_hours" {
+  description = "How long an SSO session lasts at most, however often it is used"
+  type        = number
+  default     = 12
+}
+
+variable "webauthn_rp_id" {
+  description = "WebAuthn relying party ID for passkeys (defaults to the login page host). Changing it invalidates registered passkeys"
+  type        = string
+  default     = ""
+}
+
+variable "webauthn_origin" {
+  description = "Origin the login and landing pages are served from, e.g. https://login.example.com (defaults to the assets bucket)"
+  type        = string
+  default     = ""
+}
+
+variable "password_reset_token_lifetime_minutes" {
+  description = "How long a forgot-password reset link stays valid"
+  type        = number
+  default     = 60
+}
+
+variable "mail_transport" {
+  description = "How verification and password reset emails are sent: console (logged to CloudWatch, links included, for development) or ses"
+  type        = string
+  default     = "console"
+
+  validation {
+    condition     = contains(["console", "ses"], var.mail_transport)
+    error_message = "mail_transport must be console or ses."
+  }
+}
+
+variable "mail_from" {
+  description = "Sender address for emails, must be a verified SES identity when mail_transport is ses"
+  type        = string
+  default     = ""
+}
+
+variable "admin_scope" {
+  description = "Scope a client_credentials access token needs to call the admin API"
+  type        = string
+  default     = "admin"
+}
+
+variable "client_registration_scope" {
+  description = "Scope a client_credentials access token needs to register clients at /register"
+  type        = string
+  default     = "client_registration"
+}
+
+variable "audit_retention_days" {
+  description = "Days audit log events are kept before DynamoDB expires them"
+  type        = number
+  default     = 365
+}
+
+variable "upstream_identity_providers" {
+  description = "Upstream OpenID Connect identity providers shown on the login page; see Upstream Identity Providers in the README for the fields"
+  type        = list(map(string))
+  sensitive   = true
+  default     = []
+}